@@ -0,0 +1,69 @@
+/**
+ * 解析ワーカーと同じ読み込み方（src/essentiaLoader.js のワーカー側）で Essentia.js を読み、Key 解析とコード進行の解析が最後まで終わるか確かめる。
+ * ワーカーには document が無いので、それに近い環境（document・process なし、importScripts・self.location あり）を作ってから読み込む。
+ *
+ *   npm run check-essentia
+ *
+ * C メジャーの和音を合成して KeyExtractor と曲全体のコード進行（analyzeChordTimeline）にかけ、
+ * "C major" / "C" が返らない、またはコード進行を繰り返すと WASM のヒープが増え続けるなら失敗終了する。
+ */
+
+const SAMPLE_RATE = 44100;
+/** C・E・G（Hz） */
+const TRIAD = [261.63, 329.63, 392.0];
+
+/**
+ * @returns {Float32Array} 5 秒の C メジャーの和音
+ */
+function cMajorTriad() {
+  const signal = new Float32Array(SAMPLE_RATE * 5);
+  for (const freq of TRIAD) {
+    for (let i = 0; i < signal.length; i++) signal[i] += 0.2 * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE);
+  }
+  return signal;
+}
+
+/**
+ * ワーカーに近いグローバル環境で essentiaLoader.js と audioAnalysis.js を読み込む
+ * @returns {Promise<{ wasm: object; essentia: object; analyzeChordTimeline: Function }>}
+ */
+async function loadInWorkerLikeScope() {
+  const nodeProcess = globalThis.process;
+  globalThis.importScripts = () => {};
+  globalThis.self = globalThis;
+  globalThis.location = new URL('http://localhost/assets/analysisWorker.js');
+  delete globalThis.process;
+  try {
+    const { loadEssentia } = await import('../src/essentiaLoader.js');
+    const { analyzeChordTimeline } = await import('../src/audioAnalysis.js');
+    return { ...(await loadEssentia()), analyzeChordTimeline };
+  } finally {
+    globalThis.process = nodeProcess;
+  }
+}
+
+const { wasm, essentia, analyzeChordTimeline } = await loadInWorkerLikeScope();
+const signal = cMajorTriad();
+const vector = essentia.arrayToVector(signal);
+const result = essentia.KeyExtractor(vector, true, 4096, 4096, 12, 3500, 60, 25, 0.2, 'bgate', SAMPLE_RATE);
+vector.delete();
+const key = [result.key, result.scale].filter(Boolean).join(' ');
+if (key !== 'C major') {
+  console.error(`Key 解析の結果が違います: "${key}"（期待: "C major"）`);
+  process.exit(1);
+}
+console.log(`Key 解析 OK: ${key}`);
+
+const heapBefore = wasm.HEAPU8.length;
+let chords = null;
+for (let i = 0; i < 3; i++) chords = await analyzeChordTimeline(signal, SAMPLE_RATE);
+const chord = chords?.[0]?.chord;
+if (chord !== 'C') {
+  console.error(`コード進行の結果が違います: "${chord}"（期待: "C"）`);
+  process.exit(1);
+}
+if (wasm.HEAPU8.length > heapBefore) {
+  console.error(`コード進行の解析で WASM のヒープが増えました: ${heapBefore} → ${wasm.HEAPU8.length} バイト`);
+  process.exit(1);
+}
+console.log(`コード進行 OK: ${chord}`);
@@ -0,0 +1,68 @@
+/**
+ * Mood 解析用のモデル（src/moodModels.js の一覧）を public/models/<id>/ にダウンロードする。
+ * model.json の weightsManifest に載っている重みファイルもすべて取得する。
+ *
+ *   npm run fetch-models                      # すべてのモデル
+ *   npm run fetch-models -- msd-musicnn-1     # 指定したモデルだけ
+ *
+ * MODEL_SOURCE_URL を指定すると、各モデルを <MODEL_SOURCE_URL>/<id>/model.json から取得する。
+ * 既定のモデルを取得できなかったときだけ失敗終了する（ほかのモデルは警告のみ）。
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MOOD_MODELS, DEFAULT_MOOD_MODEL_ID } from '../src/moodModels.js';
+
+const modelsDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models');
+
+/**
+ * @param {import('../src/moodModels.js').MoodModel} model
+ * @returns {string} model.json のあるディレクトリの URL（末尾 / 付き）
+ */
+function sourceUrl(model) {
+  const base = process.env.MODEL_SOURCE_URL;
+  if (!base) return model.source;
+  return new URL(`${model.id}/`, base.replace(/\/?$/, '/')).href;
+}
+
+/**
+ * @param {import('../src/moodModels.js').MoodModel} model
+ */
+async function fetchModel(model) {
+  const source = sourceUrl(model);
+  const outDir = join(modelsDir, model.id);
+  await mkdir(outDir, { recursive: true });
+  /**
+   * @param {string} name
+   * @returns {Promise<Buffer>}
+   */
+  async function download(name) {
+    const url = new URL(name, source).href;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    const data = Buffer.from(await res.arrayBuffer());
+    await writeFile(join(outDir, name), data);
+    console.log(`${model.id}/${name} (${data.length} bytes)`);
+    return data;
+  }
+  const manifest = JSON.parse((await download('model.json')).toString('utf8'));
+  const paths = (manifest.weightsManifest ?? []).flatMap((group) => group.paths ?? []);
+  for (const path of paths) await download(path);
+}
+
+const ids = process.argv.slice(2);
+const targets = ids.length ? MOOD_MODELS.filter((m) => ids.includes(m.id)) : MOOD_MODELS;
+const unknown = ids.filter((id) => !MOOD_MODELS.some((m) => m.id === id));
+if (unknown.length) console.warn(`不明なモデル: ${unknown.join(', ')}`);
+
+let failed = false;
+for (const model of targets) {
+  try {
+    await fetchModel(model);
+  } catch (err) {
+    console.warn(`${model.id} を取得できませんでした: ${err instanceof Error ? err.message : err}`);
+    if (model.id === DEFAULT_MOOD_MODEL_ID) failed = true;
+  }
+}
+console.log(`${modelsDir} に保存しました`);
+if (failed) process.exitCode = 1;
@@ -0,0 +1,166 @@
+import { updateItem } from './state.js';
+import { getStore, requestToPromise, ANALYSIS_STORE } from './db.js';
+import { isCurrentMoodModel } from './moodModels.js';
+
+/**
+ * 解析結果（長さ・BPM・Key・Mood・コード進行・ラウドネス・波形ピーク）を IndexedDB に保存するキャッシュ。
+ * キーはファイル内容の SHA-256 なので、ファイル名が変わっても同じ内容なら再解析しない。
+ */
+
+/** @typedef {{ duration?: number | null; bpm?: number | null; beatGrid?: import('./beatGrid.js').BeatGrid | null; key?: string | null; mood?: import('./moodModels.js').MoodResult | string | null; chords?: import('./chordTimeline.js').ChordSegment[] | null; loudness?: import('./loudness.js').LoudnessResult | null; peaks?: number[] | null }} AnalysisFields */
+
+/** @typedef {AnalysisFields & { hash: string; name: string; size: number; updatedAt: number }} AnalysisCacheEntry */
+
+/** キャッシュする ListItem のフィールド */
+const CACHED_FIELDS = ['duration', 'bpm', 'beatGrid', 'key', 'mood', 'chords', 'loudness', 'peaks'];
+
+/** @type {Worker | null} */
+let hashWorker = null;
+/** @type {Map<number, { resolve: (hash: string) => void; reject: (error: Error) => void }>} ハッシュワーカーの結果待ち */
+const hashJobs = new Map();
+let lastHashJobId = 0;
+
+/** ハッシュ計算中の id を保持（二重リクエスト防止） */
+const hashingIds = new Set();
+
+/** @type {() => void} キャッシュ内容が変わったときに呼ばれるコールバック */
+let onChange = () => {};
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToAnalysisCache(fn) {
+  onChange = fn;
+}
+
+/**
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<IDBObjectStore>}
+ */
+function store(mode) {
+  return getStore(ANALYSIS_STORE, mode);
+}
+
+/**
+ * @returns {Worker}
+ */
+function getHashWorker() {
+  if (!hashWorker) {
+    hashWorker = new Worker(new URL('./hashWorker.js', import.meta.url), { type: 'module' });
+    hashWorker.addEventListener('message', (e) => {
+      const job = hashJobs.get(e.data?.jobId);
+      if (!job) return;
+      hashJobs.delete(e.data.jobId);
+      if (e.data.type === 'result') job.resolve(e.data.value);
+      else job.reject(new Error(e.data.message));
+    });
+  }
+  return hashWorker;
+}
+
+/**
+ * ファイル内容の SHA-256（16進文字列）。ハッシュワーカーで区切って読みながら求める（長い曲でもファイル全体をメモリに読まない）
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export function hashFile(file) {
+  const jobId = ++lastHashJobId;
+  return new Promise((resolve, reject) => {
+    hashJobs.set(jobId, { resolve, reject });
+    getHashWorker().postMessage({ type: 'hash', jobId, file });
+  });
+}
+
+/**
+ * @param {string} hash
+ * @returns {Promise<AnalysisCacheEntry | null>}
+ */
+export async function getCachedAnalysis(hash) {
+  const entry = await requestToPromise((await store('readonly')).get(hash));
+  return entry ?? null;
+}
+
+/**
+ * 解析結果を既存のエントリにマージして保存。空の値（null / 解析失敗の ''）は保存しない
+ * @param {string} hash
+ * @param {{ name: string; size: number }} file
+ * @param {AnalysisFields} patch
+ */
+export async function putCachedAnalysis(hash, file, patch) {
+  const values = {};
+  for (const field of CACHED_FIELDS) {
+    const v = patch[field];
+    if (v != null && v !== '') values[field] = v;
+  }
+  if (!Object.keys(values).length) return;
+  // 同じ曲の解析が続けて終わっても互いの結果を消さないよう、読み出しと書き込みを 1 つのトランザクションで行う
+  const s = await store('readwrite');
+  const existing = await requestToPromise(s.get(hash));
+  /** @type {AnalysisCacheEntry} */
+  const entry = { ...existing, ...values, hash, name: file.name, size: file.size, updatedAt: Date.now() };
+  await requestToPromise(s.put(entry));
+  onChange();
+}
+
+/**
+ * @returns {Promise<AnalysisCacheEntry[]>} 更新日時の新しい順
+ */
+export async function listCachedAnalyses() {
+  /** @type {AnalysisCacheEntry[]} */
+  const entries = await requestToPromise((await store('readonly')).getAll());
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {string} hash
+ */
+export async function deleteCachedAnalysis(hash) {
+  await requestToPromise((await store('readwrite')).delete(hash));
+  onChange();
+}
+
+export async function clearAnalysisCache() {
+  await requestToPromise((await store('readwrite')).clear());
+  onChange();
+}
+
+/**
+ * 1件のファイル内容ハッシュを計算し、キャッシュにある解析結果と合わせて state に反映。
+ * ハッシュが取れない場合は contentHash を '' にする（キャッシュなしで解析に進む）。
+ * @param {{ id: string; file: File; contentHash: string | null }} item
+ */
+export function loadCachedAnalysis(item) {
+  if (item.contentHash != null || hashingIds.has(item.id)) return;
+  hashingIds.add(item.id);
+  (async () => {
+    let hash = '';
+    /** @type {AnalysisFields} */
+    let cached = {};
+    try {
+      hash = await hashFile(item.file);
+      const entry = await getCachedAnalysis(hash);
+      if (entry) {
+        for (const field of CACHED_FIELDS) {
+          if (entry[field] != null && item[field] == null) cached[field] = entry[field];
+        }
+        // 別のモデルで求めた Mood は使わず、選択中のモデルで解析し直す
+        if (cached.mood !== undefined && !isCurrentMoodModel(cached.mood)) delete cached.mood;
+        // ビートグリッドを持つ前の BPM は、グリッドを求めるために解析し直す
+        if (cached.bpm !== undefined && !cached.beatGrid) delete cached.bpm;
+      }
+    } catch (_) {
+      // ハッシュ計算や IndexedDB が使えない環境ではキャッシュなしで解析する
+    }
+    updateItem(item.id, { ...cached, contentHash: hash });
+  })().finally(() => hashingIds.delete(item.id));
+}
+
+/**
+ * 解析結果を state に反映し、内容ハッシュが分かっていればキャッシュにも保存する
+ * @param {{ id: string; file: File; contentHash?: string | null }} item
+ * @param {AnalysisFields} patch
+ */
+export function applyAnalysisResult(item, patch) {
+  updateItem(item.id, patch);
+  if (item.contentHash) putCachedAnalysis(item.contentHash, item.file, patch).catch(() => {});
+}
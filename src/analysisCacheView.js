@@ -0,0 +1,121 @@
+import { listCachedAnalyses, deleteCachedAnalysis, clearAnalysisCache, subscribeToAnalysisCache } from './analysisCache.js';
+import { formatMmSs } from './utils.js';
+import { formatMood } from './moodModels.js';
+
+/** @type {HTMLDialogElement | null} */
+let dialogEl = null;
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/** ダイアログの中身をキャッシュの現在の内容で描き直す */
+async function renderEntries() {
+  if (!dialogEl || !dialogEl.open) return;
+  const statusEl = dialogEl.querySelector('.analysis-cache-status');
+  const tbody = dialogEl.querySelector('tbody');
+  const btnClear = dialogEl.querySelector('.analysis-cache-clear');
+  let entries;
+  try {
+    entries = await listCachedAnalyses();
+  } catch (_) {
+    statusEl.textContent = 'このブラウザでは解析キャッシュを使えません（IndexedDB が無効）';
+    tbody.replaceChildren();
+    btnClear.disabled = true;
+    return;
+  }
+  statusEl.textContent = entries.length ? `${entries.length} 件` : 'キャッシュは空です';
+  btnClear.disabled = entries.length === 0;
+  tbody.replaceChildren(
+    ...entries.map((entry) => {
+      const tr = document.createElement('tr');
+      const cells = [
+        entry.name,
+        formatBytes(entry.size),
+        entry.duration != null ? formatMmSs(entry.duration) : '—',
+        entry.bpm != null ? String(entry.bpm) : '—',
+        entry.key || '—',
+        entry.mood ? formatMood(entry.mood) : '—',
+        entry.chords ? `${entry.chords.length} 区間` : '—',
+        entry.loudness ? `${entry.loudness.integrated} LUFS` : '—',
+        entry.peaks ? '○' : '—',
+        new Date(entry.updatedAt).toLocaleString(),
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tr.firstChild.title = entry.hash;
+      const actionCell = document.createElement('td');
+      const btnDelete = document.createElement('button');
+      btnDelete.type = 'button';
+      btnDelete.className = 'btn-cache-delete';
+      btnDelete.textContent = '削除';
+      btnDelete.addEventListener('click', () => {
+        deleteCachedAnalysis(entry.hash).catch(() => {});
+      });
+      actionCell.appendChild(btnDelete);
+      tr.appendChild(actionCell);
+      return tr;
+    })
+  );
+}
+
+/**
+ * 解析キャッシュの一覧・削除ダイアログを初期化
+ * @param {HTMLButtonElement} openButton
+ * @param {HTMLDialogElement} dialog
+ */
+export function initAnalysisCacheView(openButton, dialog) {
+  dialogEl = dialog;
+  dialog.innerHTML = `
+    <div class="analysis-cache-header">
+      <h2 class="analysis-cache-title">解析キャッシュ</h2>
+      <span class="analysis-cache-status"></span>
+    </div>
+    <p class="analysis-cache-note">ファイル内容のハッシュごとに長さ・BPM・Key・Mood・波形を保存しています。削除しても今のリストの表示はそのままで、次に読み込んだときに再解析されます。</p>
+    <div class="analysis-cache-scroll">
+      <table class="analysis-cache-table">
+        <thead>
+          <tr>
+            <th>ファイル名</th>
+            <th>サイズ</th>
+            <th>長さ</th>
+            <th>BPM</th>
+            <th>Key</th>
+            <th>Mood</th>
+            <th>コード</th>
+            <th>ラウドネス</th>
+            <th>波形</th>
+            <th>更新日時</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div class="analysis-cache-actions">
+      <button type="button" class="toolbar-btn analysis-cache-clear">すべて削除</button>
+      <button type="button" class="toolbar-btn analysis-cache-close">閉じる</button>
+    </div>
+  `;
+  dialog.querySelector('.analysis-cache-clear').addEventListener('click', () => {
+    if (!confirm('解析キャッシュをすべて削除しますか？')) return;
+    clearAnalysisCache().catch(() => {});
+  });
+  dialog.querySelector('.analysis-cache-close').addEventListener('click', () => dialog.close());
+  openButton.addEventListener('click', () => {
+    dialog.showModal();
+    renderEntries();
+  });
+  subscribeToAnalysisCache(() => {
+    renderEntries();
+  });
+}
@@ -0,0 +1,325 @@
+import { guess } from 'web-audio-beat-detector';
+import { decodeToBuffer } from './audioAnalysis.js';
+import { estimateBeatGrid } from './beatGrid.js';
+import { applyAnalysisResult } from './analysisCache.js';
+import { getItems, setAnalysisStatus } from './state.js';
+import { getMoodModelId, isCurrentMoodModel } from './moodModels.js';
+
+/**
+ * ファイル解析のジョブキュー。1 ファイルにつき 1 回だけデコードし、その PCM を各解析で共有する。
+ * - BPM: web-audio-beat-detector（内部で自前のワーカーを使う）
+ * - 波形ピーク・Key・Mood・コード進行・ラウドネス: analysisWorker.js のワーカープール
+ * 同時に処理するファイル数はワーカー数までに抑え、デコード済みバッファを溜め込まない。
+ */
+
+/** @typedef {Exclude<import('./state.js').AnalysisField, 'duration'>} AnalysisField */
+
+/** @typedef {'queued' | 'decoding' | 'analyzing'} AnalysisJobStatus */
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   item: import('./state.js').ListItem;
+ *   fields: AnalysisField[];
+ *   status: AnalysisJobStatus;
+ *   done: number;
+ *   cancelled: boolean;
+ *   slot: PoolSlot | null;
+ * }} AnalysisJob
+ */
+
+/** @typedef {{ worker: Worker | null; job: AnalysisJob | null; finish: (() => void) | null }} PoolSlot */
+
+/** ワーカーで計算する項目 */
+const WORKER_FIELDS = ['peaks', 'key', 'mood', 'chords', 'loudness'];
+
+/** MusiCNN の入力サンプルレート */
+const MOOD_SAMPLE_RATE = 16000;
+
+/** 同時に解析するファイル数（= ワーカー数）。メインスレッド分として 1 コア残す */
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+/** @type {PoolSlot[]} */
+const slots = Array.from({ length: POOL_SIZE }, () => ({ worker: null, job: null, finish: null }));
+
+/** @type {Map<string, AnalysisJob>} 待機中・実行中のジョブ（キーはアイテム id） */
+const jobs = new Map();
+
+/** @type {AnalysisJob[]} 待機中のジョブ（先頭から実行） */
+const queue = [];
+
+/** @type {() => void} ジョブの状態が変わったときに呼ばれるコールバック */
+let onProgress = () => {};
+
+/** @type {(message: string) => void} 解析モデルを読み込めなかったときに呼ばれるコールバック */
+let onModelUnavailable = () => {};
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToAnalysisProgress(fn) {
+  onProgress = fn;
+}
+
+/**
+ * @param {(message: string) => void} fn
+ */
+export function setOnModelUnavailable(fn) {
+  onModelUnavailable = fn;
+}
+
+/**
+ * 待機中の件数と実行中ジョブの進み具合
+ * @returns {{ queued: number; running: { id: string; name: string; status: AnalysisJobStatus; done: number; total: number }[] }}
+ */
+export function getAnalysisProgress() {
+  const running = slots
+    .filter((s) => s.job)
+    .map(({ job }) => ({ id: job.id, name: job.item.name, status: job.status, done: job.done, total: job.fields.length }));
+  return { queued: queue.length, running };
+}
+
+/** @type {AnalysisField[]} キューで解析する項目（長さは list.js が audio 要素のメタデータから取る） */
+const QUEUED_FIELDS = ['bpm', 'peaks', 'key', 'mood', 'chords', 'loudness'];
+
+/**
+ * アイテムの解析待ちの項目を求める
+ * @param {import('./state.js').ListItem} item
+ * @returns {AnalysisField[]}
+ */
+function missingFields(item) {
+  return QUEUED_FIELDS.filter((f) => item[f] === null && item.analysisStatus[f].state === 'pending');
+}
+
+/**
+ * リストの内容に合わせてジョブを積む・取り消す。内容ハッシュ（キャッシュ照会）が済んだアイテムだけを対象にする。
+ * リストから消えたアイテムのジョブは取り消す。
+ * @param {import('./state.js').ListItem[]} items
+ */
+export function syncAnalysisJobs(items) {
+  const ids = new Set(items.map((it) => it.id));
+  for (const id of [...jobs.keys()]) {
+    if (!ids.has(id)) cancelAnalysis(id);
+  }
+  let added = false;
+  for (const item of items) {
+    if (!item.file || item.contentHash === null || jobs.has(item.id)) continue;
+    const fields = missingFields(item);
+    if (!fields.length) continue;
+    /** @type {AnalysisJob} */
+    const job = { id: item.id, item, fields, status: 'queued', done: 0, cancelled: false, slot: null };
+    jobs.set(item.id, job);
+    queue.push(job);
+    added = true;
+  }
+  if (added) {
+    pump();
+    onProgress();
+  }
+}
+
+/**
+ * 1 件のジョブを取り消す。実行中ならワーカーを作り直して計算を打ち切る
+ * @param {string} id
+ */
+export function cancelAnalysis(id) {
+  const job = jobs.get(id);
+  if (!job) return;
+  job.cancelled = true;
+  jobs.delete(id);
+  const qi = queue.indexOf(job);
+  if (qi >= 0) queue.splice(qi, 1);
+  const slot = job.slot;
+  if (slot && slot.job === job) {
+    if (slot.finish) {
+      slot.worker?.terminate();
+      slot.worker = null;
+      slot.finish();
+    }
+  }
+  onProgress();
+}
+
+/** 空いているスロットで待機中のジョブを始める */
+function pump() {
+  for (const slot of slots) {
+    if (slot.job || !queue.length) continue;
+    const job = queue.shift();
+    slot.job = job;
+    job.slot = slot;
+    runJob(job, slot).finally(() => {
+      slot.job = null;
+      slot.finish = null;
+      job.slot = null;
+      if (jobs.get(job.id) === job) jobs.delete(job.id);
+      onProgress();
+      // 実行中に再試行された項目があれば積み直す
+      syncAnalysisJobs(getItems());
+      pump();
+    });
+  }
+}
+
+/**
+ * @param {PoolSlot} slot
+ * @returns {Worker}
+ */
+function slotWorker(slot) {
+  if (!slot.worker) slot.worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+  return slot.worker;
+}
+
+/**
+ * 項目の解析失敗を state に反映（値は空のまま。再試行するまで解析し直さない）
+ * @param {AnalysisJob} job
+ * @param {AnalysisField | AnalysisField[]} fields
+ * @param {string} message
+ */
+function markFailed(job, fields, message) {
+  setAnalysisStatus(job.id, fields, 'failed', message);
+}
+
+/**
+ * @param {unknown} err
+ * @param {string} fallback
+ * @returns {string}
+ */
+function errorMessage(err, fallback) {
+  const message = err instanceof Error ? err.message : typeof err === 'string' ? err : '';
+  return message || fallback;
+}
+
+/**
+ * @param {AnalysisJob} job
+ */
+function markDone(job) {
+  job.done++;
+  onProgress();
+}
+
+/**
+ * AudioBuffer を MusiCNN 用の 16kHz モノラルに変換する
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<Float32Array>}
+ */
+async function toMoodInput(buffer) {
+  const ctx = new OfflineAudioContext(1, Math.max(1, Math.ceil(buffer.duration * MOOD_SAMPLE_RATE)), MOOD_SAMPLE_RATE);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(ctx.destination);
+  source.start();
+  const rendered = await ctx.startRendering();
+  return rendered.getChannelData(0).slice();
+}
+
+/**
+ * @param {AnalysisJob} job
+ * @param {PoolSlot} slot
+ */
+async function runJob(job, slot) {
+  job.status = 'decoding';
+  setAnalysisStatus(job.id, job.fields, 'running');
+  onProgress();
+  let buffer;
+  try {
+    buffer = await decodeToBuffer(job.item.file);
+  } catch (err) {
+    if (!job.cancelled) markFailed(job, job.fields, `デコードできませんでした: ${errorMessage(err, '非対応の形式')}`);
+    return;
+  }
+  if (job.cancelled) return;
+  job.status = 'analyzing';
+  onProgress();
+
+  const tasks = [];
+  if (job.fields.includes('bpm')) {
+    tasks.push(
+      guess(buffer, { minTempo: 60, maxTempo: 200 })
+        .then(({ bpm, offset }) => {
+          if (job.cancelled) return;
+          if (!(Number.isFinite(bpm) && bpm >= 1)) {
+            markFailed(job, 'bpm', 'BPM を検出できませんでした');
+            return;
+          }
+          applyAnalysisResult(job.item, { bpm: Math.round(bpm), beatGrid: estimateBeatGrid(buffer, bpm, offset) });
+        })
+        .catch((err) => {
+          if (!job.cancelled) markFailed(job, 'bpm', errorMessage(err, 'BPM を検出できませんでした'));
+        })
+        .finally(() => markDone(job))
+    );
+  }
+  const workerFields = job.fields.filter((f) => WORKER_FIELDS.includes(f));
+  if (workerFields.length) tasks.push(runWorkerTasks(job, slot, buffer, workerFields));
+  await Promise.all(tasks);
+}
+
+/**
+ * デコード済みの PCM をワーカーに渡し、項目ごとの結果を反映する
+ * @param {AnalysisJob} job
+ * @param {PoolSlot} slot
+ * @param {AudioBuffer} buffer
+ * @param {AnalysisField[]} fields
+ * @returns {Promise<void>} 全項目の完了（または取り消し）で解決
+ */
+async function runWorkerTasks(job, slot, buffer, fields) {
+  let moodInput = null;
+  if (fields.includes('mood')) {
+    moodInput = await toMoodInput(buffer).catch(() => null);
+    if (!moodInput) {
+      markFailed(job, 'mood', '16kHz への変換に失敗しました');
+      markDone(job);
+      fields = fields.filter((f) => f !== 'mood');
+    }
+  }
+  if (job.cancelled || !fields.length) return;
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => {
+    const data = new Float32Array(buffer.length);
+    buffer.copyFromChannel(data, c);
+    return data;
+  });
+  const moodModel = getMoodModelId();
+  const worker = slotWorker(slot);
+  const pending = new Set(fields);
+  await new Promise((resolve) => {
+    const onMessage = (e) => {
+      const msg = e.data;
+      if (msg?.jobId !== job.id || job.cancelled) return;
+      if (msg.type === 'result') {
+        if (msg.value == null || msg.value === '') markFailed(job, msg.field, '判定できませんでした');
+        // 解析中にモデルが切り替わった Mood は捨てて、新しいモデルで積み直す
+        else if (msg.field === 'mood' && !isCurrentMoodModel(msg.value)) setAnalysisStatus(job.id, 'mood', 'pending');
+        else applyAnalysisResult(job.item, { [msg.field]: msg.value });
+        pending.delete(msg.field);
+        markDone(job);
+      } else if (msg.type === 'error') {
+        markFailed(job, msg.field, msg.message || '解析に失敗しました');
+        if (msg.code === 'model-unavailable') onModelUnavailable(msg.message);
+        pending.delete(msg.field);
+        markDone(job);
+      } else if (msg.type === 'done') {
+        finish();
+      }
+    };
+    const onError = () => {
+      // ワーカー自体が落ちたら残りは失敗扱いにして、次のジョブでは作り直す
+      worker.terminate();
+      if (slot.worker === worker) slot.worker = null;
+      if (pending.size) markFailed(job, [...pending], '解析ワーカーが異常終了しました');
+      finish();
+    };
+    function finish() {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      slot.finish = null;
+      resolve();
+    }
+    slot.finish = finish;
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    worker.postMessage(
+      { type: 'analyze', jobId: job.id, fields, channels, sampleRate: buffer.sampleRate, moodInput, moodModel },
+      [...channels.map((c) => c.buffer), ...(moodInput ? [moodInput.buffer] : [])]
+    );
+  });
+}
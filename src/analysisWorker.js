@@ -0,0 +1,191 @@
+import { loadEssentia, deleteVectors } from './essentiaLoader.js';
+import { modelUrl, MODEL_UNAVAILABLE_HINT } from './modelConfig.js';
+import { getMoodModel } from './moodModels.js';
+import { analyzeChordTimeline } from './audioAnalysis.js';
+import { measureLoudness } from './loudness.js';
+
+/**
+ * 解析ワーカー（module worker）。メインスレッドでデコードした PCM を受け取り、
+ * 波形ピーク・Key・コード進行（Essentia.js）・Mood（moodModels.js のモデル / TensorFlow.js）・ラウドネス（loudness.js）を計算して 1 項目ずつ返す。
+ *
+ * 受信: { type: 'analyze', jobId, fields: ('peaks' | 'key' | 'mood' | 'chords' | 'loudness')[], channels: Float32Array[], sampleRate, moodInput: Float32Array | null, moodModel: string }
+ *   moodInput は MusiCNN 用に 16kHz モノラルへ変換済みの信号（mood を求めるときのみ）
+ * 送信: { type: 'result', jobId, field, value } | { type: 'error', jobId, field, message, code? } | { type: 'done', jobId }
+ *   code: 'model-unavailable' はモデルファイルを読み込めなかったとき
+ * Essentia.js・TensorFlow.js はビルドに同梱したものを必要になった時点で読み込む。
+ */
+
+/** 波形概要のピーク数（横方向の解像度） */
+const PEAKS_COUNT = 200;
+
+/** @type {Map<string, Promise<{ extractor: object; musicnn: object }>>} 読み込み済み（読み込み中）のモデル。キーはモデル id */
+const musicnnPromises = new Map();
+
+/** モデルファイルを読み込めなかったことを表すエラー */
+class ModelUnavailableError extends Error {
+  /**
+   * @param {string} url
+   */
+  constructor(url) {
+    super(`Mood モデルを読み込めませんでした（${url}）。${MODEL_UNAVAILABLE_HINT}`);
+    this.name = 'ModelUnavailableError';
+  }
+}
+
+/**
+ * モデルと入力特徴量の抽出器を読み込む（ワーカー・モデルごとに 1 回）
+ * @param {string} modelId
+ * @returns {Promise<{ extractor: object; musicnn: object }>}
+ */
+function getMusiCNN(modelId) {
+  let promise = musicnnPromises.get(modelId);
+  if (!promise) {
+    const url = modelUrl(modelId);
+    promise = (async () => {
+      const [{ wasm }, tf, model] = await Promise.all([
+        loadEssentia(),
+        import('@tensorflow/tfjs'),
+        import('essentia.js/dist/essentia.js-model.es.js'),
+      ]);
+      const musicnn = new model.TensorflowMusiCNN(tf, url, true);
+      try {
+        await musicnn.initialize();
+      } catch (_) {
+        throw new ModelUnavailableError(url);
+      }
+      return { extractor: new model.EssentiaTFInputExtractor(wasm, 'musicnn'), musicnn };
+    })();
+    musicnnPromises.set(modelId, promise);
+    promise.catch(() => {
+      musicnnPromises.delete(modelId);
+    });
+  }
+  return promise;
+}
+
+/**
+ * 各チャンネルを count 区間に分け、各区間の全チャンネル絶対値最大（0〜1）を返す
+ * @param {Float32Array[]} channels
+ * @param {number} count
+ * @returns {number[]}
+ */
+function computePeaks(channels, count) {
+  const len = channels[0]?.length ?? 0;
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * len) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * len) / count));
+    let max = 0;
+    for (const data of channels) {
+      for (let j = start; j < end && j < len; j++) {
+        const v = Math.abs(data[j]);
+        if (v > max) max = v;
+      }
+    }
+    out.push(Math.min(1, Math.round(max * 1000) / 1000));
+  }
+  return out;
+}
+
+/**
+ * 先頭 2 チャンネルの平均でモノラルにする（Essentia の audioBufferToMonoSignal と同じ）
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array}
+ */
+function toMono(channels) {
+  if (channels.length < 2) return channels[0];
+  const [l, r] = channels;
+  const mono = new Float32Array(l.length);
+  for (let i = 0; i < l.length; i++) mono[i] = (l[i] + r[i]) / 2;
+  return mono;
+}
+
+/**
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @returns {Promise<string | null>} "C major" など
+ */
+async function analyzeKey(mono, sampleRate) {
+  const { essentia } = await loadEssentia();
+  // 曲全体のベクトルは大きいので、ワーカーを使い回しても WASM のヒープが尽きないよう必ず解放する
+  const vector = essentia.arrayToVector(mono);
+  let result = null;
+  try {
+    result = essentia.KeyExtractor(
+      vector,
+      true,
+      4096,
+      4096,
+      12,
+      3500,
+      60,
+      25,
+      0.2,
+      'bgate',
+      sampleRate
+    );
+    return [result.key, result.scale].filter(Boolean).join(' ') || null;
+  } finally {
+    deleteVectors(vector, ...Object.values(result ?? {}));
+  }
+}
+
+/**
+ * パッチごとの出力を平均して、クラスごとの確率にする
+ * @param {Float32Array} input 16kHz モノラル
+ * @param {string} modelId
+ * @returns {Promise<import('./moodModels.js').MoodResult | null>}
+ */
+async function analyzeMood(input, modelId) {
+  const classes = getMoodModel(modelId)?.classes;
+  if (!classes) throw new Error(`不明な Mood モデルです: ${modelId}`);
+  const { extractor, musicnn } = await getMusiCNN(modelId);
+  const features = await extractor.computeFrameWise(input, 256);
+  let predictions = await musicnn.predict(features, true);
+  if (predictions && typeof predictions.arraySync === 'function') predictions = predictions.arraySync();
+  const activations = Array.isArray(predictions) && predictions.length > 0
+    ? (Array.isArray(predictions[0]) ? predictions : [predictions])
+    : [];
+  if (activations.length === 0) return null;
+  const numClasses = Math.min(classes.length, activations[0].length);
+  const sum = new Float32Array(numClasses);
+  for (const patch of activations) {
+    for (let i = 0; i < numClasses; i++) sum[i] += patch[i];
+  }
+  const probabilities = Array.from(sum, (v) => Math.round((v / activations.length) * 1000) / 1000);
+  return { model: modelId, probabilities };
+}
+
+/**
+ * @param {{ jobId: string; fields: string[]; channels: Float32Array[]; sampleRate: number; moodInput: Float32Array | null; moodModel: string }} msg
+ */
+async function analyze(msg) {
+  const { jobId, fields, channels, sampleRate, moodInput, moodModel } = msg;
+  /** @type {Float32Array | null} Key とコード進行で共有する */
+  let mono = null;
+  const getMono = () => {
+    if (!mono) mono = toMono(channels);
+    return mono;
+  };
+  const analyzers = {
+    peaks: async () => computePeaks(channels, PEAKS_COUNT),
+    key: () => analyzeKey(getMono(), sampleRate),
+    mood: () => analyzeMood(moodInput, moodModel),
+    chords: () => analyzeChordTimeline(getMono(), sampleRate),
+    loudness: async () => measureLoudness(channels, sampleRate),
+  };
+  for (const field of fields) {
+    try {
+      const value = await analyzers[field]();
+      self.postMessage({ type: 'result', jobId, field, value });
+    } catch (err) {
+      const code = err instanceof ModelUnavailableError ? 'model-unavailable' : undefined;
+      self.postMessage({ type: 'error', jobId, field, message: err instanceof Error ? err.message : String(err), code });
+    }
+  }
+  self.postMessage({ type: 'done', jobId });
+}
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'analyze') analyze(e.data);
+});
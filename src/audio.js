@@ -1,11 +1,220 @@
-const audio = new Audio();
+import { createBufferPlayer } from './bufferPlayer.js';
+import { getAudioGraph, setInsert } from './audioGraph.js';
+import pitchShifterUrl from './pitchShifterProcessor.js?url';
 
-/** @type {string | null} 現在再生に使っている Object URL（revoke 用） */
-let currentObjectUrl = null;
+/**
+ * 再生系統（ボイス）。クロスフェード中は 2 つが同時に鳴るため 2 系統を交互に使う。
+ * 各ボイスは audio 要素と Web Audio 再生エンジンを持ち、どちらも専用の GainNode（フェード用 → 曲ごとの音量補正用）を通して出力する。
+ * trimGain は曲ごとの音量補正（リニア）。trim を作る前に設定されても、作るときに反映する
+ * @typedef {{ element: HTMLAudioElement; player: ReturnType<typeof createBufferPlayer>; gain: GainNode | null; trim: GainNode | null; trimGain: number; elementSource: MediaElementAudioSourceNode | null; url: string | null }} Voice
+ */
+
+/** @typedef {'element' | 'buffer'} PlaybackEngine */
+
+/** @typedef {'linear' | 'equalPower' | 'sCurve'} FadeCurve */
+
+/**
+ * 再生速度と音程。preservePitch は速度を変えても音程を保つか、semitones は速度と別に動かす音程（半音）
+ * @typedef {{ rate: number; preservePitch: boolean; semitones: number }} PlaybackSettings
+ */
+
+/** フェード曲線の分割数 */
+const FADE_CURVE_POINTS = 64;
+
+/** @type {PlaybackEngine} 現在の再生エンジン */
+let engine = 'element';
 
 /** @type {() => void} 再生終了時に呼ばれるコールバック */
 let onEndedCallback = () => {};
 
+/** @type {number | null} ループ区間の終端（秒）。null なら素材の終端まで再生する（audio 要素エンジン用） */
+let loopEnd = null;
+
+/** ループ終端監視用の requestAnimationFrame ID */
+let watchId = 0;
+
+const voices = [createVoice(), createVoice()];
+
+/** @type {Voice} 現在の曲を鳴らしているボイス */
+let active = voices[0];
+
+/** @type {PlaybackSettings} */
+let playback = { rate: 1, preservePitch: true, semitones: 0 };
+
+/** @type {AudioWorkletNode | null} */
+let pitchNode = null;
+/** @type {Promise<void> | null} ピッチシフターの読み込み（1 回だけ） */
+let pitchNodePromise = null;
+
+/** @type {Voice | null} クロスフェードでフェードアウト中のボイス */
+let tail = null;
+/** フェードアウト完了後に tail を止めるタイマー ID */
+let tailTimerId = null;
+
+/**
+ * @returns {Voice}
+ */
+function createVoice() {
+  /** @type {Voice} */
+  const voice = { element: new Audio(), player: null, gain: null, trim: null, trimGain: 1, elementSource: null, url: null };
+  voice.player = createBufferPlayer(() => voiceOutput(voice));
+  voice.element.addEventListener('play', () => {
+    if (voice === active && !watchId) watchId = requestAnimationFrame(watchLoopEnd);
+  });
+  voice.element.addEventListener('ended', () => {
+    if (engine === 'element' && voice === active) onEndedCallback();
+  });
+  voice.player.addEventListener('ended', () => {
+    if (engine === 'buffer' && voice === active) onEndedCallback();
+  });
+  return voice;
+}
+
+/**
+ * ボイスの出力先（フェード用 GainNode → 曲ごとの音量補正用 GainNode → グラフの input）を用意して返す
+ * @param {Voice} voice
+ * @returns {{ ctx: AudioContext; output: AudioNode } | null}
+ */
+function voiceOutput(voice) {
+  const graph = getAudioGraph();
+  if (!graph) return null;
+  if (!voice.gain) {
+    voice.trim = graph.ctx.createGain();
+    voice.trim.gain.value = voice.trimGain;
+    voice.trim.connect(graph.input);
+    voice.gain = graph.ctx.createGain();
+    voice.gain.connect(voice.trim);
+    applyPitchRatio();
+  }
+  return { ctx: graph.ctx, output: voice.gain };
+}
+
+/**
+ * ピッチシフターに渡す音程の倍率。Web Audio エンジンは速度と一緒に音程も変わるので、音程を保つときは速度の分を打ち消す
+ * （audio 要素エンジンはブラウザの preservesPitch に任せる）
+ * @returns {number}
+ */
+function pitchRatio() {
+  const shift = 2 ** (playback.semitones / 12);
+  const ratio = engine === 'buffer' && playback.preservePitch ? shift / playback.rate : shift;
+  return Math.max(0.25, Math.min(4, ratio));
+}
+
+/** 音程の倍率をピッチシフターに反映する。初めて 1 以外になったときにシフターを読み込んでグラフの input と master の間に挟む */
+function applyPitchRatio() {
+  const graph = getAudioGraph({ create: false });
+  if (!graph) return;
+  const ratio = pitchRatio();
+  if (pitchNode) {
+    pitchNode.parameters.get('pitchRatio').setValueAtTime(ratio, pitchNode.context.currentTime);
+    return;
+  }
+  if (ratio === 1 || pitchNodePromise) return;
+  const { ctx } = graph;
+  if (!ctx.audioWorklet) return;
+  pitchNodePromise = ctx.audioWorklet
+    .addModule(pitchShifterUrl)
+    .then(() => {
+      pitchNode = new AudioWorkletNode(ctx, 'pitch-shifter', { outputChannelCount: [2] });
+      setInsert(pitchNode);
+      applyPitchRatio();
+    })
+    .catch(() => {
+      // AudioWorklet が使えない環境では音程を変えずに鳴らす
+    });
+}
+
+/**
+ * audio 要素を Web Audio に接続する（要素ごとに 1 回だけ）
+ * @param {Voice} voice
+ */
+function connectElement(voice) {
+  const out = voiceOutput(voice);
+  if (!out) return;
+  if (out.ctx.state === 'suspended') out.ctx.resume?.();
+  if (voice.elementSource) return;
+  try {
+    voice.elementSource = out.ctx.createMediaElementSource(voice.element);
+    voice.elementSource.connect(out.output);
+  } catch (_) {
+    // Web Audio に接続できない場合は audio 要素から直接鳴らす
+  }
+}
+
+/**
+ * @param {Voice} voice
+ */
+function media(voice) {
+  return engine === 'buffer' ? voice.player : voice.element;
+}
+
+/**
+ * @param {Voice} voice
+ */
+function revokeVoiceUrl(voice) {
+  if (voice.url) {
+    URL.revokeObjectURL(voice.url);
+    voice.url = null;
+  }
+}
+
+/**
+ * フェードをやめて音量を 1 に戻す
+ * @param {Voice} voice
+ */
+function resetGain(voice) {
+  if (!voice.gain) return;
+  const param = voice.gain.gain;
+  param.cancelScheduledValues(0);
+  param.setValueAtTime(1, voice.gain.context.currentTime);
+}
+
+/**
+ * フェード曲線の値列（0〜1）を作る
+ * @param {FadeCurve} curve
+ * @param {'in' | 'out'} direction
+ * @returns {Float32Array}
+ */
+function fadeCurveValues(curve, direction) {
+  const values = new Float32Array(FADE_CURVE_POINTS);
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const x = i / (FADE_CURVE_POINTS - 1);
+    const t = direction === 'in' ? x : 1 - x;
+    let v = t;
+    if (curve === 'equalPower') v = Math.sin((t * Math.PI) / 2);
+    else if (curve === 'sCurve') v = (1 - Math.cos(t * Math.PI)) / 2;
+    values[i] = v;
+  }
+  return values;
+}
+
+/**
+ * @param {Voice} voice
+ * @param {FadeCurve} curve
+ * @param {'in' | 'out'} direction
+ * @param {number} seconds
+ * @param {number} startTime フェードを始める AudioContext 時刻
+ */
+function scheduleFade(voice, curve, direction, seconds, startTime) {
+  if (!voice.gain) return;
+  const param = voice.gain.gain;
+  param.cancelScheduledValues(0);
+  param.setValueCurveAtTime(fadeCurveValues(curve, direction), startTime, seconds);
+}
+
+/** フェードアウト中のボイスを止めて解放する */
+function finishTail() {
+  if (tailTimerId != null) {
+    clearTimeout(tailTimerId);
+    tailTimerId = null;
+  }
+  if (!tail) return;
+  media(tail).pause();
+  revokeVoiceUrl(tail);
+  resetGain(tail);
+  tail = null;
+}
+
 /**
  * @param {() => void} fn
  */
@@ -14,36 +223,188 @@ export function setOnEnded(fn) {
 }
 
 /**
+ * @returns {PlaybackEngine}
+ */
+export function getEngine() {
+  return engine;
+}
+
+/**
+ * 再生エンジンを切り替える。再生中の音は止めるので、呼び出し側で停止状態にしてから呼ぶこと。
+ * @param {PlaybackEngine} name
+ */
+export function setEngine(name) {
+  if (name !== 'element' && name !== 'buffer') return;
+  if (name === engine) return;
+  finishTail();
+  media(active).pause();
+  revokeVoiceUrl(active);
+  engine = name;
+}
+
+/**
+ * 再生速度と音程を現在のボイスに反映する。エンジンを切り替えた後にも呼ぶこと。
+ * @param {PlaybackSettings} settings
+ */
+export function applyPlaybackSettings(settings) {
+  playback = { ...settings };
+  for (const voice of voices) voice.element.preservesPitch = playback.preservePitch;
+  media(active).playbackRate = playback.rate;
+  applyPitchRatio();
+}
+
+/**
+ * 現在のボイスにかける曲ごとの音量補正（dB）。レベルメーターより手前でかけるので、メーターにも反映される。
+ * クロスフェードで切り替えた直後に呼べば、新しい曲のボイスにだけかかる。
+ * @param {number} db
+ * @param {{ smooth?: boolean }} [opts] smooth: 鳴っている曲の補正を変えるときに true（プチノイズが出ないよう少しなめらかに変える）。
+ *   曲を切り替えたときは前の曲の補正から滑らせず、すぐにこの値にする
+ */
+export function setTrackGain(db, { smooth = false } = {}) {
+  active.trimGain = 10 ** (db / 20);
+  if (!active.trim) return;
+  const param = active.trim.gain;
+  const now = active.trim.context.currentTime;
+  param.cancelScheduledValues(now);
+  if (smooth) param.setTargetAtTime(active.trimGain, now, 0.02);
+  else param.setValueAtTime(active.trimGain, now);
+}
+
+/**
+ * ループ区間を設定する。
+ * audio 要素エンジンでは end に達すると再生終了と同じ扱いになり（ループ自体は呼び出し側が play し直す）、
+ * Web Audio エンジンでは loop が true のとき区間内をサンプル単位で繰り返す。
+ * @param {{ loop: boolean; start: number; end: number | null }} region
+ */
+export function setLoopRegion(region) {
+  loopEnd = region.loop && region.end != null && region.end > 0 ? region.end : null;
+  active.player.setLoopRegion(region);
+}
+
+/**
+ * 今からあと sec 秒（素材時間）で再生を止める。Web Audio エンジンのみサンプル単位で止め、
+ * audio 要素エンジンでは何もしない（呼び出し側の定期チェックで止める）。
+ * @param {number | null} sec
+ */
+export function setStopAfter(sec) {
+  if (engine === 'buffer') active.player.stopAfter(sec);
+}
+
+/**
+ * エンジン内部のループで巻き戻した秒数の累計。audio 要素エンジンでは常に 0。
+ * @returns {number}
+ */
+export function getLoopedSeconds() {
+  return engine === 'buffer' ? active.player.loopedSeconds : 0;
+}
+
+/**
+ * ボイスに url を読み込む。Web Audio エンジンでデコード済みのバッファがあれば、url を読み直さずにそれを使う
+ * @param {Voice} voice
+ * @param {string} url
+ * @param {Promise<AudioBuffer> | null} decoded
+ */
+function setVoiceSource(voice, url, decoded) {
+  if (engine === 'buffer' && decoded) voice.player.setSource(url, decoded);
+  else media(voice).src = url;
+}
+
+/**
+ * 現在のボイスに url を読み込む（再生はしない）
+ * @param {string} url Object URL
+ * @param {Promise<AudioBuffer> | null} [decoded] 同じファイルをデコードしたバッファ（Web Audio エンジンで使う）
+ */
+export function setSource(url, decoded = null) {
+  setVoiceSource(active, url, decoded);
+}
+
+/**
+ * 現在のボイスで url を再生する
+ * @param {string} url Object URL
+ * @param {number} [startSec] 再生開始位置（秒）
+ * @param {Promise<AudioBuffer> | null} [decoded] 同じファイルをデコードしたバッファ（Web Audio エンジンで使う）
+ */
+export function play(url, startSec = 0, decoded = null) {
+  const player = media(active);
+  prepareOutput();
+  resetGain(active);
+  if (active.url === url) {
+    player.currentTime = startSec;
+    player.play().catch(() => {});
+    return;
+  }
+  revokeVoiceUrl(active);
+  active.url = url;
+  setVoiceSource(active, url, decoded);
+  player.currentTime = startSec;
+  player.play().catch(() => {});
+}
+
+/**
+ * 今の曲をフェードアウトさせながら、もう一方のボイスで url をフェードインで再生する。
+ * Web Audio が使えない場合や seconds が 0 以下の場合は通常の切り替えになる。
+ * 以後 getAudioElement() などは新しい曲のボイスを指す。
  * @param {string} url Object URL
+ * @param {{ seconds: number; fadeOutCurve: FadeCurve; fadeInCurve: FadeCurve }} opts seconds は実時間
+ * @param {Promise<AudioBuffer> | null} [decoded] 同じファイルをデコードしたバッファ（Web Audio エンジンで使う）
  */
-export function play(url) {
-  if (currentObjectUrl === url) {
-    audio.currentTime = 0;
-    audio.play().catch(() => {});
+export function crossfadeTo(url, opts, decoded = null) {
+  if (!(opts.seconds > 0) || !getAudioGraph()) {
+    play(url, 0, decoded);
+    return;
+  }
+  finishTail();
+  const from = active;
+  const to = voices[0] === from ? voices[1] : voices[0];
+  tail = from;
+  active = to;
+  play(url, 0, decoded);
+  const startFades = () => {
+    if (tail !== from || active !== to) return;
+    const startTime = getAudioGraph().ctx.currentTime;
+    scheduleFade(from, opts.fadeOutCurve, 'out', opts.seconds, startTime);
+    scheduleFade(to, opts.fadeInCurve, 'in', opts.seconds, startTime);
+    tailTimerId = setTimeout(finishTail, opts.seconds * 1000 + 50);
+  };
+  if (engine === 'buffer' && !media(to).readyState) {
+    // デコードが終わって新しい曲が鳴り始めるまでは今の曲をそのまま鳴らし、鳴り始めた時刻から両方のフェードを揃えて始める。
+    // デコードできなかったときは今の曲を止める（途中で止めた・次の曲へ移ったときは finishTail 済み）
+    media(to).play().then(startFades, () => {
+      if (tail === from) finishTail();
+    });
     return;
   }
-  revokeCurrent();
-  currentObjectUrl = url;
-  audio.src = url;
-  audio.currentTime = 0;
-  audio.play().catch(() => {});
+  startFades();
 }
 
 export function pause() {
-  audio.pause();
+  finishTail();
+  media(active).pause();
 }
 
+/**
+ * 現在のボイス・エンジンの再生オブジェクト。Web Audio エンジンでは HTMLAudioElement 互換のオブジェクトを返す。
+ * @returns {HTMLAudioElement | ReturnType<typeof createBufferPlayer>}
+ */
 export function getAudioElement() {
-  return audio;
+  return media(active);
 }
 
-function revokeCurrent() {
-  if (currentObjectUrl) {
-    URL.revokeObjectURL(currentObjectUrl);
-    currentObjectUrl = null;
-  }
+/** 現在のボイスを Web Audio のグラフ（audioGraph.js）に接続する。audio 要素を直接操作して再生する前に呼ぶ */
+export function prepareOutput() {
+  if (engine === 'element') connectElement(active);
+  else voiceOutput(active);
 }
 
-audio.addEventListener('ended', () => {
-  onEndedCallback();
-});
+/** 再生中は毎フレーム再生位置を見て、ループ終端に達したら終了扱いにする */
+function watchLoopEnd() {
+  watchId = 0;
+  const el = active.element;
+  if (engine !== 'element' || el.paused) return;
+  if (loopEnd != null && el.currentTime >= loopEnd) {
+    el.pause();
+    onEndedCallback();
+    return;
+  }
+  watchId = requestAnimationFrame(watchLoopEnd);
+}
@@ -1,36 +1,18 @@
-import { guess } from 'web-audio-beat-detector';
-import { updateItem } from './state.js';
+import { loadEssentia, deleteVectors } from './essentiaLoader.js';
+import { toChordSegments } from './chordTimeline.js';
 
-/** BPM 解析中の id を保持（二重リクエスト防止） */
-const analyzingBpmIds = new Set();
-/** Key 解析中の id を保持 */
-const analyzingKeyIds = new Set();
-/** Mood 解析中の id を保持 */
-const analyzingMoodIds = new Set();
-/** Essentia インスタンス（遅延初期化） */
-let essentiaInstance = null;
-
-/** MusiCNN msd-musicnn-1 の 50 クラス（metadata の classes 順） */
-const MUSICNN_CLASSES = [
-  'rock', 'pop', 'alternative', 'indie', 'electronic', 'female vocalists', 'dance', '00s',
-  'alternative rock', 'jazz', 'beautiful', 'metal', 'chillout', 'male vocalists', 'classic rock',
-  'soul', 'indie rock', 'Mellow', 'electronica', '80s', 'folk', '90s', 'chill', 'instrumental',
-  'punk', 'oldies', 'blues', 'hard rock', 'ambient', 'acoustic', 'experimental', 'female vocalist',
-  'guitar', 'Hip-Hop', '70s', 'party', 'country', 'easy listening', 'sexy', 'catchy', 'funk',
-  'electro', 'heavy metal', 'Progressive rock', '60s', 'rnb', 'indie pop', 'sad', 'House', 'happy'
-];
-
-/** Mood 表示用モデル（MTG/essentia.js の examples から jsDelivr で取得。ZIP 不要） */
-const MOOD_MODEL_URL = 'https://cdn.jsdelivr.net/gh/MTG/essentia.js@master/examples/demos/autotagging-rt/data/msd-musicnn-1/model.json';
+/** @type {AudioContext | null} デコード専用の AudioContext（使い回す） */
+let decodeContext = null;
 
 /**
- * ファイルをデコードして AudioBuffer を取得
+ * ファイルをデコードして AudioBuffer を取得（AudioContext は 1 つを使い回す）
  * @param {File} file
  * @returns {Promise<AudioBuffer>}
  */
 export function decodeToBuffer(file) {
   return new Promise((resolve, reject) => {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    if (!decodeContext) decodeContext = new (window.AudioContext || window.webkitAudioContext)();
+    const ctx = decodeContext;
     const reader = new FileReader();
     reader.onload = () => {
       const buf = reader.result;
@@ -38,13 +20,7 @@ export function decodeToBuffer(file) {
         reject(new Error('Failed to read file'));
         return;
       }
-      ctx.decodeAudioData(buf).then((audioBuffer) => {
-        ctx.close();
-        resolve(audioBuffer);
-      }).catch((err) => {
-        ctx.close();
-        reject(err);
-      });
+      ctx.decodeAudioData(buf).then(resolve, reject);
     };
     reader.onerror = () => reject(reader.error);
     reader.readAsArrayBuffer(file);
@@ -52,132 +28,11 @@ export function decodeToBuffer(file) {
 }
 
 /**
- * 1件の BPM を非同期で取得して state に反映
- * @param {{ id: string; file: File; bpm: number | null }} item
- */
-export function loadBpm(item) {
-  if (item.bpm != null || analyzingBpmIds.has(item.id)) return;
-  analyzingBpmIds.add(item.id);
-  decodeToBuffer(item.file)
-    .then((audioBuffer) => guess(audioBuffer, { minTempo: 60, maxTempo: 200 }))
-    .then(({ bpm }) => {
-      if (Number.isFinite(bpm) && bpm >= 1) updateItem(item.id, { bpm: Math.round(bpm) });
-    })
-    .catch(() => {})
-    .finally(() => analyzingBpmIds.delete(item.id));
-}
-
-/**
- * スクリプトを1本読み込む
- * @param {string} src
- * @returns {Promise<void>}
- */
-function loadScript(src) {
-  return new Promise((resolve, reject) => {
-    if (document.querySelector(`script[src="${src}"]`)) {
-      resolve();
-      return;
-    }
-    const el = document.createElement('script');
-    el.src = src;
-    el.onload = () => resolve();
-    el.onerror = () => reject(new Error(`Failed to load ${src}`));
-    document.head.appendChild(el);
-  });
-}
-
-/**
- * Essentia.js を CDN から非同期で読み込み、インスタンスを返す（ブラウザ用）
+ * Essentia.js のインスタンスを返す（ビルドに同梱した WASM を遅延読み込み）
  * @returns {Promise<{ KeyExtractor: Function, arrayToVector: Function, audioBufferToMonoSignal: Function }>}
  */
 async function getEssentia() {
-  if (essentiaInstance) return essentiaInstance;
-  const base = 'https://cdn.jsdelivr.net/npm/essentia.js@0.1.3/dist';
-  await loadScript(`${base}/essentia-wasm.web.js`);
-  await loadScript(`${base}/essentia.js-core.js`);
-  const wasm = await window.EssentiaWASM();
-  essentiaInstance = new window.Essentia(wasm);
-  return essentiaInstance;
-}
-
-/**
- * 1件の Key を非同期で取得して state に反映（Essentia.js 使用）
- * @param {{ id: string; file: File; key: string | null }} item
- */
-export function loadKey(item) {
-  if ((item.key != null && item.key !== '') || analyzingKeyIds.has(item.id)) return;
-  analyzingKeyIds.add(item.id);
-  getEssentia()
-    .then((essentia) => decodeToBuffer(item.file).then((buf) => ({ essentia, buf })))
-    .then(({ essentia, buf }) => {
-      const mono = essentia.audioBufferToMonoSignal(buf);
-      const vector = essentia.arrayToVector(mono);
-      const result = essentia.KeyExtractor(
-        vector,
-        true,
-        4096,
-        4096,
-        12,
-        3500,
-        60,
-        25,
-        0.2,
-        'bgate',
-        buf.sampleRate
-      );
-      const keyStr = [result.key, result.scale].filter(Boolean).join(' ') || null;
-      if (keyStr) updateItem(item.id, { key: keyStr });
-    })
-    .catch(() => {
-      updateItem(item.id, { key: '' });
-    })
-    .finally(() => analyzingKeyIds.delete(item.id));
-}
-
-/**
- * MusiCNN（EssentiaModel）で 1 件の mood タグを取得して state に反映。
- * TensorFlow.js と essentia.js-model を index.html で読み込むこと。
- * モデルは GitHub (MTG/essentia.js examples) を jsDelivr 経由で読み込む。ZIP のダウンロードは不要。
- * @param {{ id: string; file: File; mood: string | null }} item
- */
-export function loadMood(item) {
-  if ((item.mood != null && item.mood !== '') || analyzingMoodIds.has(item.id)) return;
-  if (typeof window.EssentiaModel === 'undefined' || typeof window.tf === 'undefined') return;
-  analyzingMoodIds.add(item.id);
-  (async () => {
-    try {
-      await getEssentia();
-      const wasmModule = await window.EssentiaWASM();
-      const extractor = new window.EssentiaModel.EssentiaTFInputExtractor(wasmModule, 'musicnn');
-      const buffer = await decodeToBuffer(item.file);
-      const audioData = await extractor.downsampleAudioBuffer(buffer, 16000);
-      const features = await extractor.computeFrameWise(audioData, 256);
-      const musicnn = new window.EssentiaModel.TensorflowMusiCNN(window.tf, MOOD_MODEL_URL, true);
-      await musicnn.initialize();
-      let predictions = await musicnn.predict(features, true);
-      if (predictions && typeof predictions.arraySync === 'function') predictions = predictions.arraySync();
-      const activations = Array.isArray(predictions) && predictions.length > 0
-        ? (Array.isArray(predictions[0]) ? predictions : [predictions])
-        : [];
-      if (activations.length === 0) {
-        updateItem(item.id, { mood: '' });
-        return;
-      }
-      const numClasses = Math.min(MUSICNN_CLASSES.length, activations[0].length);
-      const sum = new Float32Array(numClasses);
-      for (const patch of activations) {
-        for (let i = 0; i < numClasses; i++) sum[i] += patch[i];
-      }
-      const order = Array.from({ length: numClasses }, (_, i) => i)
-        .sort((a, b) => sum[b] - sum[a]);
-      const top = order.slice(0, 3).map((i) => MUSICNN_CLASSES[i]).filter(Boolean);
-      updateItem(item.id, { mood: top.join(', ') || '' });
-    } catch (_) {
-      updateItem(item.id, { mood: '' });
-    } finally {
-      analyzingMoodIds.delete(item.id);
-    }
-  })();
+  return (await loadEssentia()).essentia;
 }
 
 const FRAME_SIZE = 4096;
@@ -193,33 +48,103 @@ const HOP_SIZE = 2048;
 function computeHPCPFrames(essentia, mono, sr) {
   const hpcpFrames = [];
   for (let start = 0; start + FRAME_SIZE <= mono.length; start += HOP_SIZE) {
-    const frame = mono.slice(start, start + FRAME_SIZE);
-    const frameVec = essentia.arrayToVector(frame);
-    const windowed = essentia.Windowing(frameVec, false, FRAME_SIZE, 'hann', 0, true).frame;
-    const spectrum = essentia.Spectrum(windowed, FRAME_SIZE).spectrum;
-    const peaks = essentia.SpectralPeaks(spectrum, 0, 4500, 60, 80, 'frequency', sr);
-    const hpcp = essentia.HPCP(
-      peaks.frequencies,
-      peaks.magnitudes,
-      true,
-      500,
-      0,
-      4500,
-      false,
-      80,
-      false,
-      'unitMax',
-      440,
-      sr,
-      12,
-      'squaredCosine',
-      1
-    ).hpcp;
-    hpcpFrames.push(essentia.vectorToArray(hpcp));
+    /** @type {unknown[]} このフレームで WASM 側に作ったベクトル（HPCP を JS の配列に写したら解放する） */
+    const vectors = [];
+    const keep = (v) => {
+      vectors.push(v);
+      return v;
+    };
+    try {
+      const frameVec = keep(essentia.arrayToVector(mono.subarray(start, start + FRAME_SIZE)));
+      const windowed = keep(essentia.Windowing(frameVec, false, FRAME_SIZE, 'hann', 0, true).frame);
+      const spectrum = keep(essentia.Spectrum(windowed, FRAME_SIZE).spectrum);
+      const peaks = essentia.SpectralPeaks(spectrum, 0, 4500, 60, 80, 'frequency', sr);
+      keep(peaks.frequencies);
+      keep(peaks.magnitudes);
+      const hpcp = keep(
+        essentia.HPCP(
+          peaks.frequencies,
+          peaks.magnitudes,
+          true,
+          500,
+          0,
+          4500,
+          false,
+          80,
+          false,
+          'unitMax',
+          440,
+          sr,
+          12,
+          'squaredCosine',
+          1
+        ).hpcp
+      );
+      hpcpFrames.push(Array.from(essentia.vectorToArray(hpcp)));
+    } finally {
+      deleteVectors(...vectors);
+    }
   }
   return hpcpFrames;
 }
 
+/**
+ * モノラル信号のフレームごとのコード（HPCP → ChordsDetection）。判定できなかったフレームは null
+ * @param {object} essentia
+ * @param {Float32Array} mono
+ * @param {number} sr
+ * @returns {(string | null)[]} HOP_SIZE ごとのコード（"C" "Am" など）
+ */
+function detectChords(essentia, mono, sr) {
+  const hpcpFrames = computeHPCPFrames(essentia, mono, sr);
+  if (hpcpFrames.length === 0) return [];
+  // ChordsDetection へ HPCP 列を渡す（array of arrays または WASM の VectorVectorFloat）
+  let pcpInput = hpcpFrames;
+  /** @type {{ chords?: unknown; strength?: unknown } | null} */
+  let result = null;
+  try {
+    if (essentia.module && typeof essentia.module.VectorVectorFloat !== 'undefined') {
+      try {
+        const vvf = new essentia.module.VectorVectorFloat();
+        pcpInput = vvf;
+        for (let i = 0; i < hpcpFrames.length; i++) {
+          // push_back はコピーを入れるので、渡したベクトルはすぐ解放する
+          const frame = essentia.arrayToVector(hpcpFrames[i]);
+          vvf.push_back(frame);
+          deleteVectors(frame);
+        }
+      } catch (_) {
+        deleteVectors(pcpInput);
+        pcpInput = hpcpFrames;
+      }
+    }
+    result = essentia.ChordsDetection(pcpInput, HOP_SIZE, sr, 2);
+    return chordsToList(result.chords);
+  } finally {
+    deleteVectors(pcpInput, result?.chords, result?.strength);
+  }
+}
+
+/**
+ * ChordsDetection の chords（JS の配列または WASM の VectorString）を JS の配列にする
+ * @param {unknown} chords
+ * @returns {(string | null)[]}
+ */
+function chordsToList(chords) {
+  if (!chords) return [];
+  let list = [];
+  if (Array.isArray(chords)) {
+    list = chords;
+  } else if (typeof chords.size === 'function' && typeof chords.get === 'function') {
+    // vectorToArray は数値のベクトル用で、VectorString を渡すと NaN の列になるので 1 つずつ読む
+    list = Array.from({ length: chords.size() }, (_, i) => chords.get(i));
+  }
+  return list.map((c) => {
+    const s = c != null ? String(c).trim() : '';
+    return s !== '' && s !== 'NaN' ? s : null;
+  });
+}
+
 /**
  * AudioBuffer の指定区間（秒）から Key を解析（リアルタイム表示用）
  * @param {AudioBuffer} audioBuffer
@@ -245,19 +170,25 @@ export function analyzeKeyFromSegment(audioBuffer, startSec, endSec) {
   return getEssentia()
     .then((essentia) => {
       const vector = essentia.arrayToVector(segment);
-      const result = essentia.KeyExtractor(
-        vector,
-        true,
-        4096,
-        4096,
-        12,
-        3500,
-        60,
-        25,
-        0.2,
-        'bgate',
-        sr
-      );
+      let result;
+      try {
+        result = essentia.KeyExtractor(
+          vector,
+          true,
+          4096,
+          4096,
+          12,
+          3500,
+          60,
+          25,
+          0.2,
+          'bgate',
+          sr
+        );
+      } finally {
+        // 再生中は数秒ごとに呼ぶので、入力のベクトルを解放しておく
+        deleteVectors(vector);
+      }
       const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
       let keyPart = result.key != null ? String(result.key).trim() : '';
       const scalePart = (result.scale != null ? String(result.scale).trim() : '') || '';
@@ -297,35 +228,20 @@ export function analyzeChordFromSegment(audioBuffer, startSec, endSec) {
 
   return getEssentia()
     .then((essentia) => {
-      const hpcpFrames = computeHPCPFrames(essentia, segment, sr);
-      if (hpcpFrames.length === 0) return null;
-      // ChordsDetection へ HPCP 列を渡す（array of arrays または WASM の VectorVectorFloat）
-      let pcpInput = hpcpFrames;
-      if (essentia.module && typeof essentia.module.VectorVectorFloat !== 'undefined') {
-        try {
-          const vvf = new essentia.module.VectorVectorFloat();
-          for (let i = 0; i < hpcpFrames.length; i++) {
-            vvf.push_back(essentia.arrayToVector(hpcpFrames[i]));
-          }
-          pcpInput = vvf;
-        } catch (_) {}
-      }
-      const result = essentia.ChordsDetection(pcpInput, HOP_SIZE, sr, 2);
-      const chords = result.chords;
-      if (!chords) return null;
-      let lastChord = null;
-      if (Array.isArray(chords) && chords.length > 0) {
-        lastChord = chords[chords.length - 1];
-      } else if (typeof chords.size === 'function' && chords.size() > 0) {
-        try {
-          const arr = essentia.vectorToArray ? essentia.vectorToArray(chords) : null;
-          lastChord = arr && arr.length ? arr[arr.length - 1] : (chords.get ? chords.get(chords.size() - 1) : null);
-        } catch (_) {
-          lastChord = chords.get ? chords.get(chords.size() - 1) : null;
-        }
-      }
-      const s = lastChord != null ? String(lastChord).trim() : '';
-      return (s !== '' && s !== 'NaN') ? s : null;
+      const chords = detectChords(essentia, segment, sr);
+      return chords.length ? chords[chords.length - 1] : null;
     })
     .catch(() => null);
 }
+
+/**
+ * 曲全体のコード進行（解析ワーカーから呼ぶ）
+ * @param {Float32Array} mono
+ * @param {number} sr
+ * @returns {Promise<import('./chordTimeline.js').ChordSegment[] | null>} 1 つも判定できなければ null
+ */
+export async function analyzeChordTimeline(mono, sr) {
+  const chords = detectChords(await getEssentia(), mono, sr);
+  const segments = toChordSegments(chords, HOP_SIZE / sr);
+  return segments.length ? segments : null;
+}
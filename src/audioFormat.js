@@ -0,0 +1,158 @@
+/**
+ * 追加されたファイルの形式判定。File.type が空・audio/ 以外でも、先頭のバイト列（マジックナンバー）と拡張子から
+ * オーディオ・動画コンテナを見分け、このブラウザで再生できるかを canPlayType で確かめる。
+ * 動画コンテナ（MP4 / MOV / WebM / Matroska）は音声トラックだけを再生・解析する。
+ */
+
+/**
+ * @typedef {{ label: string; mime: string; video: boolean }} MediaFormat
+ */
+
+/**
+ * ok: false のとき reason は一覧に出す理由
+ * @typedef {{ ok: true; format: string; video: boolean } | { ok: false; reason: string }} FileCheck
+ */
+
+/** @type {Record<string, MediaFormat>} 判定できる形式。mime は canPlayType に渡す値 */
+const FORMATS = {
+  wav: { label: 'WAV', mime: 'audio/wav', video: false },
+  flac: { label: 'FLAC', mime: 'audio/flac', video: false },
+  ogg: { label: 'Ogg Vorbis', mime: 'audio/ogg', video: false },
+  opus: { label: 'Opus', mime: 'audio/ogg; codecs=opus', video: false },
+  mp3: { label: 'MP3', mime: 'audio/mpeg', video: false },
+  aac: { label: 'AAC', mime: 'audio/aac', video: false },
+  m4a: { label: 'M4A', mime: 'audio/mp4', video: false },
+  aiff: { label: 'AIFF', mime: 'audio/aiff', video: false },
+  caf: { label: 'CAF', mime: 'audio/x-caf', video: false },
+  weba: { label: 'WebM（音声）', mime: 'audio/webm', video: false },
+  mp4: { label: 'MP4', mime: 'video/mp4', video: true },
+  mov: { label: 'QuickTime', mime: 'video/quicktime', video: true },
+  webm: { label: 'WebM', mime: 'video/webm', video: true },
+  // Matroska は canPlayType で '' を返すブラウザが多いが、中身は WebM と同じ仕組みなので WebM として確かめる
+  mkv: { label: 'Matroska', mime: 'video/webm', video: true },
+};
+
+/** 拡張子 → 形式 */
+const EXTENSIONS = {
+  wav: 'wav', wave: 'wav', flac: 'flac', ogg: 'ogg', oga: 'ogg', opus: 'opus', mp3: 'mp3', aac: 'aac',
+  m4a: 'm4a', m4b: 'm4a', aif: 'aiff', aiff: 'aiff', aifc: 'aiff', caf: 'caf', weba: 'weba',
+  mp4: 'mp4', m4v: 'mp4', mov: 'mov', webm: 'webm', mkv: 'mkv', mka: 'mkv',
+};
+
+/** ファイル選択ダイアログの accept に渡す値（判定できる形式。追加・再リンクで共通） */
+export const MEDIA_ACCEPT = ['audio/*', 'video/mp4', 'video/quicktime', 'video/webm', ...Object.keys(EXTENSIONS).map((ext) => `.${ext}`)].join(',');
+
+/** 音声だけの MP4 のブランド（ftyp） */
+const AUDIO_MP4_BRANDS = ['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '];
+
+/** マジックナンバーを見るために読む先頭のバイト数 */
+const SNIFF_BYTES = 64;
+
+/** @type {HTMLMediaElement | null} canPlayType 用 */
+let probe = null;
+
+/**
+ * @param {File} file
+ * @returns {string} 小文字の拡張子（無ければ ''）
+ */
+function extensionOf(file) {
+  const dot = file.name.lastIndexOf('.');
+  return dot > 0 ? file.name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} text ASCII
+ * @returns {boolean}
+ */
+function hasAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} text ASCII
+ * @returns {boolean} どこかに text が含まれるか
+ */
+function containsAscii(bytes, text) {
+  for (let i = 0; i + text.length <= bytes.length; i++) {
+    if (hasAscii(bytes, i, text)) return true;
+  }
+  return false;
+}
+
+/**
+ * 先頭のバイト列から形式を判定する。分からなければ null
+ * @param {Uint8Array} bytes
+ * @param {string} ext 拡張子（同じ仕組みの形式を見分けるのに使う）
+ * @returns {string | null} FORMATS のキー
+ */
+function sniff(bytes, ext) {
+  if (hasAscii(bytes, 0, 'RIFF') && hasAscii(bytes, 8, 'WAVE')) return 'wav';
+  if (hasAscii(bytes, 0, 'RF64') && hasAscii(bytes, 8, 'WAVE')) return 'wav';
+  if (hasAscii(bytes, 0, 'fLaC')) return 'flac';
+  if (hasAscii(bytes, 0, 'OggS')) return hasAscii(bytes, 28, 'OpusHead') ? 'opus' : 'ogg';
+  if (hasAscii(bytes, 0, 'FORM') && (hasAscii(bytes, 8, 'AIFF') || hasAscii(bytes, 8, 'AIFC'))) return 'aiff';
+  if (hasAscii(bytes, 0, 'caff')) return 'caf';
+  if (hasAscii(bytes, 4, 'ftyp')) {
+    if (hasAscii(bytes, 8, 'qt  ')) return 'mov';
+    return AUDIO_MP4_BRANDS.some((brand) => hasAscii(bytes, 8, brand)) ? 'm4a' : 'mp4';
+  }
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    // EBML。DocType が webm なら WebM、それ以外は Matroska
+    if (!containsAscii(bytes, 'webm')) return 'mkv';
+    return ext === 'weba' ? 'weba' : 'webm';
+  }
+  if (hasAscii(bytes, 0, 'ID3')) return 'mp3';
+  if (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0) return 'aac';
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0 && ((bytes[1] >> 1) & 3) !== 0) return 'mp3';
+  return null;
+}
+
+/**
+ * @param {MediaFormat} format
+ * @returns {boolean}
+ */
+function canPlay(format) {
+  if (!probe) probe = document.createElement('video');
+  return probe.canPlayType(format.mime) !== '';
+}
+
+/**
+ * ファイルを一覧に追加できるか判定する。File.type が audio/ のものはこれまでどおりそのまま受け付ける
+ * @param {File} file
+ * @returns {Promise<FileCheck>}
+ */
+export async function checkMediaFile(file) {
+  if (file.type.startsWith('audio/')) return { ok: true, format: file.type, video: false };
+  const ext = extensionOf(file);
+  let key = null;
+  try {
+    key = sniff(new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer()), ext);
+  } catch (_) {
+    return { ok: false, reason: 'ファイルを読み込めませんでした' };
+  }
+  // 先頭に余分なデータがある MP3 などはバイト列で判定できないので、拡張子を信じる
+  if (!key) key = EXTENSIONS[ext] ?? null;
+  if (!key) {
+    return { ok: false, reason: file.type ? `オーディオ・動画のファイルではありません（${file.type}）` : 'オーディオ・動画のファイルではありません' };
+  }
+  const format = FORMATS[key];
+  if (!canPlay(format)) return { ok: false, reason: `このブラウザでは再生できない形式です（${format.label}）` };
+  return { ok: true, format: format.label, video: format.video };
+}
+
+/**
+ * 動画コンテナのファイルか（一覧の表示用。File.type と拡張子で判定する）
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isVideoFile(file) {
+  if (file.type.startsWith('video/')) return true;
+  if (file.type.startsWith('audio/')) return false;
+  return FORMATS[EXTENSIONS[extensionOf(file)]]?.video ?? false;
+}
@@ -0,0 +1,98 @@
+/**
+ * 再生音の Web Audio グラフ。AudioContext は 1 つだけ作り、次の順につなぐ。
+ *   各ボイス（フェード → 曲ごとの音量補正。audio.js） → input → [エフェクト（ピッチシフター）] → master → analyser → destination
+ *                                                                                                    └→ stereo → splitter → channelAnalysers[L, R]
+ * レベルメーターは master の後ろの analyser を読むので、マスター音量・ミュートも含めて聞こえている音を表示する。
+ * channelAnalysers は L/R の波形（ピーク・RMS・相関・ゴニオメーター用）で、出力には戻さない。
+ * stereo はチャンネル数を 2 に固定してスピーカー配置でアップ／ダウンミックスするので、モノラルの曲は L/R 同じ波形になる。
+ */
+
+/** @typedef {{ ctx: AudioContext; input: GainNode; master: GainNode; analyser: AnalyserNode; channelAnalysers: AnalyserNode[] }} AudioGraph */
+
+/** 帯域別レベルメーター用の FFT サイズ */
+const FFT_SIZE = 256;
+
+/** チャンネル別メーター用の波形の長さ（サンプル） */
+const CHANNEL_FFT_SIZE = 2048;
+
+/** チャンネル別メーターで見るチャンネル数（L/R） */
+const METER_CHANNELS = 2;
+
+/** @type {AudioGraph | null} */
+let graph = null;
+
+/** @type {AudioNode | null} input と master の間に挟んでいるノード */
+let insert = null;
+
+/** 作る前に設定されたマスター音量（リニア、ミュート込み） */
+let masterGain = 1;
+
+/**
+ * グラフを用意して返す。初回呼び出しで AudioContext を作る。Web Audio API が使えない環境では null
+ * @param {{ create?: boolean }} [opts] create: false ならまだ作っていないときは作らずに null を返す（メーター表示用）
+ * @returns {AudioGraph | null}
+ */
+export function getAudioGraph({ create = true } = {}) {
+  if (graph || !create) return graph;
+  try {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const input = ctx.createGain();
+    const master = ctx.createGain();
+    master.gain.value = masterGain;
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    analyser.smoothingTimeConstant = 0.7;
+    analyser.minDecibels = -60;
+    analyser.maxDecibels = 0;
+    input.connect(master);
+    master.connect(analyser);
+    analyser.connect(ctx.destination);
+    // スプリッターは入力のチャンネルをそのまま分けるので、前に 2ch 固定のノードを挟んでモノラルを L/R に広げる
+    const stereo = ctx.createGain();
+    stereo.channelCount = METER_CHANNELS;
+    stereo.channelCountMode = 'explicit';
+    stereo.channelInterpretation = 'speakers';
+    const splitter = ctx.createChannelSplitter(METER_CHANNELS);
+    master.connect(stereo);
+    stereo.connect(splitter);
+    const channelAnalysers = Array.from({ length: METER_CHANNELS }, (_, c) => {
+      const node = ctx.createAnalyser();
+      node.fftSize = CHANNEL_FFT_SIZE;
+      splitter.connect(node, c);
+      return node;
+    });
+    graph = { ctx, input, master, analyser, channelAnalysers };
+  } catch (_) {
+    // Web Audio API が使えない環境では無視
+    return null;
+  }
+  return graph;
+}
+
+/**
+ * input と master の間にノードを挟む（すでに挟んでいるノードは外す）。null で直結に戻す
+ * @param {AudioNode | null} node
+ */
+export function setInsert(node) {
+  if (!graph || node === insert) return;
+  graph.input.disconnect();
+  insert?.disconnect();
+  insert = node;
+  if (node) {
+    graph.input.connect(node);
+    node.connect(graph.master);
+  } else {
+    graph.input.connect(graph.master);
+  }
+}
+
+/**
+ * マスター音量を反映する
+ * @param {{ volume: number; muted: boolean }} settings volume は 0〜1
+ */
+export function applyMasterVolume({ volume, muted }) {
+  masterGain = muted ? 0 : volume;
+  if (!graph) return;
+  // 操作中のプチノイズを避けるため少しなめらかに変える
+  graph.master.gain.setTargetAtTime(masterGain, graph.ctx.currentTime, 0.02);
+}
@@ -0,0 +1,125 @@
+/**
+ * ビートグリッド（一定テンポを前提にした拍・小節の位置）。
+ * web-audio-beat-detector の guess が返す BPM と最初の拍の位置（offset）に、拍ごとの立ち上がりの強さから推定した
+ * 小節頭（何拍目が 1 拍目か）を加えて持つ。
+ */
+
+/**
+ * offset は最初の拍の位置（秒、1 拍未満）、downbeat は offset から数えて最初の小節頭が何拍目か（0〜beatsPerBar-1）
+ * @typedef {{ bpm: number; offset: number; beatsPerBar: number; downbeat: number }} BeatGrid
+ */
+
+/** 1 小節の拍数（4/4 拍子を前提にする） */
+const BEATS_PER_BAR = 4;
+
+/** 立ち上がりの強さを測る窓（秒） */
+const ONSET_WINDOW_SECONDS = 0.05;
+
+/**
+ * 拍の位置の直後と直前のエネルギー差（立ち上がりの強さ）
+ * @param {Float32Array} data
+ * @param {number} center サンプル位置
+ * @param {number} win 窓のサンプル数
+ * @returns {number}
+ */
+function onsetStrength(data, center, win) {
+  let before = 0;
+  let after = 0;
+  for (let i = Math.max(0, center - win); i < center; i++) before += data[i] * data[i];
+  for (let i = center; i < Math.min(data.length, center + win); i++) after += data[i] * data[i];
+  return Math.max(0, after - before);
+}
+
+/**
+ * BPM と最初の拍の位置からビートグリッドを作る。拍ごとの立ち上がりの強さを拍の位置（小節内の何拍目か）ごとに合計し、
+ * いちばん強い位置を小節頭とみなす
+ * @param {AudioBuffer} buffer
+ * @param {number} bpm
+ * @param {number} offset
+ * @returns {BeatGrid}
+ */
+export function estimateBeatGrid(buffer, bpm, offset) {
+  const sr = buffer.sampleRate;
+  const data = buffer.getChannelData(0);
+  const beatSamples = (60 / bpm) * sr;
+  const win = Math.round(ONSET_WINDOW_SECONDS * sr);
+  const strength = new Array(BEATS_PER_BAR).fill(0);
+  for (let i = 0, pos = offset * sr; pos < data.length; i++, pos += beatSamples) {
+    strength[i % BEATS_PER_BAR] += onsetStrength(data, Math.round(pos), win);
+  }
+  const downbeat = strength.indexOf(Math.max(...strength));
+  return { bpm, offset: Math.round(offset * 1000) / 1000, beatsPerBar: BEATS_PER_BAR, downbeat };
+}
+
+/**
+ * @param {BeatGrid} grid
+ * @returns {number} 1 拍の秒数
+ */
+export function beatLength(grid) {
+  return 60 / grid.bpm;
+}
+
+/**
+ * @param {BeatGrid} grid
+ * @returns {number} 1 小節の秒数
+ */
+export function barLength(grid) {
+  return beatLength(grid) * grid.beatsPerBar;
+}
+
+/**
+ * @param {BeatGrid} grid
+ * @returns {number} 最初の小節頭の位置（秒）
+ */
+function firstDownbeat(grid) {
+  return grid.offset + grid.downbeat * beatLength(grid);
+}
+
+/**
+ * 位置（秒）が何小節目か（最初の小節頭を 1 小節目とし、その前の弱起は 0 小節目）
+ * @param {BeatGrid} grid
+ * @param {number} sec
+ * @returns {number}
+ */
+export function barNumberAt(grid, sec) {
+  return Math.max(0, Math.floor((sec - firstDownbeat(grid)) / barLength(grid)) + 1);
+}
+
+/**
+ * 素材の長さまでの拍の位置（秒）。isDownbeat は小節頭か
+ * @param {BeatGrid} grid
+ * @param {number} duration
+ * @returns {{ time: number; isDownbeat: boolean }[]}
+ */
+export function getBeats(grid, duration) {
+  const beat = beatLength(grid);
+  const out = [];
+  for (let i = 0, t = grid.offset; t < duration; i++, t = grid.offset + i * beat) {
+    out.push({ time: t, isDownbeat: (i - grid.downbeat) % grid.beatsPerBar === 0 });
+  }
+  return out;
+}
+
+/**
+ * 位置（秒）をいちばん近い小節頭に寄せる。0 より前にはしない
+ * @param {BeatGrid} grid
+ * @param {number} sec
+ * @returns {number}
+ */
+export function snapToBar(grid, sec) {
+  const bar = barLength(grid);
+  const first = firstDownbeat(grid);
+  const snapped = first + Math.round((sec - first) / bar) * bar;
+  return snapped < 0 ? snapped + bar : snapped;
+}
+
+/**
+ * 長さ（秒）を小節の整数倍に丸める（1 小節以上）
+ * @param {BeatGrid} grid
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function roundToBars(grid, seconds) {
+  const bar = barLength(grid);
+  return Math.max(1, Math.round(seconds / bar)) * bar;
+}
@@ -0,0 +1,303 @@
+/**
+ * デコード済み AudioBuffer を AudioBufferSourceNode で再生するプレイヤー。
+ * HTMLAudioElement と同じ感覚で扱えるよう src / currentTime / playbackRate / paused / readyState /
+ * play() / pause() / addEventListener('canplay' | 'ended') を備える。play() の Promise は audio 要素と同じく鳴り始めたときに解決し、
+ * その前に pause() や src の変更があれば AbortError、デコードできなければ NotSupportedError で拒否する。
+ * ループは source.loop / loopStart / loopEnd でサンプル単位に繋ぎ、最大再生時間は source.stop() で止める。
+ * 呼び出し側でデコード済みのバッファがあれば setSource() で渡し、同じファイルを二度読み込まない。
+ */
+
+/**
+ * @typedef {{ loop: boolean; start: number; end: number | null }} LoopRegion
+ */
+
+/** 最大再生時間を解除するときに stop() を先送りする秒数（stop() は最後に呼んだ時刻だけが効く） */
+const NO_STOP_SECONDS = 1e9;
+
+/**
+ * @param {() => { ctx: AudioContext; output: AudioNode } | null} getOutput 出力先（未対応環境では null）
+ */
+export function createBufferPlayer(getOutput) {
+  const events = new EventTarget();
+
+  /** @type {string} */
+  let src = '';
+  /** src 変更ごとに増やし、古いデコード結果を捨てる */
+  let loadToken = 0;
+  /** @type {AudioBuffer | null} */
+  let buffer = null;
+  /** @type {AudioBufferSourceNode | null} */
+  let source = null;
+  /** @type {AudioContext | null} */
+  let ctx = null;
+
+  let paused = true;
+  let wantPlay = false;
+  let rate = 1;
+  /** @type {LoopRegion} */
+  let region = { loop: false, start: 0, end: null };
+
+  /** 停止中の再生位置、再生中はアンカー時点の再生位置（ループで折り返す前の位置） */
+  let anchorPos = 0;
+  /** アンカーを打った AudioContext 時刻 */
+  let anchorCtxTime = 0;
+  /** アンカーまでに再生した素材秒数（src 読み込みから累計） */
+  let anchorPlayed = 0;
+  /** アンカーまでにループで巻き戻した秒数の累計 */
+  let anchorLooped = 0;
+  /** 累計再生秒数がここに達したら止める。null なら止めない */
+  let stopAtPlayed = null;
+  /** @type {{ resolve: () => void; reject: (error: DOMException) => void }[]} デコードを待っている play() の Promise */
+  let playWaiters = [];
+
+  /**
+   * デコード待ちの play() の Promise を片付ける
+   * @param {DOMException | null} error null なら解決
+   */
+  function settlePlayWaiters(error) {
+    const waiters = playWaiters;
+    playWaiters = [];
+    for (const w of waiters) {
+      if (error) w.reject(error);
+      else w.resolve();
+    }
+  }
+
+  function loopBounds() {
+    const duration = buffer ? buffer.duration : 0;
+    const end = region.end != null && region.end > 0 ? Math.min(region.end, duration) : duration;
+    const start = region.start > 0 && region.start < end ? region.start : 0;
+    return { start, end };
+  }
+
+  /**
+   * アンカー以降の状態を ctx 時刻 t で計算する
+   * @param {number} t
+   */
+  function stateAt(t) {
+    let advanced = paused ? 0 : Math.max(0, (t - anchorCtxTime) * rate);
+    if (stopAtPlayed != null) advanced = Math.min(advanced, Math.max(0, stopAtPlayed - anchorPlayed));
+    let pos = anchorPos + advanced;
+    let looped = anchorLooped;
+    const { start, end } = loopBounds();
+    const len = end - start;
+    if (region.loop && len > 0 && pos >= end) {
+      const passes = Math.floor((pos - start) / len);
+      pos -= passes * len;
+      looped += passes * len;
+    } else if (buffer) {
+      pos = Math.min(pos, buffer.duration);
+    }
+    return { pos, looped, played: anchorPlayed + advanced };
+  }
+
+  function now() {
+    return ctx ? ctx.currentTime : 0;
+  }
+
+  /** 現在の状態でアンカーを打ち直す（速度やループ区間を変える前に呼ぶ） */
+  function reanchor() {
+    const t = now();
+    const s = stateAt(t);
+    anchorPos = s.pos;
+    anchorLooped = s.looped;
+    anchorPlayed = s.played;
+    anchorCtxTime = t;
+  }
+
+  function applyStop() {
+    if (!source) return;
+    if (stopAtPlayed == null) {
+      source.stop(now() + NO_STOP_SECONDS);
+      return;
+    }
+    const remaining = Math.max(0, stopAtPlayed - anchorPlayed);
+    source.stop(anchorCtxTime + remaining / rate);
+  }
+
+  function applyRegion() {
+    if (!source || !buffer) return;
+    const { start, end } = loopBounds();
+    source.loop = region.loop;
+    source.loopStart = start;
+    source.loopEnd = end;
+  }
+
+  function releaseSource() {
+    if (!source) return;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch (_) {}
+    source.disconnect();
+    source = null;
+  }
+
+  function startSource() {
+    const out = getOutput();
+    if (!out || !buffer) return;
+    ctx = out.ctx;
+    if (ctx.state === 'suspended') ctx.resume?.();
+    releaseSource();
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.playbackRate.value = rate;
+    node.connect(out.output);
+    source = node;
+    applyRegion();
+    anchorCtxTime = ctx.currentTime;
+    paused = false;
+    node.onended = () => {
+      if (source !== node) return;
+      reanchor();
+      paused = true;
+      stopAtPlayed = null;
+      releaseSource();
+      events.dispatchEvent(new Event('ended'));
+    };
+    node.start(anchorCtxTime, Math.min(anchorPos, buffer.duration));
+    if (stopAtPlayed != null) applyStop();
+  }
+
+  /**
+   * @param {string} url
+   * @param {number} token
+   * @param {Promise<AudioBuffer> | null} predecoded 呼び出し側でデコードしたバッファ。null なら url を読んでデコードする
+   */
+  function load(url, token, predecoded) {
+    const out = getOutput();
+    if (!out) return;
+    (predecoded ?? fetch(url).then((res) => res.arrayBuffer()).then((data) => out.ctx.decodeAudioData(data)))
+      .then((decoded) => {
+        if (token !== loadToken) return;
+        buffer = decoded;
+        events.dispatchEvent(new Event('canplay'));
+        if (wantPlay) startSource();
+        settlePlayWaiters(null);
+      })
+      .catch(() => {
+        if (token === loadToken) settlePlayWaiters(new DOMException('デコードできませんでした', 'NotSupportedError'));
+      });
+  }
+
+  /**
+   * @param {string} url
+   * @param {Promise<AudioBuffer> | null} decoded
+   */
+  function setSrc(url, decoded) {
+    settlePlayWaiters(new DOMException('src が変わりました', 'AbortError'));
+    releaseSource();
+    src = url;
+    buffer = null;
+    paused = true;
+    wantPlay = false;
+    anchorPos = 0;
+    anchorPlayed = 0;
+    anchorLooped = 0;
+    stopAtPlayed = null;
+    loadToken++;
+    if (url) load(url, loadToken, decoded);
+  }
+
+  return {
+    get src() {
+      return src;
+    },
+    set src(url) {
+      setSrc(url, null);
+    },
+    /**
+     * src を url にし、url を読み直す代わりにデコード済みのバッファ（同じファイルをデコードしたもの）を使う
+     * @param {string} url
+     * @param {Promise<AudioBuffer>} decoded
+     */
+    setSource(url, decoded) {
+      setSrc(url, decoded);
+    },
+    /** 0 = 読み込み中、4 = デコード済み（HTMLMediaElement の HAVE_NOTHING / HAVE_ENOUGH_DATA に相当） */
+    get readyState() {
+      return buffer ? 4 : 0;
+    },
+    get duration() {
+      return buffer ? buffer.duration : NaN;
+    },
+    get paused() {
+      return paused;
+    },
+    get currentTime() {
+      return stateAt(now()).pos;
+    },
+    set currentTime(sec) {
+      reanchor();
+      anchorPos = Math.max(0, Number(sec) || 0);
+      if (buffer) anchorPos = Math.min(anchorPos, buffer.duration);
+      if (!paused) startSource();
+    },
+    get playbackRate() {
+      return rate;
+    },
+    set playbackRate(value) {
+      const r = Number(value);
+      if (!Number.isFinite(r) || r <= 0 || r === rate) return;
+      reanchor();
+      rate = r;
+      if (source) {
+        source.playbackRate.value = r;
+        applyStop();
+      }
+    },
+    /** 読み込み後、ループで巻き戻した秒数の累計（再生経過の計算用） */
+    get loopedSeconds() {
+      return stateAt(now()).looped;
+    },
+    /**
+     * @param {LoopRegion} next
+     */
+    setLoopRegion(next) {
+      if (next.loop === region.loop && next.start === region.start && next.end === region.end) return;
+      reanchor();
+      region = { ...next };
+      applyRegion();
+    },
+    /**
+     * 今からあと sec 秒（素材時間）再生したところで止める。null で解除（止める時刻を消すだけで、再生はそのまま続ける）。
+     * @param {number | null} sec
+     */
+    stopAfter(sec) {
+      reanchor();
+      const target = sec != null ? anchorPlayed + Math.max(0, sec) : null;
+      if (target === stopAtPlayed || (target != null && stopAtPlayed != null && Math.abs(target - stopAtPlayed) < 0.001)) return;
+      stopAtPlayed = target;
+      applyStop();
+    },
+    play() {
+      wantPlay = true;
+      if (!buffer) return new Promise((resolve, reject) => playWaiters.push({ resolve, reject }));
+      if (paused) startSource();
+      return Promise.resolve();
+    },
+    pause() {
+      settlePlayWaiters(new DOMException('pause() で止めました', 'AbortError'));
+      wantPlay = false;
+      if (paused) return;
+      reanchor();
+      paused = true;
+      releaseSource();
+    },
+    /**
+     * @param {string} type
+     * @param {EventListener} listener
+     * @param {AddEventListenerOptions} [options]
+     */
+    addEventListener(type, listener, options) {
+      events.addEventListener(type, listener, options);
+    },
+    /**
+     * @param {string} type
+     * @param {EventListener} listener
+     */
+    removeEventListener(type, listener) {
+      events.removeEventListener(type, listener);
+    },
+  };
+}
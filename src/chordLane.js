@@ -0,0 +1,122 @@
+import { chordIndexAt } from './chordTimeline.js';
+import { transposeKey } from './harmonic.js';
+
+/**
+ * 再生中の曲のコード進行を横スクロールのレーンで表示する（再生位置のコードを強調し、クリックでその位置へシーク）。
+ * テキスト・LRC の書き出しボタンも置く。コードは聞こえている音程のずれに合わせて移調して表示する。
+ */
+
+/** レーンの横幅（1 秒あたりの px） */
+const PX_PER_SECOND = 24;
+
+/** @type {Record<import('./state.js').AnalysisStatus['state'], string>} コード進行が無いときの表示 */
+const STATUS_TEXT = { pending: '解析待ち', running: '解析中…', done: '', failed: 'コードを判定できませんでした' };
+
+/** @type {HTMLElement | null} */
+let trackEl = null;
+/** @type {HTMLElement | null} */
+let messageEl = null;
+/** @type {HTMLButtonElement[]} */
+let exportButtons = [];
+
+/** 描画中の内容（変わったときだけ作り直す） */
+let rendered = { chords: null, status: null, shift: 0 };
+
+/** @type {number} 強調中の区間のインデックス */
+let activeIndex = -1;
+
+/** @type {(sec: number) => void} */
+let onSeek = () => {};
+
+/**
+ * @param {HTMLElement} el
+ * @param {{ onSeek: (sec: number) => void; onExport: (format: 'text' | 'lrc') => void }} handlers
+ */
+export function initChordLane(el, handlers) {
+  onSeek = handlers.onSeek;
+  const label = document.createElement('span');
+  label.className = 'realtime-tonal-label';
+  label.textContent = 'コード進行:';
+  trackEl = document.createElement('div');
+  trackEl.className = 'chord-lane-track';
+  messageEl = document.createElement('span');
+  messageEl.className = 'chord-lane-message';
+  messageEl.textContent = '—';
+  trackEl.appendChild(messageEl);
+  exportButtons = [
+    { format: 'text', text: 'テキスト', title: 'コード進行を開始位置・小節・コードのテキストで保存（解析したままの音程）' },
+    { format: 'lrc', text: 'LRC', title: 'コード進行を LRC 形式で保存（解析したままの音程）' },
+  ].map(({ format, text, title }) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toolbar-btn chord-lane-export';
+    btn.textContent = text;
+    btn.title = title;
+    btn.disabled = true;
+    btn.addEventListener('click', () => handlers.onExport(format));
+    return btn;
+  });
+  el.append(label, trackEl, ...exportButtons);
+}
+
+/**
+ * @param {import('./chordTimeline.js').ChordSegment[]} chords
+ * @param {number} shift 半音
+ */
+function renderSegments(chords, shift) {
+  trackEl.replaceChildren(
+    ...chords.map((seg) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chord-lane-segment';
+      btn.style.width = `${(seg.end - seg.start) * PX_PER_SECOND}px`;
+      btn.textContent = transposeKey(seg.chord, shift);
+      btn.title = `${btn.textContent}（${seg.start.toFixed(1)}〜${seg.end.toFixed(1)} 秒）`;
+      btn.addEventListener('click', () => onSeek(seg.start));
+      return btn;
+    })
+  );
+}
+
+/**
+ * 強調する区間を変え、レーンの外に出ていればスクロールして見せる（ポインタがレーン上にある間は動かさない）
+ * @param {number} index
+ */
+function setActive(index) {
+  if (index === activeIndex) return;
+  trackEl.children[activeIndex]?.classList.remove('is-active');
+  activeIndex = index;
+  const el = trackEl.children[index];
+  if (!el) return;
+  el.classList.add('is-active');
+  if (trackEl.matches(':hover')) return;
+  const left = el.offsetLeft - trackEl.offsetLeft;
+  if (left < trackEl.scrollLeft || left + el.offsetWidth > trackEl.scrollLeft + trackEl.clientWidth) {
+    trackEl.scrollLeft = Math.max(0, left - trackEl.clientWidth / 3);
+  }
+}
+
+/**
+ * 再生中の曲・位置に合わせて表示を更新する（定期的に呼ぶ）
+ * @param {import('./state.js').ListItem | null} item 停止中は null
+ * @param {number} sec 素材上の再生位置
+ * @param {number} shift 聞こえている音程のずれ（半音、整数）
+ */
+export function updateChordLane(item, sec, shift) {
+  if (!trackEl) return;
+  const chords = item?.chords ?? null;
+  const status = item ? item.analysisStatus.chords.state : null;
+  if (chords !== rendered.chords || status !== rendered.status || (chords && shift !== rendered.shift)) {
+    rendered = { chords, status, shift };
+    activeIndex = -1;
+    trackEl.scrollLeft = 0;
+    if (chords) {
+      renderSegments(chords, shift);
+    } else {
+      messageEl.textContent = item ? STATUS_TEXT[status] || '—' : '—';
+      trackEl.replaceChildren(messageEl);
+    }
+    for (const btn of exportButtons) btn.disabled = !chords;
+  }
+  if (chords) setActive(chordIndexAt(chords, sec));
+}
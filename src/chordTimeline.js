@@ -0,0 +1,109 @@
+import { barNumberAt } from './beatGrid.js';
+
+/**
+ * 曲全体のコード進行（コードが変わる位置ごとの区間）と、テキスト・LRC 形式の書き出し。
+ * 区間は解析ワーカーで ChordsDetection のフレームごとの結果をまとめて作る。
+ */
+
+/** start / end は素材上の位置（秒） @typedef {{ start: number; end: number; chord: string }} ChordSegment */
+
+/** これより短い区間は前の区間に含める（秒）。フレーム単位の揺れを拾わないため */
+const MIN_SEGMENT_SECONDS = 0.5;
+
+/**
+ * @param {number} sec
+ * @returns {number} 小数 2 桁に丸めた秒
+ */
+function roundTime(sec) {
+  return Math.round(sec * 100) / 100;
+}
+
+/**
+ * フレームごとのコードを、同じコードが続く区間にまとめる。判定できなかったフレーム（null）は前のコードが続いているとみなす
+ * @param {(string | null)[]} frameChords
+ * @param {number} hopSeconds 1 フレームの秒数
+ * @returns {ChordSegment[]}
+ */
+export function toChordSegments(frameChords, hopSeconds) {
+  /** @type {ChordSegment[]} */
+  const out = [];
+  frameChords.forEach((chord, i) => {
+    const last = out[out.length - 1];
+    const end = (i + 1) * hopSeconds;
+    if (!chord || last?.chord === chord) {
+      if (last) last.end = end;
+      return;
+    }
+    let start = i * hopSeconds;
+    if (last && last.end - last.start < MIN_SEGMENT_SECONDS) {
+      // 短すぎる区間は 1 つ前に含め（先頭なら次の区間に含め）、前と同じコードに戻ったならつなげる
+      const prev = out[out.length - 2];
+      out.pop();
+      if (prev?.chord === chord) {
+        prev.end = end;
+        return;
+      }
+      if (prev) prev.end = last.end;
+      else start = last.start;
+    }
+    out.push({ start, end, chord });
+  });
+  return out.map((seg) => ({ start: roundTime(seg.start), end: roundTime(seg.end), chord: seg.chord }));
+}
+
+/**
+ * 位置（秒）を含む区間のインデックス。どの区間にも入らなければ -1
+ * @param {ChordSegment[]} segments
+ * @param {number} sec
+ * @returns {number}
+ */
+export function chordIndexAt(segments, sec) {
+  let lo = 0;
+  let hi = segments.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sec < segments[mid].start) hi = mid - 1;
+    else if (sec >= segments[mid].end) lo = mid + 1;
+    else return mid;
+  }
+  return -1;
+}
+
+/**
+ * "M:SS.ss" 形式
+ * @param {number} sec
+ * @returns {string}
+ */
+function formatChartTime(sec) {
+  const m = Math.floor(sec / 60);
+  return `${m}:${(sec - m * 60).toFixed(2).padStart(5, '0')}`;
+}
+
+/**
+ * コード譜（1 行 1 コード、タブ区切りで 開始位置・小節・コード）。ビートグリッドが無ければ小節の列は空
+ * @param {string} name 曲名（見出しに使う）
+ * @param {ChordSegment[]} segments
+ * @param {import('./beatGrid.js').BeatGrid | null} [beatGrid]
+ * @returns {string}
+ */
+export function chordsToText(name, segments, beatGrid = null) {
+  const lines = [`# ${name}`, '# 開始\t小節\tコード'];
+  for (const { start, chord } of segments) {
+    lines.push(`${formatChartTime(start)}\t${beatGrid ? barNumberAt(beatGrid, start) : ''}\t${chord}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * LRC 形式（歌詞の代わりにコード名を時刻タグ付きで並べる）
+ * @param {string} name
+ * @param {ChordSegment[]} segments
+ * @returns {string}
+ */
+export function chordsToLrc(name, segments) {
+  const tag = (sec) => {
+    const m = Math.floor(sec / 60);
+    return `[${String(m).padStart(2, '0')}:${(sec - m * 60).toFixed(2).padStart(5, '0')}]`;
+  };
+  return [`[ti:${name}]`, ...segments.map(({ start, chord }) => `${tag(start)}${chord}`)].join('\n') + '\n';
+}
@@ -0,0 +1,64 @@
+/**
+ * アプリ共通の IndexedDB。解析キャッシュとセッション保存で同じ DB を使う。
+ * ストアを追加したら DB_VERSION を上げ、onupgradeneeded で無いストアを作る。
+ */
+
+const DB_NAME = 'audio-preview';
+const DB_VERSION = 2;
+
+/** 解析結果キャッシュ（キー: ファイル内容のハッシュ） */
+export const ANALYSIS_STORE = 'analysis';
+/** 前回セッションのリスト（キー: 'last'） */
+export const SESSION_STORE = 'session';
+/** 前回セッションのファイル本体またはファイルハンドル（キー: アイテム id） */
+export const SESSION_FILES_STORE = 'sessionFiles';
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(ANALYSIS_STORE)) db.createObjectStore(ANALYSIS_STORE, { keyPath: 'hash' });
+      if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(SESSION_FILES_STORE)) db.createObjectStore(SESSION_FILES_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * @param {string} name ストア名
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<IDBObjectStore>}
+ */
+export async function getStore(name, mode) {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
@@ -1,23 +1,50 @@
 import { addFiles, loadListData } from './state.js';
-import { textToList } from './listSaveLoad.js';
+import { parseListFile, isListFile } from './listSaveLoad.js';
+import { rememberFileHandle } from './session.js';
+import { checkMediaFile, MEDIA_ACCEPT } from './audioFormat.js';
 
 /**
- * ファイル一覧をオーディオとリスト用txtに分ける
+ * name は一覧に出す名前（フォルダからの相対パスがあればそれ）
+ * @typedef {{ name: string; reason: string }} RejectedFile
+ */
+
+/** @type {(rejected: RejectedFile[]) => void} */
+let onRejectedFiles = () => {};
+
+/**
+ * 追加できなかったファイルがあったときに呼ばれるコールバックを登録する
+ * @param {(rejected: RejectedFile[]) => void} fn
+ */
+export function setOnRejectedFiles(fn) {
+  onRejectedFiles = fn;
+}
+
+/**
+ * ファイル一覧をリストファイル（txt / json）とそれ以外（オーディオ・動画かどうかはこの後で判定する）に分ける。
+ * フォルダの中の txt / json は素材に付いてきた説明書きなどのことが多いので、リストファイルとしては扱わない。
+ * フォルダの中の隠しファイル（.DS_Store など）は黙って飛ばす
  * @param {File[]} files
- * @returns {{ audioFiles: File[]; txtFiles: File[] }}
+ * @param {(string | null)[]} relativePaths フォルダからの相対パス（フォルダの外のファイルは null）
+ * @returns {{ mediaFiles: File[]; mediaPaths: (string | null)[]; txtFiles: File[] }}
  */
-function splitFiles(files) {
-  const audioFiles = [];
+function splitFiles(files, relativePaths) {
+  const mediaFiles = [];
+  const mediaPaths = [];
   const txtFiles = [];
-  for (const f of files) {
-    if (f.type.startsWith('audio/')) audioFiles.push(f);
-    else if (f.name.toLowerCase().endsWith('.txt') || f.type === 'text/plain') txtFiles.push(f);
-  }
-  return { audioFiles, txtFiles };
+  files.forEach((f, i) => {
+    const path = relativePaths[i] ?? null;
+    if (!path && !f.type.startsWith('audio/') && isListFile(f)) {
+      txtFiles.push(f);
+    } else if (!(path && f.name.startsWith('.'))) {
+      mediaFiles.push(f);
+      mediaPaths.push(path);
+    }
+  });
+  return { mediaFiles, mediaPaths, txtFiles };
 }
 
 /**
- * リスト用txtを1件読み込んで loadListData を実行
+ * リストファイル（txt / json）を1件読み込んで loadListData を実行
  * @param {File} file
  * @param {() => void} done
  */
@@ -25,8 +52,8 @@ function loadOneTxt(file, done) {
   const reader = new FileReader();
   reader.onload = () => {
     const text = typeof reader.result === 'string' ? reader.result : '';
-    const parsed = textToList(text);
-    if (parsed.length) loadListData(parsed);
+    const data = parseListFile(text);
+    if (data) loadListData(data.items, data.defaults);
     done();
   };
   reader.onerror = done;
@@ -34,35 +61,142 @@ function loadOneTxt(file, done) {
 }
 
 /**
- * オーディオ追加とリストtxtの適用（txtは1つだけ、最初のものを使用）
+ * オーディオ追加とリストファイルの適用（リストファイルは1つだけ、最初のものを使用）。
+ * File.type に頼らず形式を判定し、追加できなかったファイルは理由と一緒に onRejectedFiles で知らせる
  * @param {File[]} files
+ * @param {(string | null)[]} [relativePaths] フォルダからの相対パス（files と同じ並び）
  */
-function processFiles(files) {
-  const { audioFiles, txtFiles } = splitFiles(Array.from(files));
-  if (audioFiles.length) addFiles(audioFiles);
+async function processFiles(files, relativePaths = []) {
+  const { mediaFiles, mediaPaths, txtFiles } = splitFiles(files, relativePaths);
+  const checks = await Promise.all(mediaFiles.map(checkMediaFile));
+  const accepted = [];
+  const acceptedPaths = [];
+  /** @type {RejectedFile[]} */
+  const rejected = [];
+  checks.forEach((check, i) => {
+    if (check.ok) {
+      accepted.push(mediaFiles[i]);
+      acceptedPaths.push(mediaPaths[i]);
+    } else {
+      rejected.push({ name: mediaPaths[i] ?? mediaFiles[i].name, reason: check.reason });
+    }
+  });
+  if (accepted.length) addFiles(accepted, acceptedPaths);
+  if (rejected.length) onRejectedFiles(rejected);
   const txtFile = txtFiles[0];
   if (txtFile) {
     loadOneTxt(txtFile, () => {});
   }
 }
 
+/**
+ * ドロップされた項目をたどり、中のファイルとフォルダからの相対パスを集める（フォルダは再帰的に、名前順）。
+ * ドロップしたフォルダ自身の名前も相対パスに含める（"assets/bgm/bgm.ogg"）。フォルダの外のファイルの相対パスは null
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<{ file: File; relativePath: string | null }[]>}
+ */
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    const path = entry.fullPath.replace(/^\//, '');
+    return [{ file, relativePath: path.includes('/') ? path : null }];
+  }
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries は一度に全部を返すとは限らないので、空が返るまで読む
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    children.push(...batch);
+  }
+  children.sort((a, b) => a.name.localeCompare(b.name, 'ja', { numeric: true }));
+  const nested = [];
+  for (const child of children) {
+    try {
+      nested.push(...(await readEntry(child)));
+    } catch (_) {
+      // 読めないファイル・フォルダは飛ばす
+    }
+  }
+  return nested;
+}
+
+/**
+ * フォルダを含むドロップを読み、相対パス付きで追加する
+ * @param {FileSystemEntry[]} entries drop イベント中に webkitGetAsEntry で取ったもの
+ */
+async function processEntries(entries) {
+  const found = [];
+  for (const entry of entries) {
+    try {
+      found.push(...(await readEntry(entry)));
+    } catch (_) {}
+  }
+  processFiles(
+    found.map((f) => f.file),
+    found.map((f) => f.relativePath)
+  );
+}
+
+/**
+ * ドロップされたファイルの File System Access ハンドルを取って覚えておく（対応ブラウザのみ。セッション復元用）。
+ * getAsFileSystemHandle は drop イベント中に呼ぶ必要がある。
+ * @param {DataTransfer} dataTransfer
+ */
+function rememberDroppedHandles(dataTransfer) {
+  const files = Array.from(dataTransfer.files);
+  const entries = Array.from(dataTransfer.items).filter((it) => it.kind === 'file');
+  if (entries.length !== files.length || typeof entries[0]?.getAsFileSystemHandle !== 'function') return;
+  entries.forEach((entry, i) => {
+    entry.getAsFileSystemHandle()
+      .then((handle) => {
+        if (handle?.kind === 'file') rememberFileHandle(files[i], handle);
+      })
+      .catch(() => {});
+  });
+}
+
 /**
  * @param {HTMLElement} el
  */
 export function initDropzone(el) {
   const label = document.createElement('span');
-  label.textContent = 'オーディオファイル・リストtxtをドラッグ＆ドロップ または クリックして選択';
+  label.textContent = 'オーディオ・動画ファイル・フォルダ・リストファイル（txt / json）をドラッグ＆ドロップ または クリックして選択';
   label.className = 'dropzone-label';
   el.appendChild(label);
 
+  const folderBtn = document.createElement('button');
+  folderBtn.type = 'button';
+  folderBtn.className = 'toolbar-btn dropzone-folder-btn';
+  folderBtn.textContent = 'フォルダを開く';
+  folderBtn.title = 'フォルダを選び、中のオーディオファイルをサブフォルダも含めて追加する';
+  el.appendChild(folderBtn);
+
+  const folderInput = document.createElement('input');
+  folderInput.type = 'file';
+  folderInput.webkitdirectory = true;
+  folderInput.multiple = true;
+  folderInput.style.display = 'none';
+  el.appendChild(folderInput);
+
   const input = document.createElement('input');
   input.type = 'file';
-  input.accept = 'audio/*,.txt,text/plain';
+  // 拡張子も並べておく（File.type が空になる FLAC・Opus・Matroska などを選べるように）
+  input.accept = `${MEDIA_ACCEPT},.txt,.json,text/plain,application/json`;
   input.multiple = true;
   input.style.display = 'none';
   el.appendChild(input);
 
-  el.addEventListener('click', () => input.click());
+  el.addEventListener('click', (e) => {
+    // 中の input・ボタンの click（folderInput.click() など）も届くので、枠と案内文のクリックだけでファイル選択を開く
+    if (e.target !== el && e.target !== label) return;
+    input.click();
+  });
+  folderBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    folderInput.click();
+  });
 
   el.addEventListener('dragover', (e) => {
     e.preventDefault();
@@ -81,7 +215,18 @@ export function initDropzone(el) {
     e.stopPropagation();
     el.classList.remove('dragover');
     const files = e.dataTransfer?.files;
-    if (files?.length) processFiles(Array.from(files));
+    if (!files?.length) return;
+    rememberDroppedHandles(e.dataTransfer);
+    // webkitGetAsEntry は drop イベント中にしか取れないので、先に取っておく
+    const entries = Array.from(e.dataTransfer.items ?? [])
+      .filter((it) => it.kind === 'file')
+      .map((it) => it.webkitGetAsEntry?.())
+      .filter(Boolean);
+    if (entries.some((entry) => entry.isDirectory)) {
+      processEntries(entries);
+      return;
+    }
+    processFiles(Array.from(files));
   });
 
   input.addEventListener('change', () => {
@@ -89,4 +234,12 @@ export function initDropzone(el) {
     if (files?.length) processFiles(Array.from(files));
     input.value = '';
   });
+
+  folderInput.addEventListener('change', () => {
+    const files = Array.from(folderInput.files ?? []).sort((a, b) =>
+      a.webkitRelativePath.localeCompare(b.webkitRelativePath, 'ja', { numeric: true })
+    );
+    if (files.length) processFiles(files, files.map((f) => f.webkitRelativePath || null));
+    folderInput.value = '';
+  });
 }
@@ -0,0 +1,52 @@
+/**
+ * Essentia.js（WASM 本体を含む）を npm パッケージからビルドに同梱して読み込む。
+ * メインスレッドとワーカーの両方から使う。オフラインでも動くよう CDN には取りに行かない。
+ *
+ * web 版の WASM ローダー（essentia-wasm.web.js）は module worker の中では document.currentScript を参照して失敗するので、
+ * ワーカーでは WASM を埋め込んだ ES モジュール版（essentia-wasm.es.js）を使う。ES モジュール版は WASM を同期でコンパイルするため、
+ * メインスレッドでは使えない（大きな WASM の同期コンパイルはブラウザが拒否する）。そちらは web 版に .wasm の URL を渡す。
+ */
+
+/** @type {Promise<{ wasm: object; essentia: object }> | null} */
+let essentiaPromise = null;
+
+/**
+ * WASM モジュールを読み込む
+ * @returns {Promise<object>}
+ */
+function loadWasm() {
+  if (typeof document === 'undefined') {
+    return import('essentia.js/dist/essentia-wasm.es.js').then((m) => m.EssentiaWASM);
+  }
+  return Promise.all([
+    import('essentia.js/dist/essentia-wasm.web.js'),
+    import('essentia.js/dist/essentia-wasm.web.wasm?url'),
+  ]).then(([wasmModule, wasmUrl]) => wasmModule.default({ locateFile: () => wasmUrl.default }));
+}
+
+/**
+ * Essentia のアルゴリズムが返したベクトルなど（embind のオブジェクト）を WASM のヒープから解放する。
+ * JS の GC では解放されないので、値を JS の配列に写したら呼ぶ（使い回すワーカーでヒープが尽きないように）。
+ * delete() を持たない値（数値・文字列・JS の配列）と null は無視する
+ * @param {...unknown} values
+ */
+export function deleteVectors(...values) {
+  for (const v of values) {
+    if (v && typeof v.delete === 'function' && !v.isDeleted?.()) v.delete();
+  }
+}
+
+/**
+ * WASM モジュールと Essentia インスタンスを返す（初回のみ読み込み。JS 本体も必要になるまで読まない）
+ * @returns {Promise<{ wasm: object; essentia: object }>}
+ */
+export function loadEssentia() {
+  if (!essentiaPromise) {
+    essentiaPromise = Promise.all([loadWasm(), import('essentia.js/dist/essentia.js-core.es.js')])
+      .then(([wasm, core]) => ({ wasm, essentia: new core.default(wasm) }));
+    essentiaPromise.catch(() => {
+      essentiaPromise = null;
+    });
+  }
+  return essentiaPromise;
+}
@@ -0,0 +1,201 @@
+/**
+ * ハーモニックミキシング用のキー表記（Camelot / Open Key）と、キー・BPM の相性による次の曲の候補・自動並べ替え。
+ * キーは解析結果の "C major" / "A minor" / "F# minor" / "Bb major" 形式を受け付ける。
+ */
+
+/** @typedef {'name' | 'camelot' | 'openKey'} KeyNotation */
+
+/** @typedef {{ number: number; letter: 'A' | 'B' }} CamelotKey  A = マイナー、B = メジャー */
+
+/** @typedef {'same' | 'adjacent' | 'relative'} KeyRelation */
+
+/** @typedef {{ notation: KeyNotation; bpmTolerance: number }} HarmonicSettings  bpmTolerance は BPM 差の許容幅（%） */
+
+/** @type {{ value: KeyNotation; label: string }[]} */
+export const KEY_NOTATIONS = [
+  { value: 'name', label: '音名' },
+  { value: 'camelot', label: 'Camelot' },
+  { value: 'openKey', label: 'Open Key' },
+];
+
+/** @type {Record<KeyRelation, string>} */
+export const KEY_RELATION_LABELS = { same: '同じキー', adjacent: '隣のキー（±1）', relative: '平行調' };
+
+/** 音名 → ピッチクラス（C = 0） */
+const PITCH_CLASSES = {
+  C: 0, 'C#': 1, Db: 1, D: 2, 'D#': 3, Eb: 3, E: 4, F: 5, 'F#': 6, Gb: 6,
+  G: 7, 'G#': 8, Ab: 8, A: 9, 'A#': 10, Bb: 10, B: 11,
+};
+
+/** 移調後の音名 */
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/** キーが分からない曲どうしをつなぐときのコスト（隣のキーへの移動 3 回分） */
+const UNKNOWN_KEY_COST = 3;
+
+/** BPM が分からない曲とつなぐときのテンポ側のコスト（許容幅を半分越える BPM 差と同じ扱い） */
+const UNKNOWN_BPM_COST = 1.5;
+
+/** @type {HarmonicSettings} */
+let settings = { notation: 'name', bpmTolerance: 6 };
+
+/** @type {() => void} */
+let onSettingsChange = () => {};
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToHarmonicSettings(fn) {
+  onSettingsChange = fn;
+}
+
+/** @returns {HarmonicSettings} */
+export function getHarmonicSettings() {
+  return { ...settings };
+}
+
+/**
+ * @param {Partial<HarmonicSettings>} patch
+ */
+export function setHarmonicSettings(patch) {
+  const next = { ...settings };
+  if (patch.notation && KEY_NOTATIONS.some((n) => n.value === patch.notation)) next.notation = patch.notation;
+  if (Number.isFinite(patch.bpmTolerance) && patch.bpmTolerance >= 0) next.bpmTolerance = patch.bpmTolerance;
+  if (next.notation === settings.notation && next.bpmTolerance === settings.bpmTolerance) return;
+  settings = next;
+  onSettingsChange();
+}
+
+/**
+ * "A minor" などを Camelot 表記の番号・文字にする。読めないキーは null
+ * @param {string | null} key
+ * @returns {CamelotKey | null}
+ */
+export function toCamelot(key) {
+  if (!key) return null;
+  const [note, scale] = key.trim().split(/\s+/);
+  const pc = PITCH_CLASSES[note];
+  if (pc === undefined || (scale !== 'major' && scale !== 'minor')) return null;
+  // 平行調のメジャーで五度圏の位置を決める（C major = 8B、A minor = 8A）
+  const majorPc = scale === 'minor' ? (pc + 3) % 12 : pc;
+  return { number: ((majorPc * 7 + 7) % 12) + 1, letter: scale === 'minor' ? 'A' : 'B' };
+}
+
+/**
+ * 表記設定に合わせてキーを文字列にする。Camelot / Open Key に直せないキーは元の表記のまま
+ * @param {string} key
+ * @param {KeyNotation} [notation]
+ * @returns {string}
+ */
+export function formatKey(key, notation = settings.notation) {
+  const camelot = notation === 'name' ? null : toCamelot(key);
+  if (!camelot) return key;
+  if (notation === 'camelot') return `${camelot.number}${camelot.letter}`;
+  // Open Key は C major = 1d、A minor = 1m
+  return `${((camelot.number + 4) % 12) + 1}${camelot.letter === 'B' ? 'd' : 'm'}`;
+}
+
+/**
+ * キー（"A minor"）やコード（"F#m"）の根音を半音単位で移調する。読めないものはそのまま返す
+ * @param {string} key
+ * @param {number} semitones 整数
+ * @returns {string}
+ */
+export function transposeKey(key, semitones) {
+  const m = /^([A-G][#b]?)(.*)$/.exec(key.trim());
+  const pc = m ? PITCH_CLASSES[m[1]] : undefined;
+  if (!semitones || pc === undefined) return key;
+  return `${NOTE_NAMES[(((pc + semitones) % 12) + 12) % 12]}${m[2]}`;
+}
+
+/**
+ * Camelot ホイール上の関係。相性の良い組み合わせでなければ null
+ * @param {string | null} from
+ * @param {string | null} to
+ * @returns {KeyRelation | null}
+ */
+export function keyRelation(from, to) {
+  const a = toCamelot(from);
+  const b = toCamelot(to);
+  if (!a || !b) return null;
+  if (a.number === b.number) return a.letter === b.letter ? 'same' : 'relative';
+  if (a.letter !== b.letter) return null;
+  const diff = Math.abs(a.number - b.number);
+  return diff === 1 || diff === 11 ? 'adjacent' : null;
+}
+
+/**
+ * Camelot ホイール上で何歩離れているか（番号の差 + A/B の切り替え）
+ * @param {string | null} from
+ * @param {string | null} to
+ * @returns {number}
+ */
+function keyDistance(from, to) {
+  const a = toCamelot(from);
+  const b = toCamelot(to);
+  if (!a || !b) return UNKNOWN_KEY_COST;
+  const diff = Math.abs(a.number - b.number);
+  return Math.min(diff, 12 - diff) + (a.letter === b.letter ? 0 : 1);
+}
+
+/**
+ * BPM 差が許容幅（%）に収まるか。どちらかの BPM が無ければ false
+ * @param {number | null} from
+ * @param {number | null} to
+ * @param {number} [tolerance]
+ * @returns {boolean}
+ */
+export function isBpmCompatible(from, to, tolerance = settings.bpmTolerance) {
+  if (from == null || to == null) return false;
+  return (Math.abs(to - from) / from) * 100 <= tolerance;
+}
+
+/**
+ * from の次に流すのに相性の良い曲（キーが同じ・隣・平行調で、BPM が許容幅内）。キーの近い順、次に BPM の近い順
+ * @param {import('./state.js').ListItem[]} items
+ * @param {import('./state.js').ListItem} from
+ * @returns {{ item: import('./state.js').ListItem; index: number; relation: KeyRelation; bpmDiff: number }[]}
+ */
+export function suggestNextTracks(items, from) {
+  const order = { same: 0, relative: 1, adjacent: 2 };
+  const out = [];
+  items.forEach((item, index) => {
+    if (item.id === from.id || !item.file) return;
+    const relation = keyRelation(from.key, item.key);
+    if (!relation || !isBpmCompatible(from.bpm, item.bpm)) return;
+    out.push({ item, index, relation, bpmDiff: item.bpm - from.bpm });
+  });
+  return out.sort((a, b) => order[a.relation] - order[b.relation] || Math.abs(a.bpmDiff) - Math.abs(b.bpmDiff));
+}
+
+/**
+ * 曲間のつなぎにくさ。キーの歩数に、BPM 差を許容幅で割った値を足す
+ * @param {import('./state.js').ListItem} a
+ * @param {import('./state.js').ListItem} b
+ * @returns {number}
+ */
+function transitionCost(a, b) {
+  const tolerance = Math.max(settings.bpmTolerance, 1);
+  const tempo = a.bpm != null && b.bpm != null ? ((Math.abs(b.bpm - a.bpm) / a.bpm) * 100) / tolerance : UNKNOWN_BPM_COST;
+  return keyDistance(a.key, b.key) + tempo;
+}
+
+/**
+ * キーとテンポの飛びが小さくなる並び（先頭の曲は固定し、残りをいちばんつなぎやすい曲から順に選ぶ）
+ * @param {import('./state.js').ListItem[]} items
+ * @returns {string[]} id の並び
+ */
+export function harmonicOrder(items) {
+  if (items.length < 3) return items.map((it) => it.id);
+  const rest = items.slice(1);
+  const ordered = [items[0]];
+  while (rest.length) {
+    const last = ordered[ordered.length - 1];
+    let best = 0;
+    for (let i = 1; i < rest.length; i++) {
+      if (transitionCost(last, rest[i]) < transitionCost(last, rest[best])) best = i;
+    }
+    ordered.push(rest.splice(best, 1)[0]);
+  }
+  return ordered.map((it) => it.id);
+}
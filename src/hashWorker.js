@@ -0,0 +1,25 @@
+import { createSha256 } from './sha256.js';
+
+/**
+ * 内容ハッシュのワーカー（module worker）。ファイルを区切って読みながら SHA-256 を求める（ファイル全体をメモリに読まない）。
+ *
+ * 受信: { type: 'hash', jobId, file: Blob }
+ * 送信: { type: 'result', jobId, value: string } | { type: 'error', jobId, message }
+ */
+
+/** 1 回に読むバイト数 */
+const CHUNK_BYTES = 4 * 1024 * 1024;
+
+self.addEventListener('message', async (e) => {
+  if (e.data?.type !== 'hash') return;
+  const { jobId, file } = e.data;
+  try {
+    const sha = createSha256();
+    for (let pos = 0; pos < file.size; pos += CHUNK_BYTES) {
+      sha.update(new Uint8Array(await file.slice(pos, pos + CHUNK_BYTES).arrayBuffer()));
+    }
+    self.postMessage({ type: 'result', jobId, value: sha.digest() });
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err instanceof Error ? err.message : String(err) });
+  }
+});
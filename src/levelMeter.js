@@ -1,35 +1,20 @@
-/** @type {AudioContext | null} */
-let audioContext = null;
-/** @type {AnalyserNode | null} */
-let analyser = null;
-/** @type {Float32Array | null} */
-let frequencyDataFloat = null;
+import { getAudioGraph } from './audioGraph.js';
 
-const FFT_SIZE = 256;
+/**
+ * 再生音のレベル（audioGraph.js の analyser の帯域別の最大 dB と、channelAnalysers のチャンネル別のピーク・RMS・相関）
+ */
 
 /**
- * 再生開始前に呼ぶ。Audio を Web Audio API に接続し Analyser を用意する。
- * @param {HTMLMediaElement} audioElement
+ * peak / rms はチャンネルごとの dBFS、correlation は先頭 2 チャンネル（L/R）の相関係数（-1〜+1。無音なら 0）、
+ * samples はチャンネルごとの直近の波形（ゴニオメーター用。次の呼び出しで上書きされる）
+ * @typedef {{ peak: number[]; rms: number[]; correlation: number; samples: Float32Array[] }} ChannelLevels
  */
-export function start(audioElement) {
-  if (analyser) return;
-  try {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    const source = ctx.createMediaElementSource(audioElement);
-    const anal = ctx.createAnalyser();
-    anal.fftSize = FFT_SIZE;
-    anal.smoothingTimeConstant = 0.7;
-    anal.minDecibels = -60;
-    anal.maxDecibels = 0;
-    source.connect(anal);
-    anal.connect(ctx.destination);
-    audioContext = ctx;
-    analyser = anal;
-    frequencyDataFloat = new Float32Array(anal.frequencyBinCount);
-  } catch (_) {
-    // Web Audio API が使えない環境では無視
-  }
-}
+
+/** @type {Float32Array | null} */
+let frequencyDataFloat = null;
+
+/** @type {Float32Array[]} チャンネルごとの波形バッファ */
+let timeDomainData = [];
 
 /** 無音時の dB（-Infinity の代わりに使う） */
 const DB_SILENCE = -60;
@@ -58,12 +43,16 @@ function maxDbInRange(arr, start, end) {
  */
 export function getLevelsBands(numBands) {
   const bands = Math.max(3, Math.min(7, Math.round(numBands)));
-  if (!analyser || !frequencyDataFloat) {
+  // グラフは再生を始めるときに作られる。それまでは無音として扱う
+  const graph = getAudioGraph({ create: false });
+  if (!graph) {
     return new Array(bands).fill(DB_SILENCE);
   }
-  if (audioContext?.state === 'suspended') {
-    audioContext.resume?.();
+  if (graph.ctx.state === 'suspended') {
+    graph.ctx.resume?.();
   }
+  const { analyser } = graph;
+  if (!frequencyDataFloat) frequencyDataFloat = new Float32Array(analyser.frequencyBinCount);
   analyser.getFloatFrequencyData(frequencyDataFloat);
   const n = frequencyDataFloat.length;
   const out = [];
@@ -83,3 +72,50 @@ export function getLevels() {
   const [low, mid, hi] = getLevelsBands(3);
   return { low, mid, hi };
 }
+
+/**
+ * @param {number} amplitude リニア
+ * @returns {number} dBFS（DB_SILENCE 未満は DB_SILENCE）
+ */
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(DB_SILENCE, 20 * Math.log10(amplitude)) : DB_SILENCE;
+}
+
+/**
+ * チャンネル別のレベルと L/R の相関。グラフがまだ無いときは null
+ * @returns {ChannelLevels | null}
+ */
+export function getChannelLevels() {
+  const graph = getAudioGraph({ create: false });
+  if (!graph) return null;
+  const { channelAnalysers } = graph;
+  if (timeDomainData.length !== channelAnalysers.length) {
+    timeDomainData = channelAnalysers.map((node) => new Float32Array(node.fftSize));
+  }
+  const peak = [];
+  const rms = [];
+  channelAnalysers.forEach((node, c) => {
+    const data = timeDomainData[c];
+    node.getFloatTimeDomainData(data);
+    let max = 0;
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+      const a = Math.abs(data[i]);
+      if (a > max) max = a;
+      sum += data[i] * data[i];
+    }
+    peak.push(toDb(max));
+    rms.push(toDb(Math.sqrt(sum / data.length)));
+  });
+  const [left, right] = timeDomainData;
+  let lr = 0;
+  let ll = 0;
+  let rr = 0;
+  for (let i = 0; i < left.length; i++) {
+    lr += left[i] * right[i];
+    ll += left[i] * left[i];
+    rr += right[i] * right[i];
+  }
+  const correlation = ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 0;
+  return { peak, rms, correlation, samples: timeDomainData };
+}
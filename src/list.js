@@ -3,32 +3,76 @@ import {
   getCurrentIndex,
   getCurrentTime,
   getIsPaused,
+  getTransitionDefaults,
   updateItem,
+  updateItems,
+  setAnalysisStatus,
   moveItem,
+  moveItems,
+  reorderItems,
   subscribe,
   subscribeToTime,
 } from './state.js';
-import { formatMmSs, parseMmSs, getListStartTimes } from './utils.js';
-import { loadBpm, loadKey, loadMood } from './audioAnalysis.js';
+import { formatMmSs, parseMmSs, getListStartTimes, getTransition, getFolder, FADE_CURVES } from './utils.js';
+import { syncAnalysisJobs } from './analysisScheduler.js';
+import { loadCachedAnalysis, applyAnalysisResult } from './analysisCache.js';
+import { createWaveform } from './waveform.js';
+import { formatMood, topMoodTags, getMoodModel } from './moodModels.js';
+import { formatKey, suggestNextTracks, KEY_RELATION_LABELS } from './harmonic.js';
+import { getBeats } from './beatGrid.js';
+import { checkLoudness, getPlaybackGainDb, getLoudnessTarget } from './loudnessTarget.js';
+import { getVisibleIndices, getSortOrder, setSortOrder, cycleSortOrder, sortedIds, hasListFilters, subscribeToListView } from './listView.js';
+import { isVideoFile } from './audioFormat.js';
 
 /** @type {HTMLElement | null} */
 let containerEl = null;
 
 /** @type {(index: number) => void} */
 let onPlayRequest = () => {};
+/** @type {() => void} プレースホルダの「ファイルなし」をクリックしたとき */
+let onRelinkRequest = () => {};
 /** @type {() => void} */
 let onPauseRequest = () => {};
 /** @type {() => void} */
 let onStopRequest = () => {};
 /** @type {(seconds: number) => void} */
 let onSeekRequest = () => {};
+/** @type {(ids: string[]) => void} */
+let onRemoveRequest = () => {};
+
+/** @type {Set<string>} 選択中の行の id（Ctrl / ⌘ + クリックで追加・解除、Shift + クリックで範囲選択） */
+const selectedIds = new Set();
+
+/** @type {string | null} Shift + クリックで範囲選択するときの起点の行の id */
+let selectionAnchorId = null;
+
+/** @type {string[] | null} 選択した行をまとめてドラッグしている間、その id（一覧の並び順） */
+let draggingIds = null;
+
+/** @type {boolean} 波形のループマーカーをドラッグしている間は一覧を作り直さない（ドラッグ中の行が置き換わって操作が失われるため） */
+let markerDragging = false;
+
+/** @type {boolean} マーカーのドラッグ中に再描画を見送ったか（ドラッグ終了時にまとめて描き直す） */
+let renderDeferred = false;
+
+/** @type {string | null} つなぎ設定のポップアップを開いている行の id（再描画後も開いたままにする） */
+let openTransitionId = null;
+
+/** @type {Set<string>} Mood のタグ確率グラフを開いている行の id */
+const expandedMoodIds = new Set();
+
+/** @type {Record<import('./listView.js').SortKey, string>} 並べ替えできる列 */
+const SORT_LABELS = { name: 'ファイル名', folder: 'フォルダ', duration: '素材の長さ', bpm: 'BPM', key: 'Key', mood: 'Mood', loudness: 'LUFS' };
+
+/** 進行バーに描く拍の上限。これを超える曲は小節頭だけ描く */
+const MAX_BEAT_TICKS = 128;
 
 /** 長さ取得中の id を保持（二重リクエスト防止） */
 const loadingDurationIds = new Set();
 
 /**
  * 1件の duration を非同期で取得して state に反映
- * @param {{ id: string; file: File; duration: number | null }} item
+ * @param {{ id: string; file: File; contentHash: string | null; duration: number | null }} item
  */
 function loadDuration(item) {
   if (item.duration != null || loadingDurationIds.has(item.id)) return;
@@ -37,20 +81,405 @@ function loadDuration(item) {
   const audio = new Audio();
   audio.addEventListener('loadedmetadata', () => {
     const d = audio.duration;
-    if (Number.isFinite(d)) updateItem(item.id, { duration: d });
+    if (Number.isFinite(d)) applyAnalysisResult(item, { duration: d });
+    else setAnalysisStatus(item.id, 'duration', 'failed', '長さが分かりません（ストリーム形式など）');
     URL.revokeObjectURL(url);
     loadingDurationIds.delete(item.id);
   });
   audio.addEventListener('error', () => {
+    setAnalysisStatus(item.id, 'duration', 'failed', 'ファイルを読み込めませんでした');
     URL.revokeObjectURL(url);
     loadingDurationIds.delete(item.id);
   });
   audio.src = url;
 }
 
+/**
+ * 解析結果のセル。状態に応じて値・待機中・スピナー・エラー（理由と再試行ボタン）を表示する
+ * @param {import('./state.js').ListItem} item
+ * @param {import('./state.js').AnalysisField} field
+ * @param {string} className
+ * @param {(value: any) => string} format
+ * @returns {HTMLTableCellElement}
+ */
+function createAnalysisCell(item, field, className, format) {
+  const td = document.createElement('td');
+  td.className = className;
+  const { state, message } = item.analysisStatus[field];
+  if (item[field] != null) {
+    td.textContent = format(item[field]);
+    td.title = td.textContent;
+    return td;
+  }
+  // プレースホルダはファイルが来るまで解析しない
+  if (!item.file) {
+    td.textContent = '—';
+    return td;
+  }
+  if (state === 'pending') {
+    td.innerHTML = '<span class="analysis-pending" title="解析待ち">…</span>';
+    return td;
+  }
+  if (state === 'running') {
+    td.innerHTML = '<span class="analysis-spinner" role="status" aria-label="解析中" title="解析中"></span>';
+    return td;
+  }
+  const icon = document.createElement('span');
+  icon.className = 'analysis-error';
+  icon.textContent = '⚠';
+  icon.title = message || '解析に失敗しました';
+  icon.setAttribute('aria-label', icon.title);
+  const retryBtn = document.createElement('button');
+  retryBtn.type = 'button';
+  retryBtn.className = 'analysis-retry';
+  retryBtn.textContent = '再試行';
+  retryBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setAnalysisStatus(item.id, field, 'pending');
+  });
+  td.append(icon, retryBtn);
+  return td;
+}
+
+/**
+ * Mood のセル。クリックでタグごとの確率の棒グラフを開閉する（表示設定の上位 N 件・下限以上のタグ）
+ * @param {import('./state.js').ListItem} item
+ * @returns {HTMLTableCellElement}
+ */
+function createMoodCell(item) {
+  const td = createAnalysisCell(item, 'mood', 'col-mood', formatMood);
+  const mood = item.mood;
+  if (mood == null || typeof mood === 'string') return td;
+  const expanded = expandedMoodIds.has(item.id);
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'mood-toggle';
+  toggle.textContent = formatMood(mood);
+  toggle.title = `${getMoodModel(mood.model)?.label ?? mood.model}（クリックで確率を${expanded ? '閉じる' : '表示'}）`;
+  toggle.setAttribute('aria-expanded', String(expanded));
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (expanded) expandedMoodIds.delete(item.id);
+    else expandedMoodIds.add(item.id);
+    renderList();
+  });
+  td.textContent = '';
+  td.removeAttribute('title');
+  td.appendChild(toggle);
+  if (expanded) {
+    const chart = document.createElement('div');
+    chart.className = 'mood-chart';
+    for (const { name, probability } of topMoodTags(mood)) {
+      const row = document.createElement('div');
+      row.className = 'mood-chart-row';
+      const label = document.createElement('span');
+      label.className = 'mood-chart-label';
+      label.textContent = name;
+      const bar = document.createElement('span');
+      bar.className = 'mood-chart-bar';
+      const fill = document.createElement('span');
+      fill.className = 'mood-chart-fill';
+      fill.style.width = `${probability * 100}%`;
+      bar.appendChild(fill);
+      const value = document.createElement('span');
+      value.className = 'mood-chart-value';
+      value.textContent = `${Math.round(probability * 100)}%`;
+      row.append(label, bar, value);
+      chart.appendChild(row);
+    }
+    if (!chart.childElementCount) chart.textContent = '下限を超えるタグがありません';
+    td.appendChild(chart);
+  }
+  return td;
+}
+
+/**
+ * ラウドネスの 4 列（Integrated・Short-term 最大・LRA・True Peak）。目標から外れた値には印と理由を付ける
+ * @param {import('./state.js').ListItem} item
+ * @returns {HTMLTableCellElement[]}
+ */
+function createLoudnessCells(item) {
+  const cells = [
+    createAnalysisCell(item, 'loudness', 'col-loudness', (l) => l.integrated.toFixed(1)),
+    createAnalysisCell(item, 'loudness', 'col-loudness-short', (l) => l.shortTermMax.toFixed(1)),
+    createAnalysisCell(item, 'loudness', 'col-lra', (l) => l.range.toFixed(1)),
+    createAnalysisCell(item, 'loudness', 'col-true-peak', (l) => l.truePeak.toFixed(1)),
+  ];
+  if (item.loudness == null) return cells;
+  cells[0].title = `Integrated ${item.loudness.integrated} LUFS`;
+  cells[1].title = `Short-term 最大 ${item.loudness.shortTermMax} LUFS`;
+  cells[2].title = `ラウドネスレンジ ${item.loudness.range} LU`;
+  cells[3].title = `True Peak ${item.loudness.truePeak} dBTP`;
+  for (const { field, message } of checkLoudness(item.loudness)) {
+    const td = field === 'integrated' ? cells[0] : cells[3];
+    td.classList.add('loudness-out-of-target');
+    td.title += `（${message}）`;
+    const mark = document.createElement('span');
+    mark.className = 'loudness-warning';
+    mark.textContent = '⚠';
+    mark.setAttribute('aria-label', message);
+    td.prepend(mark);
+  }
+  return cells;
+}
+
+/**
+ * 曲ごとの音量補正（dB）の入力欄。ツールチップに、ラウドネスをそろえる補正を含めた再生時の音量を出す
+ * @param {import('./state.js').ListItem} item
+ * @returns {HTMLTableCellElement}
+ */
+function createGainCell(item) {
+  const td = document.createElement('td');
+  td.className = 'col-gain';
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.step = '0.5';
+  input.placeholder = '0';
+  input.className = 'gain-input';
+  input.value = item.gainDb != null ? String(item.gainDb) : '';
+  const total = getPlaybackGainDb(item);
+  input.title = getLoudnessTarget().normalize
+    ? `手動の補正（dB）。ラウドネスをそろえる分を含めて再生時は ${total > 0 ? '+' : ''}${total} dB`
+    : '手動の補正（dB）';
+  input.setAttribute('aria-label', '音量補正（dB）');
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('change', () => {
+    const db = parseFloat(input.value);
+    updateItem(item.id, { gainDb: Number.isFinite(db) && db !== 0 ? db : null });
+  });
+  td.appendChild(input);
+  return td;
+}
+
+/**
+ * 並べ替えできる列の見出し。クリックで 昇順 → 降順 → 解除
+ * @param {import('./listView.js').SortKey} key
+ * @param {string} className
+ * @returns {HTMLTableCellElement}
+ */
+function createSortHeader(key, className) {
+  const th = document.createElement('th');
+  th.className = className;
+  const order = getSortOrder();
+  const direction = order?.key === key ? order.direction : null;
+  if (direction) th.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'sort-btn';
+  btn.textContent = `${SORT_LABELS[key]}${direction === 'asc' ? ' ▲' : direction === 'desc' ? ' ▼' : ''}`;
+  btn.title = `${SORT_LABELS[key]}で並べ替え`;
+  btn.addEventListener('click', () => cycleSortOrder(key));
+  th.appendChild(btn);
+  return th;
+}
+
+/**
+ * 進行バーに重ねる拍の目盛り（小節頭は濃く）。拍が多すぎる曲は小節頭だけ、それも多すぎれば描かない
+ * @param {import('./beatGrid.js').BeatGrid} grid
+ * @param {number} duration
+ * @returns {HTMLElement | null}
+ */
+function createBeatTicks(grid, duration) {
+  let beats = getBeats(grid, duration);
+  if (beats.length > MAX_BEAT_TICKS) beats = beats.filter((b) => b.isDownbeat);
+  if (!beats.length || beats.length > MAX_BEAT_TICKS) return null;
+  const el = document.createElement('div');
+  el.className = 'beat-ticks';
+  el.setAttribute('aria-hidden', 'true');
+  for (const { time, isDownbeat } of beats) {
+    const tick = document.createElement('span');
+    tick.className = isDownbeat ? 'beat-tick beat-tick-downbeat' : 'beat-tick';
+    tick.style.left = `${(time / duration) * 100}%`;
+    el.appendChild(tick);
+  }
+  return el;
+}
+
+/**
+ * Key のセル。表記設定（音名 / Camelot / Open Key）で表示し、ツールチップにはすべての表記を出す
+ * @param {import('./state.js').ListItem} item
+ * @returns {HTMLTableCellElement}
+ */
+function createKeyCell(item) {
+  const td = createAnalysisCell(item, 'key', 'col-key', (key) => formatKey(key));
+  if (item.key != null) {
+    td.title = [...new Set([item.key, formatKey(item.key, 'camelot'), formatKey(item.key, 'openKey')])].join(' / ');
+  }
+  return td;
+}
+
+/**
+ * 再生中の曲の次に合う曲の候補（キーの相性と BPM の許容幅で選ぶ）。「次に流す」で再生中の曲の直後へ移す
+ * @param {import('./state.js').ListItem[]} items
+ * @param {number | null} currentIndex
+ * @returns {HTMLElement | null}
+ */
+function createHarmonicSuggestions(items, currentIndex) {
+  const current = currentIndex !== null ? items[currentIndex] : null;
+  if (!current || current.key == null || current.bpm == null) return null;
+  const suggestions = suggestNextTracks(items, current).slice(0, 5);
+  const el = document.createElement('div');
+  el.className = 'harmonic-suggestions';
+  const title = document.createElement('span');
+  title.className = 'harmonic-suggestions-title';
+  title.textContent = `次の曲の候補（${formatKey(current.key)}・${current.bpm} BPM）:`;
+  el.appendChild(title);
+  if (!suggestions.length) {
+    const none = document.createElement('span');
+    none.textContent = 'キー・BPM の合う曲がありません';
+    el.appendChild(none);
+    return el;
+  }
+  for (const { item, index, relation, bpmDiff } of suggestions) {
+    const chip = document.createElement('span');
+    chip.className = 'harmonic-suggestion';
+    const label = document.createElement('span');
+    label.textContent = `${item.name}（${formatKey(item.key)}・${KEY_RELATION_LABELS[relation]}・${item.bpm} BPM${bpmDiff ? ` ${bpmDiff > 0 ? '+' : ''}${bpmDiff}` : ''}）`;
+    chip.appendChild(label);
+    if (index !== currentIndex + 1) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'harmonic-suggestion-btn';
+      btn.textContent = '次に流す';
+      // 前にある曲を動かすと再生中の曲が 1 つ前にずれる
+      btn.addEventListener('click', () => moveItem(index, index < currentIndex ? currentIndex : currentIndex + 1));
+      chip.appendChild(btn);
+    }
+    el.appendChild(chip);
+  }
+  return el;
+}
+
+/**
+ * 選択中の行の id（一覧の並び順）
+ * @returns {string[]}
+ */
+export function getSelectedIds() {
+  return getItems().filter((it) => selectedIds.has(it.id)).map((it) => it.id);
+}
+
+/**
+ * 表示順で起点の行から id の行までを選択する
+ * @param {import('./state.js').ListItem[]} items
+ * @param {number[]} visibleIndices
+ * @param {string} id
+ */
+function selectRange(items, visibleIndices, id) {
+  const ids = visibleIndices.map((i) => items[i].id);
+  const to = ids.indexOf(id);
+  const from = selectionAnchorId !== null ? ids.indexOf(selectionAnchorId) : -1;
+  selectedIds.clear();
+  for (const selected of from === -1 ? [id] : ids.slice(Math.min(from, to), Math.max(from, to) + 1)) selectedIds.add(selected);
+}
+
+/**
+ * 選択中の行の件数と、ループ・最大再生時間・ゲインの一括変更、取り除く・選択解除のボタン
+ * @returns {HTMLElement | null}
+ */
+function createSelectionBar() {
+  const ids = getSelectedIds();
+  if (!ids.length) return null;
+  const el = document.createElement('div');
+  el.className = 'list-view-summary list-selection-bar';
+  const text = document.createElement('span');
+  text.textContent = `${ids.length} 曲を選択中`;
+
+  /**
+   * @param {string} label
+   * @param {string} title
+   * @param {() => void} onClick
+   */
+  const button = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toolbar-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+
+  const maxLabel = document.createElement('label');
+  maxLabel.textContent = '最大再生時間 ';
+  const maxInput = document.createElement('input');
+  maxInput.type = 'text';
+  maxInput.placeholder = '0:00';
+  maxInput.className = 'max-time-input';
+  maxInput.setAttribute('inputmode', 'numeric');
+  maxInput.title = '選択中の曲の最大再生時間（ループON の曲で使う）。空欄で解除';
+  maxInput.addEventListener('change', () => {
+    updateItems(ids, { maxLoopSeconds: parseMmSs(maxInput.value) });
+  });
+  maxLabel.appendChild(maxInput);
+
+  const gainLabel = document.createElement('label');
+  gainLabel.textContent = 'ゲイン ';
+  const gainInput = document.createElement('input');
+  gainInput.type = 'number';
+  gainInput.step = '0.5';
+  gainInput.placeholder = '0';
+  gainInput.className = 'gain-input';
+  gainInput.title = '選択中の曲の音量補正（dB）。空欄か 0 で解除';
+  gainInput.addEventListener('change', () => {
+    const db = parseFloat(gainInput.value);
+    updateItems(ids, { gainDb: Number.isFinite(db) && db !== 0 ? db : null });
+  });
+  gainLabel.appendChild(gainInput);
+
+  el.append(
+    text,
+    button('ループON', '選択中の曲をすべてループ再生にする', () => updateItems(ids, { loop: true })),
+    button('ループOFF', '選択中の曲のループをすべて外す', () => updateItems(ids, { loop: false })),
+    maxLabel,
+    gainLabel,
+    button('取り除く', '選択中の曲を一覧から取り除く（Delete キーでも可）', () => onRemoveRequest(ids)),
+    button('選択を解除', '', () => {
+      selectedIds.clear();
+      renderList();
+    })
+  );
+  return el;
+}
+
+/**
+ * 絞り込み・並べ替え中の表示件数と、並べ替えを再生順に反映するボタン
+ * @param {import('./state.js').ListItem[]} items
+ * @param {number} visibleCount
+ * @returns {HTMLElement | null}
+ */
+function createViewSummary(items, visibleCount) {
+  const order = getSortOrder();
+  if (!order && !hasListFilters()) return null;
+  const el = document.createElement('div');
+  el.className = 'list-view-summary';
+  const text = document.createElement('span');
+  text.textContent = `${visibleCount} / ${items.length} 件を表示`;
+  el.appendChild(text);
+  if (order) {
+    const sortText = document.createElement('span');
+    sortText.textContent = `並べ替え: ${SORT_LABELS[order.key]}（${order.direction === 'asc' ? '昇順' : '降順'}）。並べ替え中は行のドラッグで順番を変えられません`;
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'toolbar-btn';
+    applyBtn.textContent = '再生順に反映';
+    applyBtn.title = '絞り込みで隠れている曲も含めて、この並びを再生順にする';
+    applyBtn.addEventListener('click', () => {
+      reorderItems(sortedIds(items));
+      setSortOrder(null);
+    });
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'toolbar-btn';
+    resetBtn.textContent = '再生順で表示';
+    resetBtn.addEventListener('click', () => setSortOrder(null));
+    el.append(sortText, applyBtn, resetBtn);
+  }
+  return el;
+}
+
 /**
  * @param {HTMLElement} container
- * @param {{ onPlayRequest?: (index: number) => void; onPauseRequest?: () => void; onStopRequest?: () => void; onSeekRequest?: (seconds: number) => void }} opts
+ * @param {{ onPlayRequest?: (index: number) => void; onPauseRequest?: () => void; onStopRequest?: () => void; onSeekRequest?: (seconds: number) => void; onRemoveRequest?: (ids: string[]) => void; onRelinkRequest?: () => void }} opts
  */
 export function initList(container, opts = {}) {
   containerEl = container;
@@ -58,11 +487,14 @@ export function initList(container, opts = {}) {
   if (opts.onPauseRequest) onPauseRequest = opts.onPauseRequest;
   if (opts.onStopRequest) onStopRequest = opts.onStopRequest;
   if (opts.onSeekRequest) onSeekRequest = opts.onSeekRequest;
+  if (opts.onRemoveRequest) onRemoveRequest = opts.onRemoveRequest;
+  if (opts.onRelinkRequest) onRelinkRequest = opts.onRelinkRequest;
 
   subscribe(() => {
     renderList();
   });
   subscribeToTime(updatePositionDisplay);
+  subscribeToListView(renderList);
   renderList();
 }
 
@@ -85,52 +517,188 @@ function updatePositionDisplay() {
   fillEl.style.width = `${(pos / duration) * 100}%`;
 }
 
+/**
+ * 秒数入力欄の値を読む。空欄は null（リスト全体の設定を使う）
+ * @param {HTMLInputElement} input
+ * @returns {number | null}
+ */
+function readOptionalSeconds(input) {
+  const v = input.value.trim();
+  if (!v) return null;
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * 1行分のつなぎ設定（次の曲へのクロスフェード・ギャップ・フェード曲線）の編集 UI を作る
+ * @param {import('./state.js').ListItem} item
+ * @returns {HTMLElement}
+ */
+function createTransitionEditor(item) {
+  const resolved = getTransition(item, getTransitionDefaults());
+  const hasOverride = item.crossfadeSeconds != null || item.gapSeconds != null || item.fadeOutCurve != null || item.fadeInCurve != null;
+
+  const details = document.createElement('details');
+  details.className = 'transition-editor' + (hasOverride ? ' has-override' : '');
+  details.open = openTransitionId === item.id;
+  details.addEventListener('toggle', () => {
+    if (details.open) openTransitionId = item.id;
+    else if (openTransitionId === item.id) openTransitionId = null;
+  });
+
+  const summary = document.createElement('summary');
+  if (resolved.crossfadeSeconds > 0) summary.textContent = `XF ${resolved.crossfadeSeconds}s`;
+  else if (resolved.gapSeconds > 0) summary.textContent = `間 ${resolved.gapSeconds}s`;
+  else summary.textContent = 'カット';
+  summary.title = hasOverride ? 'この曲だけのつなぎ設定' : 'リスト全体のつなぎ設定を使用';
+  details.appendChild(summary);
+
+  const panel = document.createElement('div');
+  panel.className = 'transition-panel';
+
+  /**
+   * @param {string} labelText
+   * @param {'crossfadeSeconds' | 'gapSeconds'} field
+   */
+  function secondsField(labelText, field) {
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.1';
+    input.className = 'transition-input';
+    input.placeholder = String(getTransitionDefaults()[field]);
+    input.value = item[field] != null ? String(item[field]) : '';
+    input.addEventListener('change', () => updateItem(item.id, { [field]: readOptionalSeconds(input) }));
+    label.appendChild(input);
+    return label;
+  }
+
+  /**
+   * @param {string} labelText
+   * @param {'fadeOutCurve' | 'fadeInCurve'} field
+   */
+  function curveField(labelText, field) {
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const select = document.createElement('select');
+    select.className = 'transition-select';
+    const inherit = document.createElement('option');
+    inherit.value = '';
+    inherit.textContent = '（全体設定）';
+    select.appendChild(inherit);
+    for (const { value, label: text } of FADE_CURVES) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    }
+    select.value = item[field] ?? '';
+    select.addEventListener('change', () => updateItem(item.id, { [field]: select.value || null }));
+    label.appendChild(select);
+    return label;
+  }
+
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'transition-reset';
+  resetBtn.textContent = '全体設定に戻す';
+  resetBtn.addEventListener('click', () => {
+    updateItem(item.id, { crossfadeSeconds: null, gapSeconds: null, fadeOutCurve: null, fadeInCurve: null });
+  });
+
+  panel.append(
+    secondsField('クロスフェード(秒)', 'crossfadeSeconds'),
+    secondsField('ギャップ(秒)', 'gapSeconds'),
+    curveField('フェードアウト', 'fadeOutCurve'),
+    curveField('フェードイン', 'fadeInCurve'),
+    resetBtn
+  );
+  details.appendChild(panel);
+  return details;
+}
+
 export function renderList() {
   if (!containerEl) return;
+  if (markerDragging) {
+    renderDeferred = true;
+    return;
+  }
+  renderDeferred = false;
   const items = getItems();
   const currentIndex = getCurrentIndex();
   const currentTime = getCurrentTime();
   const isPaused = getIsPaused();
 
+  // 内容ハッシュでキャッシュを引き終えてから、足りない項目だけ解析する（BPM 以降は syncAnalysisJobs でキューへ）。
+  // 絞り込みは表示だけに効かせ、隠れている曲も解析する。プレースホルダはファイルが来るまで解析しない
+  for (const item of items) {
+    if (!item.file) continue;
+    if (item.contentHash === null) loadCachedAnalysis(item);
+    else if (item.duration === null && item.analysisStatus.duration.state === 'pending') loadDuration(item);
+  }
+  syncAnalysisJobs(items);
   containerEl.innerHTML = '';
   if (items.length === 0) {
     return;
   }
 
-  const listStartTimes = getListStartTimes(items);
+  const listStartTimes = getListStartTimes(items, getTransitionDefaults());
 
   const table = document.createElement('table');
   table.className = 'audio-list';
+  // フォルダから追加した曲が無ければフォルダ列は出さない
+  if (!items.some((it) => it.relativePath)) table.classList.add('no-folders');
   table.innerHTML = `
     <thead>
       <tr>
         <th class="col-grip"></th>
-        <th class="col-name">ファイル名</th>
+        <th class="col-name"></th>
+        <th class="col-folder"></th>
+        <th class="col-waveform">波形</th>
         <th class="col-start">再生開始</th>
-        <th class="col-duration">素材の長さ</th>
-        <th class="col-bpm">BPM</th>
-        <th class="col-key">Key</th>
-        <th class="col-mood">Mood</th>
+        <th class="col-duration"></th>
+        <th class="col-bpm"></th>
+        <th class="col-key"></th>
+        <th class="col-mood"></th>
+        <th class="col-loudness"></th>
+        <th class="col-loudness-short" title="Short-term（3 秒窓）の最大 LUFS">S 最大</th>
+        <th class="col-lra" title="ラウドネスレンジ（LU）">LRA</th>
+        <th class="col-true-peak" title="True Peak（dBTP）">TP</th>
+        <th class="col-gain" title="曲ごとの音量補正（dB）">ゲイン</th>
         <th class="col-loop">ループ</th>
         <th class="col-max">最大再生時間</th>
+        <th class="col-transition">つなぎ</th>
         <th class="col-controls">再生</th>
         <th class="col-position">再生位置</th>
       </tr>
     </thead>
     <tbody></tbody>
   `;
+  const headerRow = table.querySelector('thead tr');
+  for (const key of Object.keys(SORT_LABELS)) {
+    const placeholder = headerRow.querySelector(`.col-${key}`);
+    placeholder.replaceWith(createSortHeader(key, placeholder.className));
+  }
   const tbody = table.querySelector('tbody');
+  // 並べ替え中は表示順と再生順が違うので、ドラッグでの並び替えはさせない
+  const canDrag = getSortOrder() === null;
+  const visibleIndices = getVisibleIndices(items);
+  // 取り除かれた行と、絞り込みで隠れた行は選択から外す（見えない曲をまとめて変えないように）
+  const visibleIds = new Set(visibleIndices.map((i) => items[i].id));
+  for (const id of selectedIds) {
+    if (!visibleIds.has(id)) selectedIds.delete(id);
+  }
 
-  items.forEach((item, index) => {
-    if (item.duration === null) loadDuration(item);
-    if (item.bpm === null) loadBpm(item);
-    if (item.key === null) loadKey(item);
-    if (item.mood === null) loadMood(item);
-
+  visibleIndices.forEach((index) => {
+    const item = items[index];
     const tr = document.createElement('tr');
     tr.dataset.index = String(index);
-    tr.draggable = true;
+    tr.draggable = canDrag;
     if (currentIndex === index) tr.classList.add('playing');
+    if (selectedIds.has(item.id)) tr.classList.add('selected');
+    if (!item.file) tr.classList.add('missing');
 
     const grip = document.createElement('td');
     grip.className = 'col-grip';
@@ -140,26 +708,59 @@ export function renderList() {
     const nameCell = document.createElement('td');
     nameCell.className = 'col-name';
     nameCell.textContent = item.name;
+    if (!item.file) {
+      const badge = document.createElement('button');
+      badge.type = 'button';
+      badge.className = 'missing-badge';
+      badge.textContent = 'ファイルなし';
+      badge.title = 'リストにあるがファイルがまだ無い曲（同じ名前のファイルを追加すると埋まります。クリックで別のファイルを指定）';
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onRelinkRequest();
+      });
+      nameCell.appendChild(badge);
+    } else if (isVideoFile(item.file)) {
+      const badge = document.createElement('span');
+      badge.className = 'video-badge';
+      badge.textContent = '動画';
+      badge.title = '動画ファイル（音声トラックだけを再生・解析します）';
+      nameCell.appendChild(badge);
+    }
+
+    const folderCell = document.createElement('td');
+    folderCell.className = 'col-folder';
+    folderCell.textContent = getFolder(item.relativePath);
+    if (item.relativePath) {
+      nameCell.title = item.relativePath;
+      folderCell.title = item.relativePath;
+    }
+
+    const waveformCell = document.createElement('td');
+    waveformCell.className = 'col-waveform';
+    waveformCell.appendChild(
+      createWaveform(item, {
+        onRegionChange(region) {
+          updateItem(item.id, region);
+        },
+        onDragStateChange(dragging) {
+          // マーカー操作中に行の並び替えドラッグが始まらないようにする
+          tr.draggable = canDrag && !dragging;
+          markerDragging = dragging;
+          if (!dragging && renderDeferred) renderList();
+        },
+      })
+    );
 
     const startCell = document.createElement('td');
     startCell.className = 'col-start';
     startCell.textContent = formatMmSs(listStartTimes[index]);
 
-    const durationCell = document.createElement('td');
-    durationCell.className = 'col-duration';
-    durationCell.textContent = item.duration != null ? formatMmSs(item.duration) : '…';
-
-    const bpmCell = document.createElement('td');
-    bpmCell.className = 'col-bpm';
-    bpmCell.textContent = item.bpm != null ? String(item.bpm) : '…';
-
-    const keyCell = document.createElement('td');
-    keyCell.className = 'col-key';
-    keyCell.textContent = item.key != null && item.key !== '' ? item.key : '—';
-
-    const moodCell = document.createElement('td');
-    moodCell.className = 'col-mood';
-    moodCell.textContent = item.mood != null && item.mood !== '' ? item.mood : '…';
+    const durationCell = createAnalysisCell(item, 'duration', 'col-duration', formatMmSs);
+    const bpmCell = createAnalysisCell(item, 'bpm', 'col-bpm', String);
+    const keyCell = createKeyCell(item);
+    const moodCell = createMoodCell(item);
+    const loudnessCells = createLoudnessCells(item);
+    const gainCell = createGainCell(item);
 
     const loopCell = document.createElement('td');
     loopCell.className = 'col-loop';
@@ -175,6 +776,15 @@ export function renderList() {
       updateItem(item.id, { loop: !item.loop });
     });
     loopCell.appendChild(loopBtn);
+    if (item.loopSource) {
+      const badge = document.createElement('span');
+      badge.className = 'loop-source-badge';
+      badge.textContent = 'FILE';
+      badge.title = item.loopSource === 'smpl'
+        ? 'ファイル埋め込みのループ情報（WAV smpl チャンク）'
+        : 'ファイル埋め込みのループ情報（LOOPSTART / LOOPLENGTH タグ）';
+      loopCell.appendChild(badge);
+    }
 
     const maxCell = document.createElement('td');
     maxCell.className = 'col-max';
@@ -193,6 +803,10 @@ export function renderList() {
       maxCell.appendChild(input);
     }
 
+    const transitionCell = document.createElement('td');
+    transitionCell.className = 'col-transition';
+    if (index < items.length - 1) transitionCell.appendChild(createTransitionEditor(item));
+
     const controlsCell = document.createElement('td');
     controlsCell.className = 'col-controls';
     const isActiveRow = currentIndex === index;
@@ -200,6 +814,7 @@ export function renderList() {
     playBtn.type = 'button';
     playBtn.className = 'control-btn control-play' + (isActiveRow && isPaused ? ' is-active' : '');
     playBtn.setAttribute('aria-label', '再生');
+    playBtn.disabled = !item.file;
     playBtn.innerHTML = '<svg class="control-icon" viewBox="0 0 24 24" width="18" height="18" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>';
     playBtn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -245,6 +860,8 @@ export function renderList() {
       barFill.className = 'progress-bar-fill';
       barFill.style.width = `${pct}%`;
       barWrap.appendChild(barFill);
+      const ticks = item.beatGrid ? createBeatTicks(item.beatGrid, duration) : null;
+      if (ticks) barWrap.appendChild(ticks);
       barWrap.addEventListener('click', (e) => {
         e.stopPropagation();
         const rect = barWrap.getBoundingClientRect();
@@ -258,22 +875,55 @@ export function renderList() {
       positionCell.textContent = '—';
     }
 
-    tr.append(grip, nameCell, startCell, durationCell, bpmCell, keyCell, moodCell, loopCell, maxCell, controlsCell, positionCell);
+    tr.append(grip, nameCell, folderCell, waveformCell, startCell, durationCell, bpmCell, keyCell, moodCell, ...loudnessCells, gainCell, loopCell, maxCell, transitionCell, controlsCell, positionCell);
 
     tr.addEventListener('click', (e) => {
-      if ((e.target.closest('button') || e.target.closest('input') || e.target.closest('.col-position')) !== null) return;
+      if ((e.target.closest('button') || e.target.closest('input') || e.target.closest('.col-position') || e.target.closest('.col-waveform') || e.target.closest('.col-transition')) !== null) return;
+      if (e.ctrlKey || e.metaKey) {
+        if (!selectedIds.delete(item.id)) selectedIds.add(item.id);
+        selectionAnchorId = item.id;
+        renderList();
+        return;
+      }
+      if (e.shiftKey) {
+        selectRange(items, visibleIndices, item.id);
+        renderList();
+        return;
+      }
+      // 普通のクリックは選択を解除してその曲を再生する（次の Shift + クリックの起点にはなる）
+      selectedIds.clear();
+      selectionAnchorId = item.id;
       onPlayRequest(index);
     });
+    // Shift + クリックで文字列が選択されないようにする
+    tr.addEventListener('mousedown', (e) => {
+      if (e.shiftKey) e.preventDefault();
+    });
 
     tr.addEventListener('dragstart', (e) => {
       e.dataTransfer.setData('text/plain', String(index));
       e.dataTransfer.effectAllowed = 'move';
-      tr.classList.add('dragging');
+      // 選択中の行をつかんだら、選択中の行をまとめて動かす
+      draggingIds = selectedIds.has(item.id) && selectedIds.size > 1 ? getSelectedIds() : null;
+      if (draggingIds) {
+        tbody.querySelectorAll('tr.selected').forEach((r) => r.classList.add('dragging'));
+      } else {
+        tr.classList.add('dragging');
+      }
+    });
+    tr.addEventListener('dragend', () => {
+      draggingIds = null;
+      tbody.querySelectorAll('tr.dragging').forEach((r) => r.classList.remove('dragging'));
     });
-    tr.addEventListener('dragend', () => tr.classList.remove('dragging'));
     tr.addEventListener('dragover', (e) => {
       e.preventDefault();
       e.dataTransfer.dropEffect = 'move';
+      if (draggingIds) {
+        if (draggingIds.includes(item.id)) return;
+        tbody.querySelectorAll('tr').forEach((r) => r.classList.remove('drop-target'));
+        tr.classList.add('drop-target');
+        return;
+      }
       const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
       if (Number.isNaN(from) || from === index) return;
       tbody.querySelectorAll('tr').forEach((r) => r.classList.remove('drop-target'));
@@ -283,6 +933,12 @@ export function renderList() {
     tr.addEventListener('drop', (e) => {
       e.preventDefault();
       tr.classList.remove('drop-target');
+      if (draggingIds) {
+        const ids = draggingIds;
+        draggingIds = null;
+        moveItems(ids, index);
+        return;
+      }
       const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
       if (Number.isNaN(from) || from === index) return;
       moveItem(from, index);
@@ -291,5 +947,11 @@ export function renderList() {
     tbody.appendChild(tr);
   });
 
+  const suggestions = createHarmonicSuggestions(items, currentIndex);
+  if (suggestions) containerEl.appendChild(suggestions);
+  const summary = createViewSummary(items, visibleIndices.length);
+  if (summary) containerEl.appendChild(summary);
+  const selectionBar = createSelectionBar();
+  if (selectionBar) containerEl.appendChild(selectionBar);
   containerEl.appendChild(table);
 }
@@ -0,0 +1,109 @@
+import { getItems } from './state.js';
+import { parseMmSs } from './utils.js';
+import { setListFilters, clearListFilters } from './listView.js';
+
+/**
+ * 一覧の検索・絞り込み欄（名前などの検索、BPM・長さの範囲、Key、Mood のタグ）
+ */
+
+/**
+ * @param {HTMLInputElement} input
+ * @returns {number | null}
+ */
+function readNumber(input) {
+  const n = parseFloat(input.value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Key の選択肢をリストにある Key で作り直す（選択中の値は残す）
+ * @param {HTMLSelectElement} select
+ */
+function renderKeyOptions(select) {
+  const current = select.value;
+  const keys = [...new Set(getItems().map((it) => it.key).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  if (current && !keys.includes(current)) keys.push(current);
+  select.innerHTML = '';
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = 'すべて';
+  select.appendChild(all);
+  for (const key of keys) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = key;
+    select.appendChild(opt);
+  }
+  select.value = current;
+}
+
+/**
+ * @param {string} labelText
+ * @param {(HTMLElement | string)[]} controls
+ * @returns {HTMLLabelElement}
+ */
+function field(labelText, controls) {
+  const label = document.createElement('label');
+  label.className = 'list-filter-field';
+  label.append(labelText, ...controls);
+  return label;
+}
+
+/**
+ * @param {string} type
+ * @param {string} className
+ * @param {Record<string, string>} [attrs]
+ * @returns {HTMLInputElement}
+ */
+function input(type, className, attrs = {}) {
+  const el = document.createElement('input');
+  el.type = type;
+  el.className = className;
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+/**
+ * @param {HTMLElement} el
+ */
+export function initListFilterBar(el) {
+  const queryEl = input('search', 'list-filter-query', { placeholder: 'ファイル名・Key・Mood で検索', 'aria-label': '検索' });
+  const bpmMinEl = input('number', 'list-filter-number', { min: '0', step: '1', 'aria-label': 'BPM 下限' });
+  const bpmMaxEl = input('number', 'list-filter-number', { min: '0', step: '1', 'aria-label': 'BPM 上限' });
+  const durationMinEl = input('text', 'list-filter-time', { placeholder: 'M:SS', 'aria-label': '長さ 下限' });
+  const durationMaxEl = input('text', 'list-filter-time', { placeholder: 'M:SS', 'aria-label': '長さ 上限' });
+  const keyEl = document.createElement('select');
+  keyEl.className = 'list-filter-select';
+  const moodEl = input('text', 'list-filter-mood', { placeholder: '例: chill', 'aria-label': 'Mood に含むタグ' });
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'toolbar-btn';
+  clearBtn.textContent = '条件をクリア';
+
+  renderKeyOptions(keyEl);
+  // Key の候補はリストの内容で変わるので、開くときに作り直す
+  keyEl.addEventListener('focus', () => renderKeyOptions(keyEl));
+  keyEl.addEventListener('mousedown', () => renderKeyOptions(keyEl));
+
+  queryEl.addEventListener('input', () => setListFilters({ query: queryEl.value }));
+  bpmMinEl.addEventListener('change', () => setListFilters({ bpmMin: readNumber(bpmMinEl) }));
+  bpmMaxEl.addEventListener('change', () => setListFilters({ bpmMax: readNumber(bpmMaxEl) }));
+  durationMinEl.addEventListener('change', () => setListFilters({ durationMin: parseMmSs(durationMinEl.value) }));
+  durationMaxEl.addEventListener('change', () => setListFilters({ durationMax: parseMmSs(durationMaxEl.value) }));
+  keyEl.addEventListener('change', () => setListFilters({ key: keyEl.value }));
+  moodEl.addEventListener('input', () => setListFilters({ mood: moodEl.value }));
+  clearBtn.addEventListener('click', () => {
+    for (const c of [queryEl, bpmMinEl, bpmMaxEl, durationMinEl, durationMaxEl, moodEl]) c.value = '';
+    keyEl.value = '';
+    clearListFilters();
+  });
+
+  el.append(
+    queryEl,
+    field('BPM', [bpmMinEl, '〜', bpmMaxEl]),
+    field('長さ', [durationMinEl, '〜', durationMaxEl]),
+    field('Key', [keyEl]),
+    field('Mood', [moodEl]),
+    clearBtn
+  );
+}
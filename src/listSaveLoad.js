@@ -1,60 +1,257 @@
-import { formatMmSs, parseMmSs } from './utils.js';
+import { formatMmSs, parseMmSs, getItemPath, FADE_CURVES } from './utils.js';
 
 /**
- * 1行をパース。フォーマット: name \t loop(0|1) \t max(MM:SS or empty)
- * ファイル名にタブが含まれる場合: 最後の2列が loop / max で、それより前を name とする。
+ * @typedef {{ name: string; relativePath?: string | null; loop: boolean; maxLoopSeconds: number | null; crossfadeSeconds?: number | null; gapSeconds?: number | null; fadeOutCurve?: 'linear' | 'equalPower' | 'sCurve' | null; fadeInCurve?: 'linear' | 'equalPower' | 'sCurve' | null; gainDb?: number | null }} ListLine
+ */
+
+/** 4列目以降の拡張列（key=value 形式）のキーと ListLine のフィールドの対応。未指定の項目は書かない。defaultsOnly は #defaults 行だけの列 */
+const EXTRA_COLUMNS = [
+  { key: 'xfade', field: 'crossfadeSeconds', type: 'seconds' },
+  { key: 'gap', field: 'gapSeconds', type: 'seconds' },
+  { key: 'out', field: 'fadeOutCurve', type: 'curve' },
+  { key: 'in', field: 'fadeInCurve', type: 'curve' },
+  { key: 'gain', field: 'gainDb', type: 'db' },
+  { key: 'bars', field: 'snapToBars', type: 'flag', defaultsOnly: true },
+];
+
+/** リスト全体のつなぎ設定を書く行の先頭列 */
+const DEFAULTS_MARKER = '#defaults';
+
+/** JSON リストファイルの識別子 */
+const LIST_JSON_FORMAT = 'audio-preview-list';
+/** JSON リストファイルの現在のバージョン。項目を変えたら上げて migrateListJson に移行処理を足す */
+const LIST_JSON_VERSION = 1;
+
+/**
+ * 拡張列 1 つをパース。対象外の列なら null
+ * @param {string} col
+ * @returns {{ field: string; value: number | string | boolean } | null}
+ */
+function parseExtraColumn(col) {
+  const eq = col.indexOf('=');
+  if (eq <= 0) return null;
+  const def = EXTRA_COLUMNS.find((c) => c.key === col.slice(0, eq));
+  if (!def) return null;
+  const raw = col.slice(eq + 1).trim();
+  if (def.type === 'seconds') {
+    const n = parseFloat(raw);
+    return Number.isFinite(n) && n >= 0 ? { field: def.field, value: n } : null;
+  }
+  if (def.type === 'db') {
+    const n = parseFloat(raw);
+    return Number.isFinite(n) ? { field: def.field, value: n } : null;
+  }
+  if (def.type === 'flag') {
+    return raw === '1' || raw === '0' ? { field: def.field, value: raw === '1' } : null;
+  }
+  return FADE_CURVES.some((c) => c.value === raw) ? { field: def.field, value: raw } : null;
+}
+
+/**
+ * 末尾の拡張列を取り除き、パースした値を返す
+ * @param {string[]} parts
+ * @returns {{ rest: string[]; extras: Record<string, number | string | boolean> }}
+ */
+function splitExtraColumns(parts) {
+  const extras = {};
+  let end = parts.length;
+  while (end > 1) {
+    const parsed = parseExtraColumn(parts[end - 1].trim());
+    if (!parsed) break;
+    extras[parsed.field] = parsed.value;
+    end--;
+  }
+  return { rest: parts.slice(0, end), extras };
+}
+
+/**
+ * 1 列目（ファイル名、フォルダから追加した曲は "bgm/stage1/bgm.ogg" のような相対パス）を name / relativePath に分ける
+ * @param {string} path
+ * @returns {{ name: string; relativePath: string | null }}
+ */
+function splitPath(path) {
+  const slash = path.lastIndexOf('/');
+  return slash > 0 ? { name: path.slice(slash + 1), relativePath: path } : { name: path, relativePath: null };
+}
+
+/**
+ * 1行をパース。フォーマット: name \t loop(0|1) \t max(MM:SS or empty) [\t key=value ...]
+ * ファイル名にタブが含まれる場合: 拡張列を除いた最後の2列が loop / max で、それより前を name とする。
  * @param {string} line
- * @returns {{ name: string; loop: boolean; maxLoopSeconds: number | null } | null}
+ * @returns {ListLine | null}
  */
 function parseLine(line) {
   const t = line.trim();
   if (!t) return null;
-  const parts = t.split('\t');
+  const { rest: parts, extras: found } = splitExtraColumns(t.split('\t'));
+  // 書かれていない拡張列は「未指定（全体設定に従う）」として明示する
+  const extras = Object.fromEntries(EXTRA_COLUMNS.filter((c) => !c.defaultsOnly).map(({ field }) => [field, found[field] ?? null]));
   if (parts.length >= 3) {
     const name = parts.slice(0, -2).join('\t').trim();
     const loop = parts[parts.length - 2] === '1';
     const maxStr = parts[parts.length - 1].trim();
     const maxLoopSeconds = maxStr ? parseMmSs(maxStr) : null;
-    return { name, loop, maxLoopSeconds };
+    return { name, loop, maxLoopSeconds, ...extras };
   }
   if (parts.length === 2) {
     return {
       name: parts[0].trim(),
       loop: parts[1] === '1',
       maxLoopSeconds: null,
+      ...extras,
     };
   }
   if (parts.length === 1) {
-    return { name: parts[0].trim(), loop: false, maxLoopSeconds: null };
+    return { name: parts[0].trim(), loop: false, maxLoopSeconds: null, ...extras };
   }
   return null;
 }
 
 /**
- * リスト内容をテキストに変換（タブ区切り、1行1曲）
- * @param {{ name: string; loop: boolean; maxLoopSeconds: number | null }[]} items
+ * 秒数・dB を拡張列用の文字列に（小数第2位まで）
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * 値が入っている拡張列を "key=value" の配列にする
+ * @param {Record<string, unknown>} obj
+ * @returns {string[]}
+ */
+function extraColumns(obj) {
+  const out = [];
+  for (const { key, field, type } of EXTRA_COLUMNS) {
+    const v = obj[field];
+    if (v == null) continue;
+    if (type === 'flag') out.push(`${key}=${v ? 1 : 0}`);
+    else out.push(`${key}=${type === 'curve' ? v : formatNumber(Number(v))}`);
+  }
+  return out;
+}
+
+/**
+ * リスト内容をテキストに変換（タブ区切り、1行1曲。1 列目は相対パスがあればそれ、無ければファイル名）。defaults を渡すと先頭にリスト全体のつなぎ設定行を書く。
+ * @param {ListLine[]} items
+ * @param {import('./utils.js').TransitionSettings} [defaults]
  * @returns {string}
  */
-export function listToText(items) {
-  return items
-    .map(
-      (it) =>
-        `${it.name}\t${it.loop ? 1 : 0}\t${it.maxLoopSeconds != null ? formatMmSs(it.maxLoopSeconds) : ''}`
-    )
-    .join('\n');
+export function listToText(items, defaults) {
+  const lines = items.map((it) =>
+    [
+      getItemPath(it),
+      it.loop ? 1 : 0,
+      it.maxLoopSeconds != null ? formatMmSs(it.maxLoopSeconds) : '',
+      ...extraColumns(it),
+    ].join('\t')
+  );
+  if (defaults) lines.unshift([DEFAULTS_MARKER, ...extraColumns(defaults)].join('\t'));
+  return lines.join('\n');
 }
 
 /**
  * テキストをパースしてリストデータに変換
  * @param {string} text
- * @returns {{ name: string; loop: boolean; maxLoopSeconds: number | null }[]}
+ * @returns {ListLine[]}
  */
 export function textToList(text) {
   const lines = text.split(/\r?\n/);
   const result = [];
   for (const line of lines) {
+    if (line.split('\t')[0].trim() === DEFAULTS_MARKER) continue;
     const parsed = parseLine(line);
-    if (parsed && parsed.name) result.push(parsed);
+    if (parsed && parsed.name) result.push({ ...parsed, ...splitPath(parsed.name) });
   }
   return result;
 }
+
+/**
+ * テキストからリスト全体のつなぎ設定行を読む。無ければ null
+ * @param {string} text
+ * @returns {Partial<import('./utils.js').TransitionSettings> | null}
+ */
+export function textToListDefaults(text) {
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.trim().split('\t');
+    if (parts[0].trim() !== DEFAULTS_MARKER) continue;
+    return splitExtraColumns(['', ...parts.slice(1)]).extras;
+  }
+  return null;
+}
+
+/**
+ * @typedef {{ items: ({ name: string } & Record<string, unknown>)[]; defaults: Partial<import('./utils.js').TransitionSettings> | null }} ListData
+ */
+
+/**
+ * リスト内容を JSON に変換。各アイテムは File・id（セッション内の識別子）・解析の進行状態以外の全フィールドを書く。
+ * @param {({ name: string; file?: File; id?: string; analysisStatus?: object } & Record<string, unknown>)[]} items
+ * @param {import('./utils.js').TransitionSettings} defaults
+ * @returns {string}
+ */
+export function listToJson(items, defaults) {
+  return JSON.stringify(
+    {
+      format: LIST_JSON_FORMAT,
+      version: LIST_JSON_VERSION,
+      defaults,
+      items: items.map(({ file, id, analysisStatus, ...rest }) => rest),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * 古いバージョンの JSON を現在の形に揃える
+ * @param {{ version?: number; defaults?: object | null; items?: unknown[] }} data
+ * @returns {ListData | null}
+ */
+function migrateListJson(data) {
+  const version = Number(data.version) || 1;
+  if (version > LIST_JSON_VERSION) return null;
+  const items = Array.isArray(data.items)
+    ? data.items.filter((it) => it && typeof it === 'object' && typeof it.name === 'string' && it.name)
+    : [];
+  return { items, defaults: data.defaults && typeof data.defaults === 'object' ? data.defaults : null };
+}
+
+/**
+ * JSON をパースしてリストデータに変換。形式が違う・新しすぎるバージョンなら null
+ * @param {string} text
+ * @returns {ListData | null}
+ */
+export function jsonToList(text) {
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || data.format !== LIST_JSON_FORMAT) return null;
+    return migrateListJson(data);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * リストファイル（JSON または旧形式の txt）を読み、同じ形のリストデータにする。
+ * txt はそのまま現在の形へ移行される（次回のセーブで JSON になる）。
+ * @param {string} text
+ * @returns {ListData | null}
+ */
+export function parseListFile(text) {
+  if (text.trimStart().startsWith('{')) return jsonToList(text);
+  const items = textToList(text);
+  const defaults = textToListDefaults(text);
+  return items.length || defaults ? { items, defaults } : null;
+}
+
+/**
+ * リストファイルとして扱うファイルか（拡張子 / MIME で判定）
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isListFile(file) {
+  const name = file.name.toLowerCase();
+  return name.endsWith('.txt') || name.endsWith('.json') || file.type === 'text/plain' || file.type === 'application/json';
+}
@@ -0,0 +1,178 @@
+import { formatMood } from './moodModels.js';
+import { toCamelot, formatKey } from './harmonic.js';
+import { getItemPath } from './utils.js';
+
+/**
+ * 一覧の表示条件（検索・絞り込み・並べ替え）。表示だけに効き、実際の再生順やアイテムは変えない。
+ * 並べ替えを再生順にしたいときは sortedIds の結果を state.js の reorderItems に渡す。
+ */
+
+/** @typedef {'name' | 'folder' | 'duration' | 'bpm' | 'key' | 'mood' | 'loudness'} SortKey */
+
+/** @typedef {{ key: SortKey; direction: 'asc' | 'desc' }} SortOrder */
+
+/**
+ * 空文字・null はその条件を使わない
+ * @typedef {{
+ *   query: string;
+ *   bpmMin: number | null;
+ *   bpmMax: number | null;
+ *   durationMin: number | null;
+ *   durationMax: number | null;
+ *   key: string;
+ *   mood: string;
+ * }} ListFilters
+ */
+
+/** @type {ListFilters} */
+const EMPTY_FILTERS = { query: '', bpmMin: null, bpmMax: null, durationMin: null, durationMax: null, key: '', mood: '' };
+
+/** @type {ListFilters} */
+let filters = { ...EMPTY_FILTERS };
+
+/** @type {SortOrder | null} null のときは再生順のまま */
+let sortOrder = null;
+
+/** @type {() => void} 表示条件が変わったとき */
+let onChange = () => {};
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToListView(fn) {
+  onChange = fn;
+}
+
+/** @returns {ListFilters} */
+export function getListFilters() {
+  return { ...filters };
+}
+
+/**
+ * @param {Partial<ListFilters>} patch
+ */
+export function setListFilters(patch) {
+  filters = { ...filters, ...patch };
+  onChange();
+}
+
+export function clearListFilters() {
+  filters = { ...EMPTY_FILTERS };
+  onChange();
+}
+
+/**
+ * 絞り込み条件が 1 つでも指定されているか
+ * @returns {boolean}
+ */
+export function hasListFilters() {
+  return Object.keys(EMPTY_FILTERS).some((k) => filters[k] !== EMPTY_FILTERS[k]);
+}
+
+/** @returns {SortOrder | null} */
+export function getSortOrder() {
+  return sortOrder;
+}
+
+/**
+ * @param {SortOrder | null} order
+ */
+export function setSortOrder(order) {
+  sortOrder = order;
+  onChange();
+}
+
+/**
+ * 列見出しのクリック用。昇順 → 降順 → 並べ替えなし の順に切り替える
+ * @param {SortKey} key
+ */
+export function cycleSortOrder(key) {
+  if (sortOrder?.key !== key) setSortOrder({ key, direction: 'asc' });
+  else if (sortOrder.direction === 'asc') setSortOrder({ key, direction: 'desc' });
+  else setSortOrder(null);
+}
+
+/**
+ * Mood の検索・並べ替え用の文字列（一覧に出ているタグ）
+ * @param {import('./state.js').ListItem} item
+ * @returns {string}
+ */
+function moodText(item) {
+  return item.mood != null ? formatMood(item.mood) : '';
+}
+
+/**
+ * @param {import('./state.js').ListItem} item
+ * @param {ListFilters} f
+ * @returns {boolean}
+ */
+function matches(item, f) {
+  const query = f.query.trim().toLowerCase();
+  const keyText = item.key != null ? `${item.key} ${formatKey(item.key)}` : '';
+  if (query && ![getItemPath(item), keyText, moodText(item)].some((s) => s.toLowerCase().includes(query))) return false;
+  if (f.bpmMin != null && !(item.bpm != null && item.bpm >= f.bpmMin)) return false;
+  if (f.bpmMax != null && !(item.bpm != null && item.bpm <= f.bpmMax)) return false;
+  if (f.durationMin != null && !(item.duration != null && item.duration >= f.durationMin)) return false;
+  if (f.durationMax != null && !(item.duration != null && item.duration <= f.durationMax)) return false;
+  if (f.key && item.key !== f.key) return false;
+  const mood = f.mood.trim().toLowerCase();
+  if (mood && !moodText(item).toLowerCase().includes(mood)) return false;
+  return true;
+}
+
+/**
+ * @param {import('./state.js').ListItem} item
+ * @param {SortKey} key
+ * @returns {string | number | null}
+ */
+function sortValue(item, key) {
+  if (key === 'mood') return moodText(item) || null;
+  if (key === 'loudness') return item.loudness?.integrated ?? null;
+  // 相対パス順に並べるとフォルダごとにまとまる
+  if (key === 'folder') return item.relativePath || null;
+  if (key === 'key') {
+    // Camelot の番号順（同じ番号ならマイナー → メジャー）に並べ、相性の良いキーが隣り合うようにする。読めないキーは値なしとして後ろへ
+    const camelot = toCamelot(item.key);
+    return camelot ? camelot.number * 2 + (camelot.letter === 'B' ? 1 : 0) : null;
+  }
+  return item[key] ?? null;
+}
+
+/**
+ * 値の無いアイテムは向きに関係なく後ろに並べる
+ * @param {import('./state.js').ListItem} a
+ * @param {import('./state.js').ListItem} b
+ * @param {SortOrder} order
+ * @returns {number}
+ */
+function compareItems(a, b, order) {
+  const va = sortValue(a, order.key);
+  const vb = sortValue(b, order.key);
+  if (va === null || vb === null) return va === vb ? 0 : va === null ? 1 : -1;
+  const cmp = typeof va === 'number' && typeof vb === 'number'
+    ? va - vb
+    : String(va).localeCompare(String(vb), 'ja', { numeric: true, sensitivity: 'base' });
+  return order.direction === 'asc' ? cmp : -cmp;
+}
+
+/**
+ * 表示する行の（再生順での）インデックスを表示順に返す
+ * @param {import('./state.js').ListItem[]} items
+ * @returns {number[]}
+ */
+export function getVisibleIndices(items) {
+  const indices = items.map((_, i) => i).filter((i) => matches(items[i], filters));
+  if (sortOrder) indices.sort((i, j) => compareItems(items[i], items[j], sortOrder) || i - j);
+  return indices;
+}
+
+/**
+ * 今の並べ替えで全アイテム（絞り込みで隠れているものも含む）を並べた id の一覧
+ * @param {import('./state.js').ListItem[]} items
+ * @returns {string[]}
+ */
+export function sortedIds(items) {
+  const order = sortOrder;
+  const sorted = order ? [...items].sort((a, b) => compareItems(a, b, order)) : items;
+  return sorted.map((it) => it.id);
+}
@@ -0,0 +1,227 @@
+/**
+ * オーディオファイルに埋め込まれたループ情報を読む。
+ * - WAV: RIFF の smpl チャンク（最初のループ。終端サンプルを含む）
+ * - OGG (Vorbis / Opus)・FLAC: Vorbis コメントの LOOPSTART / LOOPLENGTH（または LOOPEND）。値はサンプル数
+ */
+
+/** @typedef {{ loopStart: number; loopEnd: number | null; source: 'smpl' | 'vorbis' }} LoopMetadata */
+
+/** RIFF チャンクを辿る上限数 */
+const MAX_RIFF_CHUNKS = 64;
+/** FLAC メタデータブロックを辿る上限数 */
+const MAX_FLAC_BLOCKS = 64;
+/** Ogg ページを辿る上限数（カバー画像入りのコメントは数百ページにまたがることがある） */
+const MAX_OGG_PAGES = 4096;
+
+/**
+ * @param {Blob} file
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<DataView>}
+ */
+async function readRange(file, start, end) {
+  const buf = await file.slice(start, Math.min(end, file.size)).arrayBuffer();
+  return new DataView(buf);
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function ascii(view, offset, length) {
+  let s = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    s += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return s;
+}
+
+/**
+ * RIFF/WAVE の fmt チャンクからサンプルレート、smpl チャンクから最初のループを読む
+ * @param {Blob} file
+ * @returns {Promise<LoopMetadata | null>}
+ */
+async function readWavLoop(file) {
+  let sampleRate = 0;
+  /** @type {{ start: number; end: number } | null} */
+  let loop = null;
+  let offset = 12;
+  for (let i = 0; i < MAX_RIFF_CHUNKS && offset + 8 <= file.size; i++) {
+    const header = await readRange(file, offset, offset + 8);
+    const id = ascii(header, 0, 4);
+    const size = header.getUint32(4, true);
+    const body = offset + 8;
+    if (id === 'fmt ' && size >= 8) {
+      const fmt = await readRange(file, body, body + 8);
+      sampleRate = fmt.getUint32(4, true);
+    } else if (id === 'smpl' && size >= 36) {
+      const smpl = await readRange(file, body, body + size);
+      const numLoops = smpl.getUint32(28, true);
+      if (numLoops > 0 && smpl.byteLength >= 36 + 24) {
+        loop = { start: smpl.getUint32(36 + 8, true), end: smpl.getUint32(36 + 12, true) };
+      }
+    }
+    if (sampleRate && loop) break;
+    offset = body + size + (size & 1);
+  }
+  if (!sampleRate || !loop || loop.end <= loop.start) return null;
+  // smpl の終端は「最後に再生するサンプル」なので +1 した位置が区間の終わり
+  return { loopStart: loop.start / sampleRate, loopEnd: (loop.end + 1) / sampleRate, source: 'smpl' };
+}
+
+/**
+ * Vorbis コメント（vendor 長 + vendor + 件数 + 長さ付き "KEY=value" の列）をパース
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {Map<string, string>} キーは大文字
+ */
+function parseVorbisComments(view, offset) {
+  const tags = new Map();
+  const decoder = new TextDecoder();
+  let p = offset;
+  if (p + 4 > view.byteLength) return tags;
+  p += 4 + view.getUint32(p, true);
+  if (p + 4 > view.byteLength) return tags;
+  const count = view.getUint32(p, true);
+  p += 4;
+  for (let i = 0; i < count && p + 4 <= view.byteLength; i++) {
+    const len = view.getUint32(p, true);
+    p += 4;
+    if (p + len > view.byteLength) break;
+    const entry = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + p, len));
+    p += len;
+    const eq = entry.indexOf('=');
+    if (eq > 0) tags.set(entry.slice(0, eq).toUpperCase(), entry.slice(eq + 1).trim());
+  }
+  return tags;
+}
+
+/**
+ * LOOPSTART / LOOPLENGTH / LOOPEND タグ（サンプル数）をループ情報に変換
+ * @param {Map<string, string>} tags
+ * @param {number} sampleRate
+ * @returns {LoopMetadata | null}
+ */
+function loopFromTags(tags, sampleRate) {
+  if (!sampleRate || !tags.has('LOOPSTART')) return null;
+  const start = parseInt(tags.get('LOOPSTART'), 10);
+  if (!Number.isFinite(start) || start < 0) return null;
+  let end = null;
+  const length = parseInt(tags.get('LOOPLENGTH') ?? '', 10);
+  const loopEnd = parseInt(tags.get('LOOPEND') ?? '', 10);
+  if (Number.isFinite(length) && length > 0) end = start + length;
+  else if (Number.isFinite(loopEnd) && loopEnd > start) end = loopEnd;
+  return { loopStart: start / sampleRate, loopEnd: end != null ? end / sampleRate : null, source: 'vorbis' };
+}
+
+/**
+ * Ogg ページを 1 枚ずつ読んで先頭から count 個のパケットを組み立てる（ページをまたぐパケットも続きのページまで読む）
+ * @param {Blob} file
+ * @param {number} count
+ * @returns {Promise<DataView[]>}
+ */
+async function readOggPackets(file, count) {
+  const packets = [];
+  /** @type {Uint8Array[]} */
+  let parts = [];
+  let p = 0;
+  for (let page = 0; page < MAX_OGG_PAGES && packets.length < count && p + 27 <= file.size; page++) {
+    const header = await readRange(file, p, p + 27);
+    if (ascii(header, 0, 4) !== 'OggS') break;
+    const segments = header.getUint8(26);
+    const table = await readRange(file, p + 27, p + 27 + segments);
+    if (table.byteLength < segments) break;
+    let bodySize = 0;
+    for (let i = 0; i < segments; i++) bodySize += table.getUint8(i);
+    const bodyStart = p + 27 + segments;
+    const view = await readRange(file, bodyStart, bodyStart + bodySize);
+    if (view.byteLength < bodySize) break;
+    let dataStart = 0;
+    for (let i = 0; i < segments && packets.length < count; i++) {
+      const len = table.getUint8(i);
+      parts.push(new Uint8Array(view.buffer, view.byteOffset + dataStart, len));
+      dataStart += len;
+      if (len < 255) {
+        const total = parts.reduce((n, a) => n + a.length, 0);
+        const joined = new Uint8Array(total);
+        let o = 0;
+        for (const a of parts) {
+          joined.set(a, o);
+          o += a.length;
+        }
+        packets.push(new DataView(joined.buffer));
+        parts = [];
+      }
+    }
+    p = bodyStart + bodySize;
+  }
+  return packets;
+}
+
+/**
+ * OGG (Vorbis / Opus) のコメントヘッダからループ情報を読む
+ * @param {Blob} file
+ * @returns {Promise<LoopMetadata | null>}
+ */
+async function readOggLoop(file) {
+  const [ident, comment] = await readOggPackets(file, 2);
+  if (!ident || !comment) return null;
+  if (ascii(ident, 0, 7) === '\x01vorbis' && ascii(comment, 0, 7) === '\x03vorbis') {
+    return loopFromTags(parseVorbisComments(comment, 7), ident.getUint32(12, true));
+  }
+  if (ascii(ident, 0, 8) === 'OpusHead' && ascii(comment, 0, 8) === 'OpusTags') {
+    // Opus のサンプル位置は常に 48kHz 基準
+    return loopFromTags(parseVorbisComments(comment, 8), 48000);
+  }
+  return null;
+}
+
+/**
+ * FLAC のメタデータブロック（STREAMINFO / VORBIS_COMMENT）からループ情報を読む。
+ * ブロックヘッダを 1 つずつ読み、PICTURE など大きなブロックは読み飛ばす
+ * @param {Blob} file
+ * @returns {Promise<LoopMetadata | null>}
+ */
+async function readFlacLoop(file) {
+  let sampleRate = 0;
+  /** @type {Map<string, string> | null} */
+  let tags = null;
+  let p = 4;
+  for (let i = 0; i < MAX_FLAC_BLOCKS && p + 4 <= file.size; i++) {
+    const header = await readRange(file, p, p + 4);
+    const head = header.getUint8(0);
+    const type = head & 0x7f;
+    const len = (header.getUint8(1) << 16) | (header.getUint8(2) << 8) | header.getUint8(3);
+    const body = p + 4;
+    if (body + len > file.size) break;
+    if (type === 0 && len >= 13) {
+      const info = await readRange(file, body, body + 13);
+      sampleRate = (info.getUint8(10) << 12) | (info.getUint8(11) << 4) | (info.getUint8(12) >> 4);
+    } else if (type === 4) {
+      tags = parseVorbisComments(await readRange(file, body, body + len), 0);
+    }
+    if ((head & 0x80) || (sampleRate && tags)) break;
+    p = body + len;
+  }
+  return tags ? loopFromTags(tags, sampleRate) : null;
+}
+
+/**
+ * ファイル先頭のシグネチャで形式を判別し、埋め込みループ情報を返す。見つからなければ null
+ * @param {Blob} file
+ * @returns {Promise<LoopMetadata | null>}
+ */
+export async function readLoopMetadata(file) {
+  try {
+    const head = await readRange(file, 0, 12);
+    const magic = ascii(head, 0, 4);
+    if (magic === 'RIFF' && ascii(head, 8, 4) === 'WAVE') return await readWavLoop(file);
+    if (magic === 'OggS') return await readOggLoop(file);
+    if (magic === 'fLaC') return await readFlacLoop(file);
+  } catch (_) {
+    // 壊れたヘッダなどは「ループ情報なし」として扱う
+  }
+  return null;
+}
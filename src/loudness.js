@@ -0,0 +1,234 @@
+/**
+ * EBU R128 / ITU-R BS.1770-4 のラウドネス測定（デコード済みの PCM を一括で測る。解析ワーカーから呼ぶ）。
+ * K 特性フィルタを通した 100ms ごとの平均二乗を元に、400ms ブロックのゲート付き平均（Integrated）、
+ * 3 秒窓（Short-term）の最大値とラウドネスレンジ（LRA）、4 倍オーバーサンプリングでの True Peak を求める。
+ */
+
+/**
+ * integrated / shortTermMax は LUFS、range は LU、truePeak は dBTP（小数 1 桁）
+ * @typedef {{ integrated: number; shortTermMax: number; range: number; truePeak: number }} LoudnessResult
+ */
+
+/** ゲートの基準になる 100ms 区間の長さ（秒） */
+const SUB_BLOCK_SECONDS = 0.1;
+/** Integrated の 400ms ブロック（100ms 区間 4 つ、75% 重ね） */
+const MOMENTARY_SUB_BLOCKS = 4;
+/** Short-term の 3 秒窓（100ms 区間 30 個） */
+const SHORT_TERM_SUB_BLOCKS = 30;
+/** 絶対ゲート（LUFS） */
+const ABSOLUTE_GATE = -70;
+/** Integrated の相対ゲート（LU） */
+const INTEGRATED_RELATIVE_GATE = -10;
+/** LRA の相対ゲート（LU） */
+const RANGE_RELATIVE_GATE = -20;
+/** True Peak のオーバーサンプリング倍率と、1 位相あたりの補間フィルタのタップ数 */
+const OVERSAMPLE = 4;
+const TAPS_PER_PHASE = 12;
+
+/**
+ * 2 次 IIR の係数（a0 で正規化済み）
+ * @typedef {{ b0: number; b1: number; b2: number; a1: number; a2: number }} Biquad
+ */
+
+/**
+ * K 特性の 2 段のフィルタ（高域シェルフ + 高域通過）。48kHz 以外でも同じ特性になるよう双一次変換で係数を作る
+ * @param {number} sampleRate
+ * @returns {Biquad[]}
+ */
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = 10 ** (3.999843853973347 / 20);
+  const vb = vh ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+  const hpK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const hpQ = 0.5003270373238773;
+  const hpA0 = 1 + hpK / hpQ + hpK * hpK;
+  return [
+    {
+      b0: (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: (2 * (shelfK * shelfK - vh)) / shelfA0,
+      b2: (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: (2 * (shelfK * shelfK - 1)) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: (2 * (hpK * hpK - 1)) / hpA0,
+      a2: (1 - hpK / hpQ + hpK * hpK) / hpA0,
+    },
+  ];
+}
+
+/**
+ * チャンネルの重み（5.1ch なら LFE を除き、サラウンドは +1.5dB。それ以外は全チャンネル 1）
+ * @param {number} count
+ * @returns {number[]}
+ */
+function channelWeights(count) {
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(count).fill(1);
+}
+
+/**
+ * K 特性をかけた信号の 100ms 区間ごとの平均二乗（チャンネルの重み付き和）
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Float64Array}
+ */
+function subBlockPowers(channels, sampleRate) {
+  const size = Math.round(SUB_BLOCK_SECONDS * sampleRate);
+  const count = Math.floor((channels[0]?.length ?? 0) / size);
+  const powers = new Float64Array(count);
+  const filters = kWeightingFilters(sampleRate);
+  channelWeights(channels.length).forEach((weight, c) => {
+    if (!weight) return;
+    const data = channels[c];
+    const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    for (let block = 0; block < count; block++) {
+      let sum = 0;
+      for (let i = block * size, end = i + size; i < end; i++) {
+        let v = data[i];
+        for (let f = 0; f < filters.length; f++) {
+          const { b0, b1, b2, a1, a2 } = filters[f];
+          const s = state[f];
+          const y = b0 * v + b1 * s.x1 + b2 * s.x2 - a1 * s.y1 - a2 * s.y2;
+          s.x2 = s.x1;
+          s.x1 = v;
+          s.y2 = s.y1;
+          s.y1 = y;
+          v = y;
+        }
+        sum += v * v;
+      }
+      powers[block] += (weight * sum) / size;
+    }
+  });
+  return powers;
+}
+
+/**
+ * @param {number} power
+ * @returns {number} LUFS
+ */
+function toLoudness(power) {
+  return -0.691 + 10 * Math.log10(power);
+}
+
+/**
+ * 連続する n 個の 100ms 区間の平均（100ms ずつずらした窓ごと）
+ * @param {Float64Array} powers
+ * @param {number} n
+ * @returns {number[]}
+ */
+function windowPowers(powers, n) {
+  const out = [];
+  let sum = 0;
+  for (let i = 0; i < powers.length; i++) {
+    sum += powers[i];
+    if (i >= n) sum -= powers[i - n];
+    if (i >= n - 1) out.push(sum / n);
+  }
+  return out;
+}
+
+/**
+ * 絶対ゲートと相対ゲートを通ったブロックを選ぶ。絶対ゲートを通るブロックが無ければ null
+ * @param {number[]} blocks
+ * @param {number} relativeGate LU
+ * @returns {number[] | null} ゲートを通ったブロックのパワー
+ */
+function gate(blocks, relativeGate) {
+  const absolute = blocks.filter((p) => toLoudness(p) > ABSOLUTE_GATE);
+  if (!absolute.length) return null;
+  const threshold = toLoudness(absolute.reduce((a, b) => a + b, 0) / absolute.length) + relativeGate;
+  return absolute.filter((p) => toLoudness(p) > threshold);
+}
+
+/**
+ * 並べ替え済みの配列の百分位（線形補間）
+ * @param {number[]} sorted
+ * @param {number} p 0〜1
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const i = Math.floor(pos);
+  return sorted[i] + (sorted[Math.min(i + 1, sorted.length - 1)] - sorted[i]) * (pos - i);
+}
+
+/**
+ * 4 倍オーバーサンプリングの補間フィルタ（Hann 窓付き sinc）。位相ごとのタップ列
+ * @returns {Float64Array[]}
+ */
+function interpolationPhases() {
+  const half = TAPS_PER_PHASE / 2;
+  return Array.from({ length: OVERSAMPLE }, (_, phase) => {
+    const taps = new Float64Array(TAPS_PER_PHASE);
+    for (let k = 0; k < TAPS_PER_PHASE; k++) {
+      const x = k - half + 1 - phase / OVERSAMPLE;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / half);
+      taps[k] = sinc * window;
+    }
+    return taps;
+  });
+}
+
+/**
+ * サンプル間のピークも含めた最大振幅（リニア）
+ * @param {Float32Array[]} channels
+ * @returns {number}
+ */
+function truePeakAmplitude(channels) {
+  const phases = interpolationPhases();
+  const half = TAPS_PER_PHASE / 2;
+  let max = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const a = Math.abs(data[i]);
+      if (a > max) max = a;
+      // 隣のサンプルとの間にピークが隠れうるのは、どちらかが今の最大に近いときだけなので、そこだけ補間する
+      if (a < max * 0.5 && Math.abs(data[i + 1] ?? 0) < max * 0.5) continue;
+      for (let p = 1; p < OVERSAMPLE; p++) {
+        const taps = phases[p];
+        let v = 0;
+        for (let k = 0; k < TAPS_PER_PHASE; k++) {
+          const j = i + k - half + 1;
+          if (j >= 0 && j < data.length) v += data[j] * taps[k];
+        }
+        if (Math.abs(v) > max) max = Math.abs(v);
+      }
+    }
+  }
+  return max;
+}
+
+/**
+ * @param {number} v
+ * @returns {number}
+ */
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {LoudnessResult | null} 無音（絶対ゲートを通るブロックが無い）なら null
+ */
+export function measureLoudness(channels, sampleRate) {
+  const powers = subBlockPowers(channels, sampleRate);
+  const momentary = gate(windowPowers(powers, MOMENTARY_SUB_BLOCKS), INTEGRATED_RELATIVE_GATE);
+  if (!momentary?.length) return null;
+  const integrated = toLoudness(momentary.reduce((a, b) => a + b, 0) / momentary.length);
+  // 3 秒に満たない素材は全体を 1 つの Short-term 窓として扱う
+  const shortTerm = windowPowers(powers, Math.min(SHORT_TERM_SUB_BLOCKS, powers.length));
+  const shortTermMax = toLoudness(shortTerm.reduce((a, b) => Math.max(a, b), 0));
+  const ranged = (gate(shortTerm, RANGE_RELATIVE_GATE) ?? []).map(toLoudness).sort((a, b) => a - b);
+  const range = ranged.length ? percentile(ranged, 0.95) - percentile(ranged, 0.1) : 0;
+  const truePeak = 20 * Math.log10(Math.max(truePeakAmplitude(channels), 1e-9));
+  return { integrated: round1(integrated), shortTermMax: round1(shortTermMax), range: round1(range), truePeak: round1(truePeak) };
+}
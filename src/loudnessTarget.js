@@ -0,0 +1,84 @@
+/**
+ * 納品チェック用のラウドネス目標（Integrated の目標値と許容幅、True Peak の上限）と、目標から外れた項目の判定。
+ * normalize を有効にすると、再生時に各曲の音量を目標の Integrated にそろえる（True Peak の上限は超えない範囲で）。
+ */
+
+/**
+ * integrated は LUFS、tolerance は LU（±）、truePeakMax は dBTP、normalize は再生音量をそろえるか
+ * @typedef {{ integrated: number; tolerance: number; truePeakMax: number; normalize: boolean }} LoudnessTarget
+ */
+
+/** @typedef {{ field: 'integrated' | 'truePeak'; message: string }} LoudnessIssue */
+
+/** @type {LoudnessTarget} */
+let target = { integrated: -14, tolerance: 1, truePeakMax: -1, normalize: false };
+
+/** @type {() => void} */
+let onTargetChange = () => {};
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToLoudnessTarget(fn) {
+  onTargetChange = fn;
+}
+
+/** @returns {LoudnessTarget} */
+export function getLoudnessTarget() {
+  return { ...target };
+}
+
+/**
+ * @param {Partial<LoudnessTarget>} patch
+ */
+export function setLoudnessTarget(patch) {
+  const next = { ...target };
+  if (Number.isFinite(patch.integrated) && patch.integrated < 0) next.integrated = patch.integrated;
+  if (Number.isFinite(patch.tolerance) && patch.tolerance >= 0) next.tolerance = patch.tolerance;
+  if (Number.isFinite(patch.truePeakMax) && patch.truePeakMax <= 0) next.truePeakMax = patch.truePeakMax;
+  if (typeof patch.normalize === 'boolean') next.normalize = patch.normalize;
+  if (Object.keys(next).every((k) => next[k] === target[k])) return;
+  target = next;
+  onTargetChange();
+}
+
+/**
+ * 目標から外れている項目
+ * @param {import('./loudness.js').LoudnessResult} loudness
+ * @returns {LoudnessIssue[]}
+ */
+export function checkLoudness(loudness) {
+  /** @type {LoudnessIssue[]} */
+  const issues = [];
+  const diff = Math.round((loudness.integrated - target.integrated) * 10) / 10;
+  if (Math.abs(diff) > target.tolerance) {
+    issues.push({
+      field: 'integrated',
+      message: `目標 ${target.integrated} LUFS より ${Math.abs(diff)} LU ${diff > 0 ? '大きい' : '小さい'}`,
+    });
+  }
+  if (loudness.truePeak > target.truePeakMax) {
+    issues.push({ field: 'truePeak', message: `True Peak が上限 ${target.truePeakMax} dBTP を超えている` });
+  }
+  return issues;
+}
+
+/**
+ * 目標の Integrated にそろえるための音量補正（dB）。上げる方向は True Peak が上限を超えない分までにとどめる
+ * @param {import('./loudness.js').LoudnessResult} loudness
+ * @returns {number}
+ */
+export function normalizationGainDb(loudness) {
+  const gain = target.integrated - loudness.integrated;
+  return gain > 0 ? Math.max(0, Math.min(gain, target.truePeakMax - loudness.truePeak)) : gain;
+}
+
+/**
+ * 再生時にかける音量（dB）。手動の補正に、そろえる設定が有効で測定済みならその補正を足す
+ * @param {{ gainDb: number | null; loudness: import('./loudness.js').LoudnessResult | null }} item
+ * @returns {number}
+ */
+export function getPlaybackGainDb(item) {
+  const normalized = target.normalize && item.loudness ? normalizationGainDb(item.loudness) : 0;
+  return Math.round((normalized + (item.gainDb ?? 0)) * 10) / 10;
+}
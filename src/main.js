@@ -1,13 +1,27 @@
 import './styles.css';
-import { initDropzone } from './dropzone.js';
-import { initList } from './list.js';
-import { getItems, setCurrentIndex, getCurrentIndex, getCurrentTime, getNextPlaybackAction, setCurrentTime, setPaused, getIsPaused, getPlaybackRate, setPlaybackRate, getStartedAt, setStartedAt, loadListData, setRealTimeKey, subscribeToRealtime, getRealTimeKey, getRealTimeChord } from './state.js';
-import { play as audioPlay, pause as audioPause, setOnEnded, getAudioElement } from './audio.js';
+import { initDropzone, setOnRejectedFiles } from './dropzone.js';
+import { setAnalysisStatus, reorderItems, getItems, setCurrentIndex, getCurrentIndex, getCurrentTime, getNextPlaybackAction, setCurrentTime, setPaused, getIsPaused, getPlaybackRate, setPlaybackRate, getPreservePitch, setPreservePitch, getPitchSemitones, setPitchSemitones, getMasterVolume, setMasterVolume, getMuted, setMuted, getHeardPitchShift, getStartedAt, setStartedAt, loadListData, setRealTimeKey, subscribeToRealtime, getRealTimeKey, getRealTimeChord, getTransitionDefaults, setTransitionDefaults, subscribeToTransitionDefaults, subscribeToListChange, restoreItems, retryFailedAnalyses, removeItems, clearItems, findPlayableIndex } from './state.js';
+import { play as audioPlay, pause as audioPause, crossfadeTo as audioCrossfadeTo, setSource as audioSetSource, prepareOutput, setOnEnded, setLoopRegion, setStopAfter, getLoopedSeconds, setEngine, getEngine, getAudioElement, applyPlaybackSettings, setTrackGain } from './audio.js';
 import { decodeToBuffer, analyzeKeyFromSegment, analyzeChordFromSegment } from './audioAnalysis.js';
-import { formatMmSs, getTrackLength, getListStartTimes } from './utils.js';
+import { applyMasterVolume } from './audioGraph.js';
+import { snapToBar } from './beatGrid.js';
+import { chordIndexAt, chordsToText, chordsToLrc } from './chordTimeline.js';
+import { initChordLane, updateChordLane } from './chordLane.js';
+import { initSpectrogramView, setSpectrogramSource, updateSpectrogramView } from './spectrogramView.js';
+import { formatMmSs, getTrackLength, getListStartTimes, getListTotal, getTransition, getLoopRegion, getLoopedPosition, FADE_CURVES } from './utils.js';
 import * as levelMeter from './levelMeter.js';
 import * as levelMeterDisplay from './levelMeterDisplay.js';
-import { listToText, textToList } from './listSaveLoad.js';
+import * as stereoMeterDisplay from './stereoMeterDisplay.js';
+import { listToText, listToJson, parseListFile } from './listSaveLoad.js';
+import { initAnalysisCacheView } from './analysisCacheView.js';
+import { initRelinkView, renderRelinkView, openRelinkView } from './relinkView.js';
+import { subscribeToAnalysisProgress, getAnalysisProgress, setOnModelUnavailable, cancelAnalysis } from './analysisScheduler.js';
+import { MOOD_MODELS, getMoodModelId, setMoodModelId, getMoodDisplay, setMoodDisplay, subscribeToMoodSettings, isCurrentMoodModel } from './moodModels.js';
+import { initList, renderList, getSelectedIds } from './list.js';
+import { initListFilterBar } from './listFilterBar.js';
+import { getLoudnessTarget, setLoudnessTarget, subscribeToLoudnessTarget, getPlaybackGainDb } from './loudnessTarget.js';
+import { KEY_NOTATIONS, getHarmonicSettings, setHarmonicSettings, subscribeToHarmonicSettings, harmonicOrder, transposeKey } from './harmonic.js';
+import { loadLastSession, restoreSessionFiles, holdLastSession, releaseLastSession, discardLastSession, startSessionSaving, scheduleSessionSave } from './session.js';
 
 /** 再生用に使っている Object URL（ループで再利用するため保持） */
 let currentPlayUrl = null;
@@ -17,15 +31,92 @@ let currentPlayBuffer = null;
 let realtimeKeyTimerId = null;
 /** 現在トラックでループにより既に再生した秒数（再生経過の加算用） */
 let currentTrackLoopElapsed = 0;
+/** 無音ギャップ後に次の曲へ進むタイマー ID */
+let gapTimerId = null;
+/** 無音ギャップの開始時刻（Date.now()）。ギャップ中でなければ null */
+let gapStartedAt = null;
+/** 無音ギャップ後に再生するインデックス */
+let gapNextIndex = null;
+/** @type {string | null} 音量補正をかけた曲の id */
+let gainItemId = null;
 
 function applyPlaybackRate() {
-  const el = getAudioElement();
-  if (el) el.playbackRate = getPlaybackRate();
+  applyPlaybackSettings({ rate: getPlaybackRate(), preservePitch: getPreservePitch(), semitones: getPitchSemitones() });
+}
+
+function applyMasterVolumeSetting() {
+  applyMasterVolume({ volume: getMasterVolume(), muted: getMuted() });
+}
+
+/** 再生中の曲の音量補正（手動のゲインとラウドネスをそろえる分）を現在のボイスにかける。曲を切り替えて鳴らし始めたときに呼ぶ */
+function applyTrackGain() {
+  const idx = getCurrentIndex();
+  const item = idx !== null ? getItems()[idx] : null;
+  gainItemId = item?.id ?? null;
+  setTrackGain(item ? getPlaybackGainDb(item) : 0);
+}
+
+/**
+ * 設定・測定結果・ゲインの変更を、補正をかけ済みの曲にだけ反映する
+ * （曲の切り替え途中に呼ばれても、まだ前の曲を鳴らしているボイスに次の曲の補正をかけない）
+ */
+function refreshTrackGain() {
+  const idx = getCurrentIndex();
+  const item = idx !== null ? getItems()[idx] : null;
+  if (item && item.id === gainItemId) setTrackGain(getPlaybackGainDb(item), { smooth: true });
+}
+
+/**
+ * 現在トラックの再生経過（秒）。ループで巻き戻した分も含む。
+ * @returns {number}
+ */
+function getTrackElapsed() {
+  return currentTrackLoopElapsed + getLoopedSeconds() + getAudioElement().currentTime;
+}
+
+/**
+ * 再生中アイテムのループ区間と最大再生時間を audio.js に反映する
+ * （ループOFFや終端未指定なら素材の終端まで）
+ */
+function syncLoopRegion() {
+  const items = getItems();
+  const idx = getCurrentIndex();
+  const item = idx !== null && idx < items.length ? items[idx] : null;
+  if (!item) {
+    setLoopRegion({ loop: false, start: 0, end: null });
+    setStopAfter(null);
+    return;
+  }
+  const { start, end } = getLoopRegion(item);
+  const hasLoopEnd = item.loopEnd != null && (item.duration == null || end < item.duration);
+  setLoopRegion({ loop: item.loop, start, end: hasLoopEnd ? end : null });
+  const hasMax = item.loop && item.maxLoopSeconds != null && item.maxLoopSeconds > 0;
+  setStopAfter(hasMax ? Math.max(0, getTrackLength(item, getTransitionDefaults()) - getTrackElapsed()) : null);
+}
+
+/** 無音ギャップ待ちを取り消す（手動で曲を切り替えた・止めたとき） */
+function cancelPendingGap() {
+  if (gapTimerId != null) {
+    clearTimeout(gapTimerId);
+    gapTimerId = null;
+  }
+  gapStartedAt = null;
+  gapNextIndex = null;
+}
+
+/**
+ * 無音ギャップ中の経過秒（素材時間換算）
+ * @returns {number}
+ */
+function getGapElapsed() {
+  return gapStartedAt !== null ? ((Date.now() - gapStartedAt) / 1000) * getPlaybackRate() : 0;
 }
 
 function playItemAtIndex(index) {
   const items = getItems();
-  if (index < 0 || index >= items.length) return;
+  // プレースホルダ（ファイルの無い行）は再生できない
+  if (index < 0 || index >= items.length || !items[index].file) return;
+  cancelPendingGap();
   const item = items[index];
   if (!currentPlayUrl) {
     currentPlayUrl = URL.createObjectURL(item.file);
@@ -38,56 +129,123 @@ function playItemAtIndex(index) {
     clearInterval(realtimeKeyTimerId);
     realtimeKeyTimerId = null;
   }
-  levelMeter.start(getAudioElement());
-  audioPlay(currentPlayUrl);
+  // デコードは 1 回だけにして、Web Audio エンジンの再生・リアルタイム解析・スペクトログラムで同じバッファを使う
+  const decoded = decodeToBuffer(item.file);
+  audioPlay(currentPlayUrl, 0, decoded);
+  setSpectrogramSource(item, decoded);
   applyPlaybackRate();
   setCurrentIndex(index);
+  applyTrackGain();
   setPaused(false);
   currentTrackLoopElapsed = 0;
+  syncLoopRegion();
   startRealtimeKeyUpdates();
-  decodeToBuffer(item.file).then((buf) => {
+  decoded.then((buf) => {
     if (getCurrentIndex() !== index) return;
     currentPlayBuffer = buf;
     runRealtimeAnalysisOnce(index, buf);
   }).catch(() => {});
 }
 
+/**
+ * 次の曲へ切り替えて再生する。crossfade を渡すと今の曲をフェードアウトさせながら重ねて始める。
+ * @param {number} index
+ * @param {{ seconds: number; fadeOutCurve: 'linear' | 'equalPower' | 'sCurve'; fadeInCurve: 'linear' | 'equalPower' | 'sCurve' } | null} [crossfade] seconds は素材時間
+ */
+function startNextTrack(index, crossfade = null) {
+  cancelPendingGap();
+  setCurrentIndex(index);
+  setPaused(false);
+  currentTrackLoopElapsed = 0;
+  const items = getItems();
+  const item = items[index];
+  // クロスフェード中は前の曲がまだ URL を使っているので、解放は audio.js に任せる
+  if (currentPlayUrl && !crossfade) URL.revokeObjectURL(currentPlayUrl);
+  currentPlayUrl = URL.createObjectURL(item.file);
+  currentPlayBuffer = null;
+  const decoded = decodeToBuffer(item.file);
+  setSpectrogramSource(item, decoded);
+  if (crossfade) {
+    audioCrossfadeTo(currentPlayUrl, { ...crossfade, seconds: crossfade.seconds / getPlaybackRate() }, decoded);
+  } else {
+    audioPlay(currentPlayUrl, 0, decoded);
+  }
+  applyPlaybackRate();
+  applyTrackGain();
+  syncLoopRegion();
+  startRealtimeKeyUpdates();
+  decoded.then((buf) => {
+    if (getCurrentIndex() !== index) return;
+    currentPlayBuffer = buf;
+    runRealtimeAnalysisOnce(index, buf);
+  }).catch(() => {});
+}
+
+/** 再生中はスペクトログラムの再生位置の線を毎フレーム動かす（停止中は定期更新で足りる） */
+function watchSpectrogramPlayhead() {
+  requestAnimationFrame(watchSpectrogramPlayhead);
+  const idx = getCurrentIndex();
+  if (idx === null || getIsPaused()) return;
+  updateSpectrogramView(getItems()[idx] ?? null, getAudioElement().currentTime);
+}
+
+/**
+ * 再生中の曲が終わりに近づいたら、クロスフェード設定に従って次の曲を重ねて始める（毎フレーム確認）
+ */
+function watchTransition() {
+  requestAnimationFrame(watchTransition);
+  const idx = getCurrentIndex();
+  if (idx === null || getIsPaused() || gapStartedAt !== null) return;
+  const items = getItems();
+  const item = items[idx];
+  const nextIndex = findPlayableIndex(idx + 1);
+  if (!item || nextIndex === null) return;
+  if (item.loop && !(item.maxLoopSeconds != null && item.maxLoopSeconds > 0)) return;
+  const defaults = getTransitionDefaults();
+  const { crossfadeSeconds, fadeOutCurve, fadeInCurve } = getTransition(item, defaults);
+  const len = getTrackLength(item, defaults);
+  if (!(crossfadeSeconds > 0) || !(len > 0)) return;
+  const seconds = Math.min(crossfadeSeconds, len);
+  if (getTrackElapsed() < len - seconds) return;
+  startNextTrack(nextIndex, { seconds, fadeOutCurve, fadeInCurve });
+}
+
 /**
  * getNextPlaybackAction() の結果に従って次曲へ／停止を実行する
- * @param {{ action: 'loop' | 'next' | 'stop'; index?: number }} action
+ * @param {{ action: 'loop' | 'next' | 'stop'; index?: number; startSec?: number }} action
  */
 function performPlaybackAction(action) {
   if (action.action === 'loop') {
     const items = getItems();
     const idx = getCurrentIndex();
     if (idx !== null && idx < items.length) {
-      currentTrackLoopElapsed += items[idx].duration ?? 0;
+      const { start, end } = getLoopRegion(items[idx]);
+      currentTrackLoopElapsed += end - start;
     }
     setPaused(false);
-    audioPlay(currentPlayUrl);
+    audioPlay(currentPlayUrl, action.startSec ?? 0);
     applyPlaybackRate();
     return;
   }
   if (action.action === 'next') {
-    setCurrentIndex(action.index);
-    setPaused(false);
-    currentTrackLoopElapsed = 0;
-    const items = getItems();
-    const item = items[action.index];
-    if (currentPlayUrl) URL.revokeObjectURL(currentPlayUrl);
-    currentPlayUrl = URL.createObjectURL(item.file);
-    currentPlayBuffer = null;
-    audioPlay(currentPlayUrl);
-    applyPlaybackRate();
-    startRealtimeKeyUpdates();
-    decodeToBuffer(item.file).then((buf) => {
-      if (getCurrentIndex() !== action.index) return;
-      currentPlayBuffer = buf;
-      runRealtimeAnalysisOnce(action.index, buf);
-    }).catch(() => {});
+    const idx = getCurrentIndex();
+    const prev = idx !== null ? getItems()[idx] : null;
+    const gap = prev ? getTransition(prev, getTransitionDefaults()) : null;
+    if (gap && !(gap.crossfadeSeconds > 0) && gap.gapSeconds > 0) {
+      cancelPendingGap();
+      gapStartedAt = Date.now();
+      gapNextIndex = action.index;
+      gapTimerId = setTimeout(() => {
+        gapTimerId = null;
+        startNextTrack(action.index);
+      }, (gap.gapSeconds * 1000) / getPlaybackRate());
+      return;
+    }
+    startNextTrack(action.index);
     return;
   }
   if (action.action === 'stop') {
+    cancelPendingGap();
     setCurrentIndex(null);
     currentPlayBuffer = null;
     if (realtimeKeyTimerId != null) {
@@ -102,15 +260,20 @@ function performPlaybackAction(action) {
 }
 
 function handleEnded() {
-  performPlaybackAction(getNextPlaybackAction());
+  performPlaybackAction(getNextPlaybackAction(getTrackElapsed()));
 }
 
 function pausePlayback() {
+  if (gapNextIndex !== null) {
+    // 無音ギャップ中に止めたら、次の曲の頭で一時停止しておく
+    startNextTrack(gapNextIndex);
+  }
   audioPause();
   setPaused(true);
 }
 
 function stopPlayback() {
+  cancelPendingGap();
   audioPause();
   setCurrentIndex(null);
   currentPlayBuffer = null;
@@ -124,6 +287,43 @@ function stopPlayback() {
   }
 }
 
+/**
+ * 曲を一覧から取り除く。再生中の曲が含まれていれば止め（URL も解放する）、解析ジョブも取り消す。
+ * 無音ギャップの後に始める予定の曲が残っていれば、その曲の新しい位置で待ち続ける
+ * @param {string[]} ids
+ */
+function removeTracks(ids) {
+  if (!ids.length) return;
+  const items = getItems();
+  const idx = getCurrentIndex();
+  const playingId = idx !== null ? items[idx]?.id : null;
+  const nextId = gapNextIndex !== null ? items[gapNextIndex]?.id : null;
+  if (playingId != null && ids.includes(playingId)) stopPlayback();
+  for (const id of ids) cancelAnalysis(id);
+  removeItems(ids);
+  if (nextId != null && gapNextIndex !== null) {
+    const next = getItems().findIndex((it) => it.id === nextId);
+    if (next >= 0) gapNextIndex = next;
+    else stopPlayback();
+  }
+}
+
+/** 選択中の曲を一覧から取り除く（キーボードの Delete / Backspace。押し間違いで消さないよう確認してから） */
+function removeSelectedTracks() {
+  const ids = getSelectedIds();
+  if (!ids.length || !confirm(`選択中の ${ids.length} 曲を一覧から取り除きますか？`)) return;
+  removeTracks(ids);
+}
+
+/** 一覧を空にする（確認してから。再生も止める） */
+function clearList() {
+  const items = getItems();
+  if (!items.length || !confirm(`一覧の ${items.length} 曲をすべて取り除きますか？`)) return;
+  stopPlayback();
+  for (const item of items) cancelAnalysis(item.id);
+  clearItems();
+}
+
 function runRealtimeAnalysisOnce(idx, buffer) {
   const items = getItems();
   const item = items[idx];
@@ -134,9 +334,11 @@ function runRealtimeAnalysisOnce(idx, buffer) {
   const startSec = Math.max(0, t - 2);
   const endSec = Math.min(duration, t + 1);
   if (endSec <= startSec) return;
+  // 曲全体のコード進行が解析済みなら、その区間のコードをそのまま使う
+  const chords = item?.chords;
   Promise.all([
     analyzeKeyFromSegment(buffer, startSec, endSec),
-    analyzeChordFromSegment(buffer, startSec, endSec),
+    chords ? chords[chordIndexAt(chords, t)]?.chord ?? null : analyzeChordFromSegment(buffer, startSec, endSec),
   ]).then(([key, chord]) => {
     if (getCurrentIndex() === idx) setRealTimeKey(key, chord);
   });
@@ -155,35 +357,49 @@ function seekPlayback(seconds) {
   const audio = getAudioElement();
   const idx = getCurrentIndex();
   if (idx === null) return;
-  const sec = Math.max(0, seconds);
+  // 小節にそろえる設定なら、ビートグリッドのある曲はいちばん近い小節頭へ
+  const item = getItems()[idx];
+  const snap = getTransitionDefaults().snapToBars && item?.beatGrid;
+  const sec = Math.max(0, snap ? snapToBar(item.beatGrid, seconds) : seconds);
   audio.currentTime = sec;
   setCurrentTime(sec);
+  syncLoopRegion();
 }
 
 /**
  * リスト全体の絶対時間（秒）でシークし、その位置から再生する
  * @param {number} listTimeSec
+ * @param {{ autoplay?: boolean }} [opts] autoplay: false ならその位置で一時停止状態にする
  */
-function seekToAbsoluteListTime(listTimeSec) {
+function seekToAbsoluteListTime(listTimeSec, { autoplay = true } = {}) {
   const items = getItems();
   if (items.length === 0) return;
-  const listStartTimes = getListStartTimes(items);
-  const listTotal = items.reduce((s, it) => s + getTrackLength(it), 0);
+  const defaults = getTransitionDefaults();
+  const listStartTimes = getListStartTimes(items, defaults);
+  const listTotal = getListTotal(items, defaults);
   const t = Math.max(0, Math.min(listTimeSec, listTotal));
-  let trackIndex = items.length - 1;
-  let positionInTrack = getTrackLength(items[trackIndex]);
+  // クロスフェードで重なる区間は後の曲、無音ギャップ中は次の曲の頭として扱う
+  let trackIndex = 0;
   for (let i = 0; i < items.length; i++) {
-    const len = getTrackLength(items[i]);
-    if (t < listStartTimes[i] + len) {
-      trackIndex = i;
-      positionInTrack = t - listStartTimes[i];
-      break;
-    }
+    if (listStartTimes[i] <= t) trackIndex = i;
+  }
+  let positionInTrack = t - listStartTimes[trackIndex];
+  if (positionInTrack >= getTrackLength(items[trackIndex], defaults) && trackIndex + 1 < items.length) {
+    trackIndex++;
+    positionInTrack = 0;
   }
+  // プレースホルダに当たったら、次の再生できる曲の頭から
+  const playableIndex = findPlayableIndex(trackIndex);
+  if (playableIndex === null) return;
+  if (playableIndex !== trackIndex) {
+    trackIndex = playableIndex;
+    positionInTrack = 0;
+  }
+  positionInTrack = Math.min(positionInTrack, getTrackLength(items[trackIndex], defaults));
+  cancelPendingGap();
+  audioPause();
   const item = items[trackIndex];
-  const duration = item.duration ?? 0;
-  const loopElapsed = duration > 0 ? Math.floor(positionInTrack / duration) * duration : 0;
-  const positionInCurrentLoop = duration > 0 ? positionInTrack % duration : 0;
+  const { loopElapsed, position: positionInCurrentLoop } = getLoopedPosition(item, positionInTrack);
 
   if (currentPlayUrl) URL.revokeObjectURL(currentPlayUrl);
   currentPlayUrl = URL.createObjectURL(item.file);
@@ -194,19 +410,23 @@ function seekToAbsoluteListTime(listTimeSec) {
   }
   currentTrackLoopElapsed = loopElapsed;
   setCurrentIndex(trackIndex);
-  setPaused(false);
+  setPaused(!autoplay);
   setStartedAt(Date.now() - t * 1000);
 
+  const decoded = decodeToBuffer(item.file);
+  audioSetSource(currentPlayUrl, decoded);
+  setSpectrogramSource(item, decoded);
   const audio = getAudioElement();
-  audio.src = currentPlayUrl;
   const onReady = () => {
     audio.currentTime = positionInCurrentLoop;
     setCurrentTime(positionInCurrentLoop);
     applyPlaybackRate();
-    audio.play().catch(() => {});
-    levelMeter.start(audio);
+    applyTrackGain();
+    syncLoopRegion();
+    prepareOutput();
+    if (autoplay) audio.play().catch(() => {});
     startRealtimeKeyUpdates();
-    decodeToBuffer(item.file).then((buf) => {
+    decoded.then((buf) => {
       if (getCurrentIndex() === trackIndex) currentPlayBuffer = buf;
     }).catch(() => {});
   };
@@ -229,11 +449,12 @@ function goToPrevious() {
     setPaused(false);
     return;
   }
-  if (idx !== null && idx > 0) {
-    playItemAtIndex(idx - 1);
+  const prevIndex = idx !== null ? findPlayableIndex(idx - 1, -1) : null;
+  if (prevIndex !== null) {
+    playItemAtIndex(prevIndex);
     return;
   }
-  if (idx === 0) {
+  if (idx !== null) {
     seekPlayback(0);
     if (getIsPaused()) audio.play().catch(() => {});
     setPaused(false);
@@ -246,7 +467,7 @@ function togglePlayPause() {
   const idx = getCurrentIndex();
   if (items.length === 0) return;
   if (idx === null) {
-    playItemAtIndex(0);
+    playItemAtIndex(findPlayableIndex(0) ?? -1);
     return;
   }
   if (getIsPaused()) {
@@ -264,30 +485,74 @@ function goToNext() {
   const idx = getCurrentIndex();
   if (items.length === 0) return;
   if (idx === null) {
-    playItemAtIndex(0);
+    playItemAtIndex(findPlayableIndex(0) ?? -1);
     return;
   }
-  const nextIndex = idx + 1;
-  if (nextIndex >= items.length) {
+  const nextIndex = findPlayableIndex(idx + 1);
+  if (nextIndex === null) {
     stopPlayback();
     return;
   }
   playItemAtIndex(nextIndex);
 }
 
-function saveList() {
-  const items = getItems();
-  if (!items.length) return;
-  const text = listToText(items.map((it) => ({ name: it.name, loop: it.loop, maxLoopSeconds: it.maxLoopSeconds })));
-  const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+/**
+ * テキストをファイルとしてダウンロードさせる
+ * @param {string} text
+ * @param {string} type
+ * @param {string} filename
+ */
+function downloadText(text, type, filename) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'audio-list.txt';
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
 }
 
+/**
+ * 再生中の曲のコード進行を書き出す
+ * @param {'text' | 'lrc'} format
+ */
+function exportChords(format) {
+  const idx = getCurrentIndex();
+  const item = idx !== null ? getItems()[idx] : null;
+  if (!item?.chords) return;
+  const base = item.name.replace(/\.[^.]+$/, '');
+  if (format === 'lrc') downloadText(chordsToLrc(item.name, item.chords), 'text/plain;charset=utf-8', `${base}.lrc`);
+  else downloadText(chordsToText(item.name, item.chords, item.beatGrid), 'text/plain;charset=utf-8', `${base}.chords.txt`);
+}
+
+/** 全設定・解析結果を含む JSON でセーブ */
+function saveList() {
+  const items = getItems();
+  if (!items.length) return;
+  downloadText(listToJson(items, getTransitionDefaults()), 'application/json;charset=utf-8', 'audio-list.json');
+}
+
+/** 旧形式の txt（並び順・ループ・最大再生時間・つなぎ設定のみ）でセーブ */
+function saveListAsText() {
+  const items = getItems();
+  if (!items.length) return;
+  const text = listToText(
+    items.map((it) => ({
+      name: it.name,
+      relativePath: it.relativePath,
+      loop: it.loop,
+      maxLoopSeconds: it.maxLoopSeconds,
+      crossfadeSeconds: it.crossfadeSeconds,
+      gapSeconds: it.gapSeconds,
+      fadeOutCurve: it.fadeOutCurve,
+      fadeInCurve: it.fadeInCurve,
+      gainDb: it.gainDb,
+    })),
+    getTransitionDefaults()
+  );
+  downloadText(text, 'text/plain;charset=utf-8', 'audio-list.txt');
+}
+
 function loadList() {
   const input = document.getElementById('input-load-list');
   if (!input) return;
@@ -298,22 +563,397 @@ function loadList() {
     const reader = new FileReader();
     reader.onload = () => {
       const text = typeof reader.result === 'string' ? reader.result : '';
-      const parsed = textToList(text);
-      if (parsed.length) loadListData(parsed);
+      const data = parseListFile(text);
+      if (data) loadListData(data.items, data.defaults);
     };
     reader.readAsText(file, 'UTF-8');
   };
   input.click();
 }
 
+/** リスト全体のつなぎ設定（クロスフェード・ギャップ・フェード曲線）の入力欄を state とつなぐ */
+function initTransitionSettings() {
+  const crossfadeEl = document.getElementById('transition-crossfade');
+  const gapEl = document.getElementById('transition-gap');
+  const fadeOutEl = document.getElementById('transition-fade-out');
+  const fadeInEl = document.getElementById('transition-fade-in');
+  const snapEl = document.getElementById('transition-snap-bars');
+  if (!crossfadeEl || !gapEl || !fadeOutEl || !fadeInEl) return;
+  for (const select of [fadeOutEl, fadeInEl]) {
+    for (const { value, label } of FADE_CURVES) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+  }
+  function render() {
+    const d = getTransitionDefaults();
+    crossfadeEl.value = String(d.crossfadeSeconds);
+    gapEl.value = String(d.gapSeconds);
+    fadeOutEl.value = d.fadeOutCurve;
+    fadeInEl.value = d.fadeInCurve;
+    if (snapEl) snapEl.checked = Boolean(d.snapToBars);
+  }
+  const readSeconds = (el) => {
+    const n = parseFloat(el.value);
+    return Number.isFinite(n) && n >= 0 ? n : 0;
+  };
+  crossfadeEl.addEventListener('change', () => setTransitionDefaults({ crossfadeSeconds: readSeconds(crossfadeEl) }));
+  gapEl.addEventListener('change', () => setTransitionDefaults({ gapSeconds: readSeconds(gapEl) }));
+  fadeOutEl.addEventListener('change', () => setTransitionDefaults({ fadeOutCurve: fadeOutEl.value }));
+  fadeInEl.addEventListener('change', () => setTransitionDefaults({ fadeInCurve: fadeInEl.value }));
+  snapEl?.addEventListener('change', () => setTransitionDefaults({ snapToBars: snapEl.checked }));
+  subscribeToTransitionDefaults(render);
+  render();
+}
+
+/**
+ * セッション保存用に今の状態をまとめる
+ * @returns {import('./session.js').SessionSnapshot}
+ */
+function getSessionSnapshot() {
+  const items = getItems();
+  const idx = getCurrentIndex();
+  const defaults = getTransitionDefaults();
+  const listElapsed = idx !== null ? getListStartTimes(items, defaults)[idx] + getTrackElapsed() + getGapElapsed() : 0;
+  return { items, defaults, playbackRate: getPlaybackRate(), preservePitch: getPreservePitch(), pitchSemitones: getPitchSemitones(), masterVolume: getMasterVolume(), muted: getMuted(), engine: getEngine(), moodModel: getMoodModelId(), moodDisplay: getMoodDisplay(), harmonic: getHarmonicSettings(), loudnessTarget: getLoudnessTarget(), currentIndex: idx, listElapsed };
+}
+
+/** 速度ボタン・テンポスライダー・音程の表示を現在の設定に合わせる */
+function renderSpeedButtons() {
+  const rate = getPlaybackRate();
+  document.querySelectorAll('.transport-speed-btn').forEach((b) => {
+    b.classList.toggle('is-active', parseFloat(b.dataset.rate) === rate);
+  });
+  const tempoEl = document.getElementById('tempo-slider');
+  const tempoValueEl = document.getElementById('tempo-value');
+  const pitchEl = document.getElementById('pitch-shift');
+  const pitchValueEl = document.getElementById('pitch-value');
+  const preserveEl = document.getElementById('preserve-pitch');
+  if (tempoEl) tempoEl.value = String(Math.log2(rate));
+  if (tempoValueEl) tempoValueEl.textContent = `${rate.toFixed(2)}x`;
+  if (pitchEl) pitchEl.value = String(getPitchSemitones());
+  if (pitchValueEl) pitchValueEl.textContent = `${getPitchSemitones() > 0 ? '+' : ''}${getPitchSemitones()}`;
+  if (preserveEl) preserveEl.checked = getPreservePitch();
+}
+
+/** マスター音量のスライダー・ミュートボタンの表示を現在の設定に合わせる */
+function renderVolume() {
+  const sliderEl = document.getElementById('master-volume');
+  const valueEl = document.getElementById('master-volume-value');
+  const muteBtn = document.getElementById('btn-mute');
+  const percent = Math.round(getMasterVolume() * 100);
+  if (sliderEl) sliderEl.value = String(percent);
+  if (valueEl) valueEl.textContent = getMuted() ? 'ミュート' : String(percent);
+  if (muteBtn) {
+    muteBtn.classList.toggle('is-active', getMuted());
+    muteBtn.setAttribute('aria-pressed', String(getMuted()));
+    muteBtn.setAttribute('aria-label', getMuted() ? 'ミュート解除' : 'ミュート');
+    muteBtn.querySelector('.transport-icon-volume').style.display = getMuted() ? 'none' : 'block';
+    muteBtn.querySelector('.transport-icon-muted').style.display = getMuted() ? 'block' : 'none';
+  }
+}
+
+/**
+ * マスター音量・ミュートを変えて、グラフと表示に反映する
+ * @param {() => void} apply
+ */
+function changeVolume(apply) {
+  apply();
+  applyMasterVolumeSetting();
+  renderVolume();
+  scheduleSessionSave();
+}
+
+/** 入力欄などで打っているキーはショートカットにしない */
+function isTypingTarget(target) {
+  return target instanceof HTMLElement && (target.isContentEditable || Boolean(target.closest('input, select, textarea')));
+}
+
+/**
+ * キーボードショートカット。
+ * Space 再生／一時停止、←/→ 5 秒戻る・進む、P / N 前の曲・次の曲、S 停止、↑/↓ 音量 ±5、M ミュート
+ */
+function initKeyboardShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || isTypingTarget(e.target)) return;
+    // フォーカス中のボタンは Space で押されるので、二重に動かさない
+    if (e.key === ' ' && e.target instanceof HTMLElement && e.target.closest('button')) return;
+    const seekBy = (sec) => {
+      if (getCurrentIndex() === null) return;
+      seekPlayback(getAudioElement().currentTime + sec);
+    };
+    const actions = {
+      ' ': togglePlayPause,
+      ArrowLeft: () => seekBy(-5),
+      ArrowRight: () => seekBy(5),
+      p: goToPrevious,
+      n: goToNext,
+      s: stopPlayback,
+      ArrowUp: () => changeVolume(() => setMasterVolume(getMasterVolume() + 0.05)),
+      ArrowDown: () => changeVolume(() => setMasterVolume(getMasterVolume() - 0.05)),
+      m: () => changeVolume(() => setMuted(!getMuted())),
+      Delete: removeSelectedTracks,
+      Backspace: removeSelectedTracks,
+    };
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!action) return;
+    e.preventDefault();
+    action();
+  });
+}
+
+/**
+ * 保存しておいたセッションを戻す（ユーザー操作の中で呼ぶ。ファイルハンドルの許可を求めるため）
+ * @param {import('./session.js').SavedSession} session
+ * @returns {Promise<string[]>} 開けなかったファイル名（一覧にはプレースホルダとして残る）
+ */
+async function restoreSession(session) {
+  const { items: restored, missing } = await restoreSessionFiles(session);
+  stopPlayback();
+  if (session.engine) {
+    setEngine(session.engine);
+    const engineSelectEl = document.getElementById('playback-engine');
+    if (engineSelectEl) engineSelectEl.value = getEngine();
+  }
+  setPlaybackRate(session.playbackRate);
+  if (session.preservePitch !== undefined) setPreservePitch(session.preservePitch);
+  if (session.pitchSemitones !== undefined) setPitchSemitones(session.pitchSemitones);
+  applyPlaybackRate();
+  renderSpeedButtons();
+  if (session.masterVolume !== undefined) setMasterVolume(session.masterVolume);
+  if (session.muted !== undefined) setMuted(session.muted);
+  applyMasterVolumeSetting();
+  renderVolume();
+  if (session.defaults) setTransitionDefaults(session.defaults);
+  if (session.moodModel) setMoodModelId(session.moodModel);
+  if (session.moodDisplay) setMoodDisplay(session.moodDisplay);
+  if (session.harmonic) setHarmonicSettings(session.harmonic);
+  if (session.loudnessTarget) setLoudnessTarget(session.loudnessTarget);
+  const firstIndex = restoreItems(restored);
+  // 開けなかったファイルがあると曲の開始時刻がずれるので、曲内の位置だけ引き継ぐ
+  const savedItem = session.currentIndex !== null ? session.items[session.currentIndex] : null;
+  const newIndex = savedItem ? restored.findIndex((it) => it.id === savedItem.id && it.file) : -1;
+  if (newIndex >= 0) {
+    const items = getItems();
+    const defaults = getTransitionDefaults();
+    const positionInTrack = session.listElapsed - getListStartTimes(session.items, session.defaults ?? defaults)[session.currentIndex];
+    seekToAbsoluteListTime(getListStartTimes(items, defaults)[firstIndex + newIndex] + Math.max(0, positionInTrack), { autoplay: false });
+  }
+  return missing;
+}
+
+/** Mood のモデル選択とタグ表示（上位 N 件・確率の下限）の設定欄 */
+function initMoodSettings() {
+  const modelEl = document.getElementById('mood-model');
+  const topNEl = document.getElementById('mood-top-n');
+  const thresholdEl = document.getElementById('mood-threshold');
+  if (!modelEl || !topNEl || !thresholdEl) return;
+  for (const { id, label } of MOOD_MODELS) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = label;
+    modelEl.appendChild(opt);
+  }
+  let modelId = getMoodModelId();
+  function render() {
+    const { topN, threshold } = getMoodDisplay();
+    modelEl.value = getMoodModelId();
+    topNEl.value = String(topN);
+    thresholdEl.value = String(threshold);
+  }
+  modelEl.addEventListener('change', () => setMoodModelId(modelEl.value));
+  topNEl.addEventListener('change', () => setMoodDisplay({ topN: parseInt(topNEl.value, 10) }));
+  thresholdEl.addEventListener('change', () => setMoodDisplay({ threshold: parseFloat(thresholdEl.value) }));
+  subscribeToMoodSettings(() => {
+    render();
+    scheduleSessionSave();
+    if (getMoodModelId() !== modelId) {
+      modelId = getMoodModelId();
+      // 別のモデルで求めた Mood は解析待ちに戻して、選択したモデルで解析し直す
+      for (const item of getItems()) {
+        if (item.mood != null && !isCurrentMoodModel(item.mood)) setAnalysisStatus(item.id, 'mood', 'pending');
+      }
+    }
+    renderList();
+  });
+  render();
+}
+
+/** Key の表記・BPM の許容幅の設定欄と、キー・テンポ順の自動並べ替え */
+function initHarmonicSettings() {
+  const notationEl = document.getElementById('key-notation');
+  const toleranceEl = document.getElementById('bpm-tolerance');
+  const orderBtn = document.getElementById('btn-harmonic-order');
+  if (!notationEl || !toleranceEl) return;
+  for (const { value, label } of KEY_NOTATIONS) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    notationEl.appendChild(opt);
+  }
+  function render() {
+    const { notation, bpmTolerance } = getHarmonicSettings();
+    notationEl.value = notation;
+    toleranceEl.value = String(bpmTolerance);
+  }
+  notationEl.addEventListener('change', () => setHarmonicSettings({ notation: notationEl.value }));
+  toleranceEl.addEventListener('change', () => setHarmonicSettings({ bpmTolerance: parseFloat(toleranceEl.value) }));
+  orderBtn?.addEventListener('click', () => reorderItems(harmonicOrder(getItems())));
+  subscribeToHarmonicSettings(() => {
+    render();
+    scheduleSessionSave();
+    renderList();
+  });
+  render();
+}
+
+/** ラウドネスの目標（Integrated の目標値・許容幅、True Peak の上限）の設定欄 */
+function initLoudnessTarget() {
+  const targetEl = document.getElementById('loudness-target');
+  const toleranceEl = document.getElementById('loudness-tolerance');
+  const truePeakEl = document.getElementById('loudness-true-peak');
+  const normalizeEl = document.getElementById('loudness-normalize');
+  if (!targetEl || !toleranceEl || !truePeakEl) return;
+  function render() {
+    const { integrated, tolerance, truePeakMax, normalize } = getLoudnessTarget();
+    targetEl.value = String(integrated);
+    toleranceEl.value = String(tolerance);
+    truePeakEl.value = String(truePeakMax);
+    if (normalizeEl) normalizeEl.checked = normalize;
+  }
+  targetEl.addEventListener('change', () => setLoudnessTarget({ integrated: parseFloat(targetEl.value) }));
+  toleranceEl.addEventListener('change', () => setLoudnessTarget({ tolerance: parseFloat(toleranceEl.value) }));
+  truePeakEl.addEventListener('change', () => setLoudnessTarget({ truePeakMax: parseFloat(truePeakEl.value) }));
+  normalizeEl?.addEventListener('change', () => setLoudnessTarget({ normalize: normalizeEl.checked }));
+  subscribeToLoudnessTarget(() => {
+    render();
+    refreshTrackGain();
+    scheduleSessionSave();
+    renderList();
+  });
+  render();
+}
+
+/** 解析キューの進み具合をツールバーに表示する */
+function initAnalysisProgress() {
+  const el = document.getElementById('analysis-progress');
+  if (!el) return;
+  const STATUS_LABELS = { queued: '待機', decoding: 'デコード中', analyzing: '解析中' };
+  subscribeToAnalysisProgress(() => {
+    const { queued, running } = getAnalysisProgress();
+    el.hidden = !queued && !running.length;
+    el.textContent = `解析: 実行中 ${running.length} 件・待機 ${queued} 件`;
+    el.title = running
+      .map((job) => `${job.name} — ${STATUS_LABELS[job.status]} ${job.done}/${job.total}`)
+      .join('\n');
+  });
+
+  // モデルが無いときは Mood 列が失敗になるだけなので、理由と対処をまとめて 1 回だけ知らせる
+  const noticeEl = document.getElementById('model-notice');
+  if (!noticeEl) return;
+  setOnModelUnavailable((message) => {
+    if (!noticeEl.hidden) return;
+    noticeEl.querySelector('.model-notice-message').textContent = message;
+    noticeEl.hidden = false;
+  });
+  noticeEl.querySelector('.model-notice-close')?.addEventListener('click', () => {
+    noticeEl.hidden = true;
+  });
+}
+
+/** 追加できなかったファイルの一覧を出すお知らせ（再リンクで割り当てられなかったファイルも同じところに出す） */
+function initRejectedFilesNotice() {
+  setOnRejectedFiles(showRejectedFiles);
+  document.querySelector('#rejected-files .model-notice-close')?.addEventListener('click', () => {
+    document.getElementById('rejected-files').hidden = true;
+  });
+}
+
+/**
+ * 追加・再リンクできなかったファイルを理由と一緒にお知らせに足す（閉じるまでは積み上げる）
+ * @param {import('./dropzone.js').RejectedFile[]} rejected
+ */
+function showRejectedFiles(rejected) {
+  const noticeEl = document.getElementById('rejected-files');
+  if (!noticeEl) return;
+  const listEl = noticeEl.querySelector('.rejected-files-list');
+  if (noticeEl.hidden) listEl.replaceChildren();
+  for (const { name, reason } of rejected) {
+    const li = document.createElement('li');
+    li.textContent = `${name} — ${reason}`;
+    listEl.appendChild(li);
+  }
+  noticeEl.querySelector('.rejected-files-summary').textContent = `${listEl.children.length} 件のファイルを使えませんでした`;
+  noticeEl.hidden = false;
+}
+
+/**
+ * 自動保存を始め、前回セッションがあれば復元するか尋ねる。
+ * 答えが出るまでに作ったリストも保存するが、前回セッションは答えが出るまで上書きしない
+ */
+async function initSessionRestore() {
+  const bannerEl = document.getElementById('session-restore');
+  const session = await loadLastSession();
+  if (session && bannerEl) holdLastSession(session);
+  startSessionSaving(getSessionSnapshot);
+  if (!session || !bannerEl) return;
+  const savedAt = new Date(session.savedAt).toLocaleString();
+  bannerEl.innerHTML = `
+    <span class="session-restore-message"></span>
+    <button type="button" class="toolbar-btn session-restore-accept">復元</button>
+    <button type="button" class="toolbar-btn session-restore-discard">破棄</button>
+  `;
+  const messageEl = bannerEl.querySelector('.session-restore-message');
+  const btnAccept = bannerEl.querySelector('.session-restore-accept');
+  const btnDiscard = bannerEl.querySelector('.session-restore-discard');
+  messageEl.textContent = `前回のリスト（${session.items.length} 曲・${savedAt} 保存）を復元しますか？`;
+  bannerEl.hidden = false;
+
+  btnAccept.addEventListener('click', async () => {
+    btnAccept.disabled = true;
+    btnDiscard.disabled = true;
+    messageEl.textContent = '復元中…';
+    const missing = await restoreSession(session).catch(() => session.items.map((it) => it.name));
+    releaseLastSession();
+    if (!missing.length) {
+      bannerEl.hidden = true;
+      return;
+    }
+    messageEl.textContent = `${missing.length} 曲のファイルを開けませんでした: ${missing.join(', ')}`;
+    btnAccept.remove();
+    btnDiscard.textContent = '閉じる';
+    btnDiscard.disabled = false;
+  });
+  btnDiscard.addEventListener('click', async () => {
+    bannerEl.hidden = true;
+    if (btnAccept.isConnected) await discardLastSession();
+  });
+}
+
 function init() {
   initDropzone(document.getElementById('dropzone'));
+  initRejectedFilesNotice();
 
   const btnSave = document.getElementById('btn-save-list');
+  const btnSaveText = document.getElementById('btn-save-list-txt');
   const btnLoad = document.getElementById('btn-load-list');
   if (btnSave) btnSave.addEventListener('click', saveList);
+  if (btnSaveText) btnSaveText.addEventListener('click', saveListAsText);
   if (btnLoad) btnLoad.addEventListener('click', loadList);
 
+  const btnAnalysisCache = document.getElementById('btn-analysis-cache');
+  const analysisCacheDialog = document.getElementById('analysis-cache-dialog');
+  if (btnAnalysisCache && analysisCacheDialog) initAnalysisCacheView(btnAnalysisCache, analysisCacheDialog);
+  const btnRelink = document.getElementById('btn-relink');
+  const relinkDialog = document.getElementById('relink-dialog');
+  if (btnRelink && relinkDialog) initRelinkView(btnRelink, relinkDialog, { onRejected: showRejectedFiles });
+  const btnRetryAnalysis = document.getElementById('btn-retry-analysis');
+  if (btnRetryAnalysis) btnRetryAnalysis.addEventListener('click', () => retryFailedAnalyses());
+
+  const listFiltersEl = document.getElementById('list-filters');
+  if (listFiltersEl) initListFilterBar(listFiltersEl);
   initList(document.getElementById('list-container'), {
     onPlayRequest(index) {
       playItemAtIndex(index);
@@ -321,7 +961,10 @@ function init() {
     onPauseRequest: pausePlayback,
     onStopRequest: stopPlayback,
     onSeekRequest: seekPlayback,
+    onRemoveRequest: removeTracks,
+    onRelinkRequest: openRelinkView,
   });
+  document.getElementById('btn-clear-list')?.addEventListener('click', clearList);
 
   setOnEnded(handleEnded);
 
@@ -335,7 +978,7 @@ function init() {
   const btnPlayPause = document.getElementById('btn-play-pause');
   const btnNext = document.getElementById('btn-next');
   const levelMetersEl = document.getElementById('level-meters');
-  const audio = getAudioElement();
+  const stereoMetersEl = document.getElementById('stereo-meters');
 
   if (btnPrev) btnPrev.addEventListener('click', goToPrevious);
   if (btnPlayPause) btnPlayPause.addEventListener('click', togglePlayPause);
@@ -350,30 +993,78 @@ function init() {
       if (!Number.isFinite(rate)) return;
       setPlaybackRate(rate);
       applyPlaybackRate();
-      transportSpeedEl.querySelectorAll('.transport-speed-btn').forEach((b) => b.classList.remove('is-active'));
-      btn.classList.add('is-active');
+      renderSpeedButtons();
+      updateRealtimeDisplay();
+      scheduleSessionSave();
     });
   }
 
+  // テンポスライダーは log2(速度) で、等速を中央に 0.25x〜4x を動かす
+  function changeTempoOrPitch(apply) {
+    apply();
+    applyPlaybackRate();
+    renderSpeedButtons();
+    updateRealtimeDisplay();
+    scheduleSessionSave();
+  }
+  const tempoSliderEl = document.getElementById('tempo-slider');
+  tempoSliderEl?.addEventListener('input', () => {
+    changeTempoOrPitch(() => setPlaybackRate(Math.round(2 ** parseFloat(tempoSliderEl.value) * 100) / 100));
+  });
+  tempoSliderEl?.addEventListener('dblclick', () => changeTempoOrPitch(() => setPlaybackRate(1)));
+  const pitchShiftEl = document.getElementById('pitch-shift');
+  pitchShiftEl?.addEventListener('input', () => changeTempoOrPitch(() => setPitchSemitones(parseFloat(pitchShiftEl.value))));
+  pitchShiftEl?.addEventListener('dblclick', () => changeTempoOrPitch(() => setPitchSemitones(0)));
+  const preservePitchEl = document.getElementById('preserve-pitch');
+  preservePitchEl?.addEventListener('change', () => {
+    setPreservePitch(preservePitchEl.checked);
+    applyPlaybackRate();
+    updateRealtimeDisplay();
+    scheduleSessionSave();
+  });
+  renderSpeedButtons();
+
+  const volumeSliderEl = document.getElementById('master-volume');
+  volumeSliderEl?.addEventListener('input', () => {
+    changeVolume(() => {
+      setMasterVolume(parseFloat(volumeSliderEl.value) / 100);
+      setMuted(false);
+    });
+  });
+  document.getElementById('btn-mute')?.addEventListener('click', () => changeVolume(() => setMuted(!getMuted())));
+  applyMasterVolumeSetting();
+  renderVolume();
+  initKeyboardShortcuts();
+
   if (levelMetersEl) {
     levelMeterDisplay.init(levelMetersEl, (numBands) => levelMeter.getLevelsBands(numBands));
   }
+  if (stereoMetersEl) {
+    stereoMeterDisplay.init(stereoMetersEl, levelMeter.getChannelLevels);
+  }
 
   const realtimeKeyEl = document.getElementById('realtime-key');
   const realtimeChordEl = document.getElementById('realtime-chord');
+  // 解析は元の素材に対して行うので、聞こえている音程のずれ（半音単位に丸める）だけ移調して表示する
   function updateRealtimeDisplay() {
-    const fmt = (v) => (v != null && String(v) !== 'NaN' ? v : '—');
+    const shift = Math.round(getHeardPitchShift());
+    const fmt = (v) => (v != null && String(v) !== 'NaN' ? transposeKey(String(v), shift) : '—');
     if (realtimeKeyEl) realtimeKeyEl.textContent = fmt(getRealTimeKey());
     if (realtimeChordEl) realtimeChordEl.textContent = fmt(getRealTimeChord());
   }
   subscribeToRealtime(updateRealtimeDisplay);
   updateRealtimeDisplay();
 
+  const chordLaneEl = document.getElementById('chord-lane');
+  if (chordLaneEl) initChordLane(chordLaneEl, { onSeek: seekPlayback, onExport: exportChords });
+  const spectrogramEl = document.getElementById('spectrogram');
+  if (spectrogramEl) initSpectrogramView(spectrogramEl, { onSeek: seekPlayback });
+
   if (progressBarEl) {
     progressBarEl.addEventListener('click', (e) => {
       const items = getItems();
       if (items.length === 0) return;
-      const listTotal = items.reduce((sum, it) => sum + getTrackLength(it), 0);
+      const listTotal = getListTotal(items, getTransitionDefaults());
       if (listTotal <= 0) return;
       const rect = progressBarEl.getBoundingClientRect();
       const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
@@ -382,21 +1073,50 @@ function init() {
     progressBarEl.style.cursor = 'pointer';
   }
 
+  const engineSelectEl = document.getElementById('playback-engine');
+  if (engineSelectEl) {
+    engineSelectEl.value = getEngine();
+    engineSelectEl.addEventListener('change', () => {
+      stopPlayback();
+      setEngine(engineSelectEl.value);
+      applyPlaybackRate();
+    });
+  }
+
+  initTransitionSettings();
+  initMoodSettings();
+  initHarmonicSettings();
+  initLoudnessTarget();
+  requestAnimationFrame(watchTransition);
+  requestAnimationFrame(watchSpectrogramPlayhead);
+  // 測定結果やゲインの変更を再生中の曲にすぐ反映する
+  subscribeToListChange(() => {
+    scheduleSessionSave();
+    refreshTrackGain();
+    renderRelinkView();
+  });
+  initSessionRestore();
+  initAnalysisProgress();
+
   setInterval(() => {
+    const audio = getAudioElement();
     const items = getItems();
     const idx = getCurrentIndex();
-    const listTotal = items.reduce((sum, it) => sum + getTrackLength(it), 0);
+    const defaults = getTransitionDefaults();
+    const listTotal = getListTotal(items, defaults);
+    const listStartTimes = getListStartTimes(items, defaults);
     let listElapsed = 0;
     if (idx !== null && idx >= 0) {
-      const listStartTimes = getListStartTimes(items);
-      listElapsed = listStartTimes[idx] + currentTrackLoopElapsed + audio.currentTime;
+      listElapsed = listStartTimes[idx] + getTrackElapsed() + getGapElapsed();
     }
 
-    if (idx !== null && idx < items.length && !getIsPaused()) {
+    if (idx !== null && idx < items.length && !getIsPaused() && gapStartedAt === null) {
       const item = items[idx];
-      if (item.loop && item.maxLoopSeconds != null && item.maxLoopSeconds > 0 && audio.currentTime >= item.maxLoopSeconds) {
+      syncLoopRegion();
+      const trackElapsed = getTrackElapsed();
+      if (item.loop && item.maxLoopSeconds != null && item.maxLoopSeconds > 0 && trackElapsed >= getTrackLength(item, defaults)) {
         audioPause();
-        performPlaybackAction(getNextPlaybackAction());
+        performPlaybackAction(getNextPlaybackAction(trackElapsed));
         return;
       }
     }
@@ -414,10 +1134,11 @@ function init() {
       lastListTotal = listTotal;
       progressSegmentsEl.innerHTML = '';
       if (items.length > 0 && listTotal > 0) {
-        items.forEach((item) => {
+        items.forEach((item, i) => {
           const seg = document.createElement('div');
           seg.className = 'elapsed-progress-segment';
-          seg.style.width = `${(getTrackLength(item) / listTotal) * 100}%`;
+          const end = i + 1 < items.length ? listStartTimes[i + 1] : listTotal;
+          seg.style.width = `${((end - listStartTimes[i]) / listTotal) * 100}%`;
           progressSegmentsEl.appendChild(seg);
         });
       }
@@ -426,7 +1147,10 @@ function init() {
     if (idx !== null) {
       const sec = audio.currentTime;
       setCurrentTime(sec);
+      if (!getIsPaused()) scheduleSessionSave();
     }
+    updateChordLane(idx !== null ? items[idx] ?? null : null, audio.currentTime, Math.round(getHeardPitchShift()));
+    updateSpectrogramView(idx !== null ? items[idx] ?? null : null, audio.currentTime);
 
     if (btnPlayPause) {
       const isPlaying = idx !== null && !getIsPaused();
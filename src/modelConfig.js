@@ -0,0 +1,22 @@
+/**
+ * 解析モデルの配置場所。既定ではビルドに同梱した public/models/ を使い、
+ * 別のサーバーに置く場合はビルド時に VITE_MODEL_BASE_URL（末尾 / 付き）で上書きする。
+ */
+
+/** モデルを置いたディレクトリの URL（ページまたはワーカーの場所から解決済み） */
+export const MODEL_BASE_URL = new URL(
+  import.meta.env.VITE_MODEL_BASE_URL || `${import.meta.env.BASE_URL}models/`,
+  self.location.href
+).href;
+
+/**
+ * モデル名から model.json の URL を作る
+ * @param {string} name 例: 'msd-musicnn-1'
+ * @returns {string}
+ */
+export function modelUrl(name) {
+  return new URL(`${name}/model.json`, MODEL_BASE_URL).href;
+}
+
+/** モデルを読み込めなかったときにユーザーへ出す案内 */
+export const MODEL_UNAVAILABLE_HINT = 'npm run fetch-models で public/models/ に配置するか、VITE_MODEL_BASE_URL でモデルの場所を指定してください';
@@ -0,0 +1,174 @@
+/**
+ * Mood 列で使うタグ推定モデルの一覧と、選択中のモデル・表示設定。
+ * どれも Essentia の MusiCNN 系（入力は 16kHz の mel バンド）で、TensorflowMusiCNN でそのまま読める。
+ * Mood の値はモデル id とクラスごとの確率（classes と同じ順）で持つ。
+ */
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   label: string;
+ *   classes: string[];
+ *   source: string;
+ * }} MoodModel
+ *   id は public/models/ 以下のディレクトリ名、source は fetch-models で model.json を取りに行く場所
+ */
+
+/** @typedef {{ model: string; probabilities: number[] }} MoodResult */
+
+/** @typedef {{ topN: number; threshold: number }} MoodDisplaySettings */
+
+/** essentia.js の examples（jsDelivr 経由）。モデルの取得元 */
+const EXAMPLES_URL = 'https://cdn.jsdelivr.net/gh/MTG/essentia.js@master/examples/demos/';
+
+/** @type {MoodModel[]} */
+export const MOOD_MODELS = [
+  {
+    id: 'msd-musicnn-1',
+    label: 'MusiCNN（MSD タグ 50 種）',
+    classes: [
+      'rock', 'pop', 'alternative', 'indie', 'electronic', 'female vocalists', 'dance', '00s',
+      'alternative rock', 'jazz', 'beautiful', 'metal', 'chillout', 'male vocalists', 'classic rock',
+      'soul', 'indie rock', 'Mellow', 'electronica', '80s', 'folk', '90s', 'chill', 'instrumental',
+      'punk', 'oldies', 'blues', 'hard rock', 'ambient', 'acoustic', 'experimental', 'female vocalist',
+      'guitar', 'Hip-Hop', '70s', 'party', 'country', 'easy listening', 'sexy', 'catchy', 'funk',
+      'electro', 'heavy metal', 'Progressive rock', '60s', 'rnb', 'indie pop', 'sad', 'House', 'happy',
+    ],
+    source: `${EXAMPLES_URL}autotagging-rt/data/msd-musicnn-1/`,
+  },
+  {
+    id: 'mtt-musicnn-1',
+    label: 'MusiCNN（MagnaTagATune タグ 50 種）',
+    classes: [
+      'guitar', 'classical', 'slow', 'techno', 'strings', 'drums', 'electronic', 'rock', 'fast', 'piano',
+      'ambient', 'beat', 'violin', 'vocal', 'synth', 'female', 'indian', 'opera', 'male', 'singing',
+      'vocals', 'no vocals', 'harpsichord', 'loud', 'quiet', 'flute', 'woman', 'male vocal', 'no vocal', 'pop',
+      'soft', 'sitar', 'solo', 'man', 'classic', 'choir', 'voice', 'new age', 'dance', 'male voice',
+      'female vocal', 'beats', 'harp', 'cello', 'no voice', 'weird', 'country', 'metal', 'female voice', 'choral',
+    ],
+    source: `${EXAMPLES_URL}autotagging-rt/data/mtt-musicnn-1/`,
+  },
+  {
+    id: 'mood_happy-musicnn-msd-2',
+    label: 'Mood: happy',
+    classes: ['happy', 'non_happy'],
+    source: `${EXAMPLES_URL}mood-classifiers/models/mood_happy-musicnn-msd-2/`,
+  },
+  {
+    id: 'mood_sad-musicnn-msd-2',
+    label: 'Mood: sad',
+    classes: ['non_sad', 'sad'],
+    source: `${EXAMPLES_URL}mood-classifiers/models/mood_sad-musicnn-msd-2/`,
+  },
+  {
+    id: 'mood_aggressive-musicnn-msd-2',
+    label: 'Mood: aggressive',
+    classes: ['aggressive', 'not_aggressive'],
+    source: `${EXAMPLES_URL}mood-classifiers/models/mood_aggressive-musicnn-msd-2/`,
+  },
+  {
+    id: 'mood_relaxed-musicnn-msd-2',
+    label: 'Mood: relaxed',
+    classes: ['non_relaxed', 'relaxed'],
+    source: `${EXAMPLES_URL}mood-classifiers/models/mood_relaxed-musicnn-msd-2/`,
+  },
+  {
+    id: 'danceability-musicnn-msd-2',
+    label: 'Danceability',
+    classes: ['danceable', 'not_danceable'],
+    source: `${EXAMPLES_URL}mood-classifiers/models/danceability-musicnn-msd-2/`,
+  },
+];
+
+/** 既定のモデル（以前から使っていた MSD タグ） */
+export const DEFAULT_MOOD_MODEL_ID = MOOD_MODELS[0].id;
+
+/** @type {string} 選択中のモデル id */
+let moodModelId = DEFAULT_MOOD_MODEL_ID;
+
+/** @type {MoodDisplaySettings} Mood 列に出すタグの数と確率の下限 */
+let moodDisplay = { topN: 3, threshold: 0 };
+
+/** @type {() => void} モデルまたは表示設定が変わったとき */
+let onMoodSettingsChange = () => {};
+
+/**
+ * @param {string} id
+ * @returns {MoodModel | null}
+ */
+export function getMoodModel(id) {
+  return MOOD_MODELS.find((m) => m.id === id) ?? null;
+}
+
+/** @returns {string} */
+export function getMoodModelId() {
+  return moodModelId;
+}
+
+/**
+ * 使うモデルを切り替える。一覧に無い id は無視
+ * @param {string} id
+ */
+export function setMoodModelId(id) {
+  if (!getMoodModel(id) || id === moodModelId) return;
+  moodModelId = id;
+  onMoodSettingsChange();
+}
+
+/** @returns {MoodDisplaySettings} */
+export function getMoodDisplay() {
+  return { ...moodDisplay };
+}
+
+/**
+ * @param {Partial<MoodDisplaySettings>} patch
+ */
+export function setMoodDisplay(patch) {
+  const next = { ...moodDisplay };
+  if (Number.isFinite(patch.topN) && patch.topN >= 1) next.topN = Math.round(patch.topN);
+  if (Number.isFinite(patch.threshold)) next.threshold = Math.max(0, Math.min(1, patch.threshold));
+  if (next.topN === moodDisplay.topN && next.threshold === moodDisplay.threshold) return;
+  moodDisplay = next;
+  onMoodSettingsChange();
+}
+
+/**
+ * @param {() => void} fn
+ */
+export function subscribeToMoodSettings(fn) {
+  onMoodSettingsChange = fn;
+}
+
+/**
+ * Mood の値が選択中のモデルで求めたものか（以前のタグ文字列は常に false）
+ * @param {MoodResult | string | null} mood
+ * @returns {boolean}
+ */
+export function isCurrentMoodModel(mood) {
+  return mood != null && typeof mood === 'object' && mood.model === moodModelId;
+}
+
+/**
+ * 表示設定に沿って、確率の高い順にタグを選ぶ（上位 topN 件のうち threshold 以上のもの）
+ * @param {MoodResult} mood
+ * @param {MoodDisplaySettings} [display]
+ * @returns {{ name: string; probability: number }[]}
+ */
+export function topMoodTags(mood, display = moodDisplay) {
+  const classes = getMoodModel(mood.model)?.classes ?? [];
+  return mood.probabilities
+    .map((probability, i) => ({ name: classes[i] ?? `#${i}`, probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, display.topN)
+    .filter((t) => t.probability >= display.threshold);
+}
+
+/**
+ * Mood の値を一覧表示用の文字列にする（以前のタグ文字列はそのまま）
+ * @param {MoodResult | string} mood
+ * @returns {string}
+ */
+export function formatMood(mood) {
+  if (typeof mood === 'string') return mood;
+  return topMoodTags(mood).map((t) => t.name).join(', ') || '—';
+}
@@ -0,0 +1,73 @@
+/**
+ * ピッチシフターの AudioWorkletProcessor（audio.js から addModule で読み込む。import は使えない）。
+ * 遅延時間をのこぎり波で動かす 2 本の読み出し位置を、半周期ずらして sin² 窓で重ね合わせる方式。
+ * 遅延の変化率で音程が変わり、再生速度は変わらない。pitchRatio が 1 のときは素通しする。
+ */
+
+/** 窓の長さ（サンプル）。長いほど低音が崩れにくいが遅延とにじみが増える */
+const WINDOW_SIZE = 2048;
+/** 遅延バッファの長さ（2 の累乗、WINDOW_SIZE より長く） */
+const BUFFER_SIZE = 4096;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    /** @type {Float32Array[]} チャンネルごとの遅延バッファ */
+    this.buffers = [];
+    this.writeIndex = 0;
+    /** 読み出し位置 1 本目の遅延（窓に対する割合 0〜1） */
+    this.phase = 0;
+  }
+
+  /**
+   * @param {Float32Array} buffer
+   * @param {number} delay サンプル数（小数可）
+   * @param {number} writeIndex
+   * @returns {number}
+   */
+  static read(buffer, delay, writeIndex) {
+    const pos = writeIndex - delay + BUFFER_SIZE;
+    const i = Math.floor(pos);
+    const frac = pos - i;
+    const a = buffer[i & (BUFFER_SIZE - 1)];
+    const b = buffer[(i + 1) & (BUFFER_SIZE - 1)];
+    return a + (b - a) * frac;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    const frames = output[0]?.length ?? 0;
+    while (this.buffers.length < output.length) this.buffers.push(new Float32Array(BUFFER_SIZE));
+    const step = (1 - ratio) / WINDOW_SIZE;
+    const bypass = Math.abs(ratio - 1) < 1e-4;
+    let writeIndex = this.writeIndex;
+    let phase = this.phase;
+    for (let i = 0; i < frames; i++) {
+      const phase2 = (phase + 0.5) % 1;
+      const gain1 = Math.sin(Math.PI * phase) ** 2;
+      const gain2 = 1 - gain1;
+      for (let c = 0; c < output.length; c++) {
+        const x = input[c]?.[i] ?? input[0]?.[i] ?? 0;
+        const buffer = this.buffers[c];
+        buffer[writeIndex] = x;
+        output[c][i] = bypass
+          ? x
+          : PitchShifterProcessor.read(buffer, phase * WINDOW_SIZE, writeIndex) * gain1 +
+            PitchShifterProcessor.read(buffer, phase2 * WINDOW_SIZE, writeIndex) * gain2;
+      }
+      writeIndex = (writeIndex + 1) & (BUFFER_SIZE - 1);
+      phase = (((phase + step) % 1) + 1) % 1;
+    }
+    this.writeIndex = writeIndex;
+    this.phase = phase;
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
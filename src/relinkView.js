@@ -0,0 +1,169 @@
+import { getItems, relinkFile, relinkToItem, removeItems } from './state.js';
+import { formatMmSs, getItemPath } from './utils.js';
+import { checkMediaFile, MEDIA_ACCEPT } from './audioFormat.js';
+
+/**
+ * 見つからないファイル（リストファイル・セッションにはあるがファイルの無いプレースホルダ）の再リンクダイアログ。
+ * 名前を変えたファイルは同じ名前で追加しても埋まらないので、プレースホルダごとに一覧の曲か新しく選んだファイルを割り当てる。
+ */
+
+/** @type {HTMLDialogElement | null} */
+let dialogEl = null;
+/** @type {HTMLButtonElement | null} */
+let openButtonEl = null;
+/** @type {HTMLInputElement | null} */
+let fileInput = null;
+/** @type {string | null} ファイル選択ダイアログで選んだファイルを割り当てるプレースホルダの id */
+let targetId = null;
+/** @type {(rejected: import('./dropzone.js').RejectedFile[]) => void} */
+let onRejected = () => {};
+
+/**
+ * プレースホルダが持っている設定の要約
+ * @param {import('./state.js').ListItem} item
+ * @returns {string}
+ */
+function describeSettings(item) {
+  const parts = [];
+  if (item.loop) parts.push('ループ');
+  if (item.maxLoopSeconds != null && item.maxLoopSeconds > 0) parts.push(`最大 ${formatMmSs(item.maxLoopSeconds)}`);
+  return parts.join('・') || '—';
+}
+
+/**
+ * @param {import('./state.js').ListItem} placeholder
+ * @param {import('./state.js').ListItem[]} candidates 一覧にある（ファイルのある）曲
+ * @returns {HTMLTableRowElement}
+ */
+function createRow(placeholder, candidates) {
+  const tr = document.createElement('tr');
+  const nameCell = document.createElement('td');
+  nameCell.textContent = getItemPath(placeholder);
+  nameCell.title = nameCell.textContent;
+  const settingsCell = document.createElement('td');
+  settingsCell.textContent = describeSettings(placeholder);
+
+  const linkCell = document.createElement('td');
+  const select = document.createElement('select');
+  select.className = 'relink-select';
+  select.setAttribute('aria-label', `${placeholder.name} に割り当てる曲`);
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = candidates.length ? '一覧の曲から選ぶ…' : '一覧に曲がありません';
+  select.appendChild(none);
+  for (const item of candidates) {
+    const opt = document.createElement('option');
+    opt.value = item.id;
+    opt.textContent = getItemPath(item);
+    select.appendChild(opt);
+  }
+  select.disabled = !candidates.length;
+  select.addEventListener('change', () => {
+    if (select.value) relinkToItem(placeholder.id, select.value);
+  });
+  const btnFile = document.createElement('button');
+  btnFile.type = 'button';
+  btnFile.className = 'toolbar-btn';
+  btnFile.textContent = 'ファイルを選ぶ…';
+  btnFile.addEventListener('click', () => {
+    targetId = placeholder.id;
+    fileInput?.click();
+  });
+  linkCell.append(select, btnFile);
+
+  const actionCell = document.createElement('td');
+  const btnRemove = document.createElement('button');
+  btnRemove.type = 'button';
+  btnRemove.className = 'btn-cache-delete';
+  btnRemove.textContent = '取り除く';
+  btnRemove.addEventListener('click', () => removeItems([placeholder.id]));
+  actionCell.appendChild(btnRemove);
+
+  tr.append(nameCell, settingsCell, linkCell, actionCell);
+  return tr;
+}
+
+/** ツールバーのボタンと、開いていればダイアログの中身を今のリストに合わせる（リストが変わるたびに呼ぶ） */
+export function renderRelinkView() {
+  const items = getItems();
+  const placeholders = items.filter((it) => !it.file);
+  if (openButtonEl) {
+    openButtonEl.hidden = !placeholders.length;
+    openButtonEl.textContent = `見つからないファイル（${placeholders.length}）`;
+  }
+  if (!dialogEl?.open) return;
+  if (!placeholders.length) {
+    dialogEl.close();
+    return;
+  }
+  const candidates = items.filter((it) => it.file);
+  dialogEl.querySelector('.relink-status').textContent = `${placeholders.length} 件`;
+  dialogEl.querySelector('tbody').replaceChildren(...placeholders.map((p) => createRow(p, candidates)));
+}
+
+/** ダイアログを開く */
+export function openRelinkView() {
+  if (!dialogEl || dialogEl.open) return;
+  dialogEl.showModal();
+  renderRelinkView();
+}
+
+/**
+ * 再リンクダイアログを初期化
+ * @param {HTMLButtonElement} openButton
+ * @param {HTMLDialogElement} dialog
+ * @param {{ onRejected: (rejected: import('./dropzone.js').RejectedFile[]) => void }} handlers onRejected は割り当てられなかったファイル（追加時と同じ一覧に出す）
+ */
+export function initRelinkView(openButton, dialog, handlers) {
+  onRejected = handlers.onRejected;
+  openButtonEl = openButton;
+  dialogEl = dialog;
+  dialog.innerHTML = `
+    <div class="analysis-cache-header">
+      <h2 class="analysis-cache-title">見つからないファイル</h2>
+      <span class="relink-status analysis-cache-status"></span>
+    </div>
+    <p class="analysis-cache-note">リストにあるがファイルの無い曲です。同じ名前（フォルダから追加した曲は同じ相対パス）のファイルを追加すると自動で埋まります。名前を変えたファイルは、一覧の曲から選ぶか、ファイルを選んで割り当ててください。ループ・最大再生時間などの設定は引き継ぎます。</p>
+    <div class="analysis-cache-scroll">
+      <table class="analysis-cache-table">
+        <thead>
+          <tr>
+            <th>リスト上の名前</th>
+            <th>設定</th>
+            <th>割り当てるファイル</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div class="analysis-cache-actions">
+      <button type="button" class="toolbar-btn relink-remove-all">すべて取り除く</button>
+      <button type="button" class="toolbar-btn relink-close">閉じる</button>
+    </div>
+    <input type="file" class="relink-file" hidden />
+  `;
+  fileInput = dialog.querySelector('.relink-file');
+  fileInput.accept = MEDIA_ACCEPT;
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    const id = targetId;
+    fileInput.value = '';
+    targetId = null;
+    if (!file || !id) return;
+    const check = await checkMediaFile(file);
+    if (!check.ok) {
+      onRejected([{ name: file.name, reason: check.reason }]);
+      return;
+    }
+    relinkFile(id, file);
+  });
+  dialog.querySelector('.relink-remove-all').addEventListener('click', () => {
+    const ids = getItems().filter((it) => !it.file).map((it) => it.id);
+    if (!confirm(`見つからない ${ids.length} 曲を一覧から取り除きますか？`)) return;
+    removeItems(ids);
+  });
+  dialog.querySelector('.relink-close').addEventListener('click', () => dialog.close());
+  openButton.addEventListener('click', openRelinkView);
+  renderRelinkView();
+}
@@ -0,0 +1,256 @@
+import { getStore, requestToPromise, SESSION_STORE, SESSION_FILES_STORE } from './db.js';
+
+/**
+ * 作業中のリストを IndexedDB に保存し、ページ再読み込み後に復元できるようにする。
+ * リスト（並び・設定・解析結果・再生位置）は 1 レコード、ファイルはアイテムごとに
+ * File System Access のハンドル（取れた場合）か File 本体を保存する（容量が足りなければ名前とサイズだけ）。
+ * 前回セッションを復元するか決まるまでも保存は続けるが、前回のレコードとファイルは残し、保留用のキーに書く。
+ */
+
+/**
+ * @typedef {{
+ *   items: import('./state.js').ListItem[];
+ *   defaults: import('./utils.js').TransitionSettings;
+ *   playbackRate: number;
+ *   preservePitch: boolean;
+ *   pitchSemitones: number;
+ *   masterVolume: number;
+ *   muted: boolean;
+ *   engine: 'element' | 'buffer';
+ *   moodModel: string;
+ *   moodDisplay: import('./moodModels.js').MoodDisplaySettings;
+ *   harmonic: import('./harmonic.js').HarmonicSettings;
+ *   loudnessTarget: import('./loudnessTarget.js').LoudnessTarget;
+ *   currentIndex: number | null;
+ *   listElapsed: number;
+ * }} SessionSnapshot
+ */
+
+/**
+ * @typedef {Omit<SessionSnapshot, 'items'> & { id: string; savedAt: number; items: Omit<import('./state.js').ListItem, 'file'>[] }} SavedSession
+ */
+
+/** セッションレコードのキー */
+const SESSION_KEY = 'last';
+/** 前回セッションを復元するか決まるまでの間に保存するレコードのキー */
+const PENDING_SESSION_KEY = 'pending';
+/** 変更から保存までの待ち時間（ms） */
+const SAVE_DELAY_MS = 1000;
+
+/** @type {WeakMap<File, FileSystemFileHandle>} ドロップ時に取れたファイルハンドル */
+const fileHandles = new WeakMap();
+
+/** @type {(() => SessionSnapshot) | null} 保存する内容を返す関数。null の間は保存しない */
+let getSnapshot = null;
+/** 保存待ちタイマー ID */
+let saveTimerId = null;
+/**
+ * @type {Map<string, File | null> | null} ファイルを保存済みのアイテム id と、保存した File（初回保存時に DB から読む。
+ * どの File か分からないレコードは null）。プレースホルダを後から埋めたときは File が変わるので保存し直す
+ */
+let storedFiles = null;
+/** @type {Map<string, File>} 前回セッションから取り出せたファイル（DB にあるものと同じなので保存し直さない） */
+const restoredFiles = new Map();
+/** @type {Set<string> | null} 復元するか決まっていない前回セッションのアイテム id（決まるまではそのファイルを消さない） */
+let heldSessionIds = null;
+/** File 本体を保存するか（容量が足りなくなったら以後は名前とサイズだけにする） */
+let storeFileBlobs = true;
+/** 保存処理の直列化用 */
+let saving = Promise.resolve();
+
+/**
+ * ドロップされたファイルのハンドルを覚えておく（保存時に File 本体の代わりに使う）
+ * @param {File} file
+ * @param {FileSystemFileHandle} handle
+ */
+export function rememberFileHandle(file, handle) {
+  fileHandles.set(file, handle);
+}
+
+/**
+ * 前回セッションを読む。無ければ null。
+ * 復元するか答えないまま閉じたときの保留中のリストがあれば、そちらが新しいので前回セッションとして扱う
+ * @returns {Promise<SavedSession | null>}
+ */
+export async function loadLastSession() {
+  try {
+    const store = await getStore(SESSION_STORE, 'readwrite');
+    const [last, pending] = await Promise.all([requestToPromise(store.get(SESSION_KEY)), requestToPromise(store.get(PENDING_SESSION_KEY))]);
+    let session = last;
+    if (pending && Array.isArray(pending.items) && pending.items.length) {
+      session = { ...pending, id: SESSION_KEY };
+      store.put(session);
+    }
+    if (pending) store.delete(PENDING_SESSION_KEY);
+    return session && Array.isArray(session.items) && session.items.length ? session : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 前回セッションを復元するか決まるまで、そのレコードとファイルを上書き・削除しないようにする
+ * （その間の保存は保留用のキーに書く）。答えが出たら releaseLastSession() か discardLastSession() を呼ぶ
+ * @param {SavedSession} session
+ */
+export function holdLastSession(session) {
+  heldSessionIds = new Set(session.items.map((it) => it.id));
+}
+
+/** 前回セッションを復元し終えたら呼ぶ。以後は今のリストでセッションを上書きする（復元しなかったファイルは消える） */
+export function releaseLastSession() {
+  heldSessionIds = null;
+  scheduleSessionSave();
+}
+
+/**
+ * 前回セッションのファイルを取り出す。ハンドルは読み取り許可を確認し、必要ならユーザーに求める
+ * （ユーザー操作の中で呼ぶこと）。取り出せなかったアイテムは file: null（プレースホルダ）にして missing にも名前を入れる。
+ * @param {SavedSession} session
+ * @returns {Promise<{ items: ({ file: File | null } & Omit<import('./state.js').ListItem, 'file'>)[]; missing: string[] }>}
+ */
+export async function restoreSessionFiles(session) {
+  const records = new Map();
+  try {
+    /** @type {{ id: string; file?: File; handle?: FileSystemFileHandle }[]} */
+    const all = await requestToPromise((await getStore(SESSION_FILES_STORE, 'readonly')).getAll());
+    for (const r of all) records.set(r.id, r);
+  } catch (_) {
+    // ファイルが読めなければすべて missing として扱う
+  }
+  const items = [];
+  const missing = [];
+  for (const saved of session.items) {
+    const record = records.get(saved.id);
+    let file = null;
+    try {
+      if (record?.file) {
+        file = record.file;
+      } else if (record?.handle) {
+        const opts = { mode: 'read' };
+        let permission = await record.handle.queryPermission?.(opts);
+        if (permission !== 'granted') permission = await record.handle.requestPermission?.(opts);
+        if (permission === 'granted') {
+          file = await record.handle.getFile();
+          fileHandles.set(file, record.handle);
+        }
+      }
+    } catch (_) {
+      file = null;
+    }
+    items.push({ ...saved, file });
+    if (file && !storedFiles) restoredFiles.set(saved.id, file);
+    else if (file && storedFiles.has(saved.id)) storedFiles.set(saved.id, file);
+    if (!file) missing.push(saved.relativePath || saved.name);
+  }
+  return { items, missing };
+}
+
+/** 前回セッションを削除する（ファイルは次の保存で、今のリストに無いものを消す） */
+export async function discardLastSession() {
+  try {
+    await requestToPromise((await getStore(SESSION_STORE, 'readwrite')).delete(SESSION_KEY));
+  } catch (_) {}
+  releaseLastSession();
+}
+
+/**
+ * セッションの自動保存を始める。以後 scheduleSessionSave() で保存される
+ * @param {() => SessionSnapshot} fn
+ */
+export function startSessionSaving(fn) {
+  getSnapshot = fn;
+  window.addEventListener('pagehide', flushSessionSave);
+  scheduleSessionSave();
+}
+
+/** 少し待ってから保存する（待っている間の変更はまとめて 1 回で保存） */
+export function scheduleSessionSave() {
+  if (!getSnapshot || saveTimerId != null) return;
+  saveTimerId = setTimeout(flushSessionSave, SAVE_DELAY_MS);
+}
+
+/** 保存待ちがあればすぐ保存する */
+function flushSessionSave() {
+  if (saveTimerId != null) {
+    clearTimeout(saveTimerId);
+    saveTimerId = null;
+  }
+  if (!getSnapshot) return;
+  const snapshot = getSnapshot();
+  saving = saving.then(() => saveSession(snapshot)).catch(() => {});
+}
+
+/**
+ * @param {SessionSnapshot} snapshot
+ */
+async function saveSession(snapshot) {
+  const { items, ...rest } = snapshot;
+  if (!storedFiles) {
+    const keys = await requestToPromise((await getStore(SESSION_FILES_STORE, 'readonly')).getAllKeys());
+    storedFiles = new Map(keys.map((id) => [id, restoredFiles.get(id) ?? null]));
+    restoredFiles.clear();
+  }
+  const ids = new Set(items.map((it) => it.id));
+  const held = heldSessionIds;
+  const removed = [...storedFiles.keys()].filter((id) => !ids.has(id) && !held?.has(id));
+  let written;
+  try {
+    written = await writeFiles(items, removed);
+  } catch (err) {
+    if (!storeFileBlobs || err?.name !== 'QuotaExceededError') throw err;
+    // 容量が足りなければ以後は File 本体を保存しない（その曲は復元時に見つからないファイルとして残り、再リンクできる）
+    storeFileBlobs = false;
+    written = await writeFiles(items, removed);
+  }
+  for (const [id, file] of written) storedFiles.set(id, file);
+  for (const id of removed) storedFiles.delete(id);
+  /** @type {SavedSession} */
+  const session = {
+    ...rest,
+    id: held ? PENDING_SESSION_KEY : SESSION_KEY,
+    savedAt: Date.now(),
+    items: items.map(({ file, ...item }) => item),
+  };
+  const store = await getStore(SESSION_STORE, 'readwrite');
+  store.put(session);
+  if (!held) store.delete(PENDING_SESSION_KEY);
+  await transactionDone(store.transaction);
+}
+
+/**
+ * まだ保存していないファイルを書き、removed のレコードを消す
+ * @param {SessionSnapshot['items']} items
+ * @param {string[]} removed
+ * @returns {Promise<Map<string, File>>} 書き込みが確定したアイテム id と File（途中で失敗したら reject し、次の保存で書き直す）
+ */
+async function writeFiles(items, removed) {
+  const files = await getStore(SESSION_FILES_STORE, 'readwrite');
+  /** @type {Map<string, File>} */
+  const written = new Map();
+  for (const item of items) {
+    // プレースホルダはファイルが埋まってから保存する
+    if (!item.file || storedFiles.get(item.id) === item.file) continue;
+    const handle = fileHandles.get(item.file);
+    if (handle) files.put({ id: item.id, handle });
+    else if (storeFileBlobs) files.put({ id: item.id, file: item.file });
+    else files.put({ id: item.id, name: item.file.name, size: item.file.size });
+    written.set(item.id, item.file);
+  }
+  for (const id of removed) files.delete(id);
+  await transactionDone(files.transaction);
+  return written;
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    // QuotaExceededError などは失敗したリクエストの error に入る
+    tx.onerror = (e) => reject(e.target?.error ?? tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
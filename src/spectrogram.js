@@ -0,0 +1,146 @@
+/**
+ * ファイル全体のスペクトログラム（スペクトログラムワーカーから呼ぶ）。
+ * 等間隔に並べた列ごとに Hann 窓の FFT をかけ、縦を対数周波数の行にまとめた dB を 0〜255 に量子化して返す。
+ */
+
+/**
+ * data は列優先（列 c・行 r が data[c * rows + r]。行 0 が最低周波数）で、0 = DB_FLOOR 以下、255 = 0 dBFS。
+ * minFreq〜maxFreq を rows 行に対数で等分している
+ * @typedef {{ columns: number; rows: number; data: Uint8Array; minFreq: number; maxFreq: number; duration: number; fftSize: number }} Spectrogram
+ */
+
+/** @type {number[]} 選べる FFT サイズ */
+export const FFT_SIZES = [1024, 2048, 4096, 8192];
+
+/** 縦の行数（表示の高さと同じ） */
+export const SPECTROGRAM_ROWS = 128;
+
+/** 1 秒あたりの列数と、列数の上限（長い曲はこれに収まるよう間引く） */
+const COLUMNS_PER_SECOND = 10;
+const MAX_COLUMNS = 6000;
+
+/** 表示の下端（Hz）。FFT の分解能がこれより粗いときは分解能に合わせる */
+const MIN_FREQ = 20;
+
+/** 0 に量子化する dB */
+const DB_FLOOR = -100;
+
+/**
+ * @param {number} fftSize
+ * @returns {Float32Array}
+ */
+function hannWindow(fftSize) {
+  const w = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize);
+  return w;
+}
+
+/**
+ * 基数 2 の FFT（その場で書き換える）
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+/**
+ * 行ごとに使う FFT ビンの範囲 [from, to)。低域でビンが行より粗いところは、行の中心に近いビン 1 つを使う
+ * @param {number} rows
+ * @param {number} minFreq
+ * @param {number} maxFreq
+ * @param {number} binHz
+ * @returns {{ from: number; to: number }[]}
+ */
+function rowBins(rows, minFreq, maxFreq, binHz) {
+  const ratio = maxFreq / minFreq;
+  return Array.from({ length: rows }, (_, r) => {
+    const lo = minFreq * ratio ** (r / rows);
+    const hi = minFreq * ratio ** ((r + 1) / rows);
+    const from = Math.ceil(lo / binHz);
+    const to = Math.ceil(hi / binHz);
+    if (to > from) return { from, to };
+    const center = Math.round(Math.sqrt(lo * hi) / binHz);
+    return { from: center, to: center + 1 };
+  });
+}
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} fftSize FFT_SIZES のいずれか
+ * @returns {Spectrogram}
+ */
+export function computeSpectrogram(channels, sampleRate, fftSize) {
+  const length = channels[0]?.length ?? 0;
+  const duration = length / sampleRate;
+  const columns = Math.max(1, Math.min(MAX_COLUMNS, Math.ceil(duration * COLUMNS_PER_SECOND)));
+  const rows = SPECTROGRAM_ROWS;
+  const binHz = sampleRate / fftSize;
+  const minFreq = Math.max(MIN_FREQ, binHz);
+  const maxFreq = sampleRate / 2;
+  const bins = rowBins(rows, minFreq, maxFreq, binHz);
+  const window = hannWindow(fftSize);
+  // 窓をかけた正弦波の振幅 1 が 0 dBFS になるよう、FFT の大きさを割る値
+  const scale = fftSize / 4;
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const data = new Uint8Array(columns * rows);
+  for (let c = 0; c < columns; c++) {
+    // 列の中心に窓の中心を合わせる
+    const start = Math.round(((c + 0.5) / columns) * length) - fftSize / 2;
+    for (let i = 0; i < fftSize; i++) {
+      const j = start + i;
+      let v = 0;
+      if (j >= 0 && j < length) {
+        for (const ch of channels) v += ch[j];
+        v /= channels.length;
+      }
+      re[i] = v * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let r = 0; r < rows; r++) {
+      const { from, to } = bins[r];
+      let max = 0;
+      for (let k = from; k < to && k <= fftSize / 2; k++) {
+        const mag = re[k] * re[k] + im[k] * im[k];
+        if (mag > max) max = mag;
+      }
+      const db = max > 0 ? 10 * Math.log10(max) - 20 * Math.log10(scale) : DB_FLOOR;
+      data[c * rows + r] = Math.round(Math.max(0, Math.min(1, 1 - db / DB_FLOOR)) * 255);
+    }
+  }
+  return { columns, rows, data, minFreq, maxFreq, duration, fftSize };
+}
@@ -0,0 +1,297 @@
+import { FFT_SIZES } from './spectrogram.js';
+import { formatMmSs } from './utils.js';
+
+/**
+ * 再生中の曲のスペクトログラム（ファイル全体をスペクトログラムワーカーで前もって計算し、横スクロールで表示する）。
+ * デコードはせず、main.js が再生用にデコードしたバッファを setSpectrogramSource() で受け取って使う。
+ * 縦軸は対数周波数、再生位置に線を引き、クリックでその位置へシークする。FFT サイズとカラーマップは選べる。
+ */
+
+/** @typedef {'magma' | 'viridis' | 'gray'} Colormap */
+
+/** @type {{ value: Colormap; label: string; stops: number[][] }[]} */
+const COLORMAPS = [
+  { value: 'magma', label: 'Magma', stops: [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]] },
+  { value: 'viridis', label: 'Viridis', stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]] },
+  { value: 'gray', label: 'グレー', stops: [[0, 0, 0], [255, 255, 255]] },
+];
+
+/** 縦軸に目盛りを付ける周波数（Hz） */
+const AXIS_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+
+/** @type {{ fftSize: number; colormap: Colormap }} */
+let settings = { fftSize: 2048, colormap: 'magma' };
+
+/** @type {HTMLElement | null} */
+let trackEl = null;
+/** @type {HTMLElement | null} */
+let innerEl = null;
+/** @type {HTMLCanvasElement | null} */
+let canvas = null;
+/** @type {HTMLElement | null} */
+let playheadEl = null;
+/** @type {HTMLElement | null} */
+let axisEl = null;
+/** @type {HTMLElement | null} */
+let messageEl = null;
+
+/** @type {Worker | null} */
+let worker = null;
+/** 依頼ごとに増やし、古い結果を捨てる */
+let jobId = 0;
+
+/** @type {import('./state.js').ListItem | null} 表示中（計算中）の曲 */
+let shownItem = null;
+/** @type {File | null} 表示中の曲のファイル（同じ曲の中でシークしただけなら計算し直さない） */
+let shownFile = null;
+/** @type {AudioBuffer | null} 表示中の曲のデコード結果（main.js のものを参照するだけ。FFT サイズを変えたときに使う） */
+let sourceBuffer = null;
+/** @type {import('./spectrogram.js').Spectrogram | null} */
+let spectrogram = null;
+
+/** @type {(sec: number) => void} */
+let onSeek = () => {};
+
+/**
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./spectrogramWorker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', (e) => {
+      if (e.data?.jobId !== jobId) return;
+      if (e.data.type === 'result') {
+        spectrogram = e.data.value;
+        render();
+      } else {
+        showMessage('スペクトログラムを計算できませんでした');
+      }
+    });
+  }
+  return worker;
+}
+
+/**
+ * カラーマップの 256 色（0〜255 の値ごとの RGB）
+ * @param {Colormap} name
+ * @returns {Uint8ClampedArray}
+ */
+function palette(name) {
+  const { stops } = COLORMAPS.find((c) => c.value === name) ?? COLORMAPS[0];
+  const out = new Uint8ClampedArray(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const pos = (v / 255) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(pos));
+    const t = pos - i;
+    for (let k = 0; k < 3; k++) out[v * 3 + k] = stops[i][k] + (stops[i + 1][k] - stops[i][k]) * t;
+  }
+  return out;
+}
+
+/**
+ * @param {string} text
+ */
+function showMessage(text) {
+  if (!innerEl) return;
+  innerEl.hidden = true;
+  messageEl.hidden = false;
+  messageEl.textContent = text;
+  axisEl.replaceChildren();
+}
+
+/**
+ * @param {number} hz
+ * @returns {string}
+ */
+function formatFrequency(hz) {
+  return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+}
+
+/**
+ * 縦軸の目盛り（対数周波数）
+ * @param {import('./spectrogram.js').Spectrogram} spec
+ */
+function renderAxis(spec) {
+  const range = Math.log(spec.maxFreq / spec.minFreq);
+  axisEl.replaceChildren(
+    ...AXIS_FREQUENCIES.filter((hz) => hz >= spec.minFreq && hz <= spec.maxFreq).map((hz) => {
+      const label = document.createElement('span');
+      label.className = 'spectrogram-axis-label';
+      label.style.bottom = `${(Math.log(hz / spec.minFreq) / range) * 100}%`;
+      label.textContent = formatFrequency(hz);
+      return label;
+    })
+  );
+}
+
+/** 計算済みのスペクトログラムをカラーマップで描く */
+function render() {
+  if (!spectrogram || !canvas) return;
+  const { columns, rows, data } = spectrogram;
+  canvas.width = columns;
+  canvas.height = rows;
+  canvas.style.width = `${columns}px`;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const colors = palette(settings.colormap);
+  const image = ctx.createImageData(columns, rows);
+  for (let c = 0; c < columns; c++) {
+    for (let r = 0; r < rows; r++) {
+      const v = data[c * rows + r];
+      // 行 0 が最低周波数なので、画像では下から積む
+      const p = ((rows - 1 - r) * columns + c) * 4;
+      image.data[p] = colors[v * 3];
+      image.data[p + 1] = colors[v * 3 + 1];
+      image.data[p + 2] = colors[v * 3 + 2];
+      image.data[p + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  innerEl.style.width = `${columns}px`;
+  innerEl.title = `FFT ${spectrogram.fftSize}・${formatMmSs(spectrogram.duration)}（クリックでその位置へ）`;
+  innerEl.hidden = false;
+  messageEl.hidden = true;
+  renderAxis(spectrogram);
+}
+
+/** 表示中の曲のスペクトログラムをワーカーに計算させる */
+function request() {
+  if (!sourceBuffer) return;
+  const id = ++jobId;
+  const buffer = sourceBuffer;
+  spectrogram = null;
+  trackEl.scrollLeft = 0;
+  showMessage('計算中…');
+  // AudioBuffer のデータは再生に使っているので、ワーカーには計算の間だけのコピーを渡す
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+  getWorker().postMessage(
+    { type: 'spectrogram', jobId: id, channels, sampleRate: buffer.sampleRate, fftSize: settings.fftSize },
+    channels.map((ch) => ch.buffer)
+  );
+}
+
+/**
+ * @param {string} label
+ * @param {{ value: string; label: string }[]} options
+ * @param {string} value
+ * @param {(value: string) => void} onChange
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(label, options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'spectrogram-select';
+  select.setAttribute('aria-label', label);
+  select.title = label;
+  for (const opt of options) {
+    const el = document.createElement('option');
+    el.value = opt.value;
+    el.textContent = opt.label;
+    el.selected = opt.value === value;
+    select.appendChild(el);
+  }
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+/**
+ * @param {HTMLElement} el
+ * @param {{ onSeek: (sec: number) => void }} handlers
+ */
+export function initSpectrogramView(el, handlers) {
+  onSeek = handlers.onSeek;
+  const label = document.createElement('span');
+  label.className = 'realtime-tonal-label';
+  label.textContent = 'スペクトログラム:';
+  const body = document.createElement('div');
+  body.className = 'spectrogram-body';
+  axisEl = document.createElement('div');
+  axisEl.className = 'spectrogram-axis';
+  trackEl = document.createElement('div');
+  trackEl.className = 'spectrogram-track';
+  innerEl = document.createElement('div');
+  innerEl.className = 'spectrogram-inner';
+  canvas = document.createElement('canvas');
+  canvas.className = 'spectrogram-canvas';
+  playheadEl = document.createElement('div');
+  playheadEl.className = 'spectrogram-playhead';
+  innerEl.append(canvas, playheadEl);
+  innerEl.addEventListener('click', (e) => {
+    if (!spectrogram) return;
+    const rect = innerEl.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * spectrogram.duration);
+  });
+  messageEl = document.createElement('span');
+  messageEl.className = 'chord-lane-message';
+  trackEl.append(innerEl, messageEl);
+  body.append(axisEl, trackEl);
+  const fftSelect = createSelect(
+    'FFT サイズ（大きいほど周波数が細かく、時間は粗くなる）',
+    FFT_SIZES.map((n) => ({ value: String(n), label: `FFT ${n}` })),
+    String(settings.fftSize),
+    (value) => {
+      settings = { ...settings, fftSize: Number(value) };
+      request();
+    }
+  );
+  const colormapSelect = createSelect('カラーマップ', COLORMAPS, settings.colormap, (value) => {
+    settings = { ...settings, colormap: /** @type {Colormap} */ (value) };
+    render();
+  });
+  el.append(label, body, fftSelect, colormapSelect);
+  showMessage('—');
+}
+
+/**
+ * 再生を始めた曲と、そのデコード結果（再生用にデコードしたもの）を渡す。デコードが終わったら計算する
+ * （表示中と同じ曲・ファイルなら何もしない）
+ * @param {import('./state.js').ListItem} item
+ * @param {Promise<AudioBuffer>} decoded
+ */
+export function setSpectrogramSource(item, decoded) {
+  if (!trackEl || (item.id === shownItem?.id && item.file === shownFile)) return;
+  const id = ++jobId;
+  shownItem = item;
+  shownFile = item.file;
+  sourceBuffer = null;
+  spectrogram = null;
+  trackEl.scrollLeft = 0;
+  showMessage('計算中…');
+  decoded.then(
+    (buffer) => {
+      if (id !== jobId) return;
+      sourceBuffer = buffer;
+      request();
+    },
+    () => {
+      if (id === jobId) showMessage('デコードできませんでした');
+    }
+  );
+}
+
+/**
+ * 再生中の曲・位置に合わせて再生位置の線を動かす（再生中は毎フレーム呼ぶ）
+ * @param {import('./state.js').ListItem | null} item 停止中は null
+ * @param {number} sec 素材上の再生位置
+ */
+export function updateSpectrogramView(item, sec) {
+  if (!trackEl) return;
+  if (!item) {
+    if (shownItem) {
+      shownItem = null;
+      shownFile = null;
+      jobId++;
+      sourceBuffer = null;
+      spectrogram = null;
+      showMessage('—');
+    }
+    return;
+  }
+  if (item.id !== shownItem?.id || !spectrogram?.duration) return;
+  const x = (Math.max(0, Math.min(sec, spectrogram.duration)) / spectrogram.duration) * spectrogram.columns;
+  playheadEl.style.left = `${x}px`;
+  // ポインタがスペクトログラム上にある間はスクロールさせない
+  if (trackEl.matches(':hover')) return;
+  if (x < trackEl.scrollLeft || x > trackEl.scrollLeft + trackEl.clientWidth) {
+    trackEl.scrollLeft = Math.max(0, x - trackEl.clientWidth / 3);
+  }
+}
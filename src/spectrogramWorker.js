@@ -0,0 +1,19 @@
+import { computeSpectrogram } from './spectrogram.js';
+
+/**
+ * スペクトログラムワーカー（module worker）。メインスレッドでデコードした PCM を受け取り、ファイル全体のスペクトログラムを返す。
+ *
+ * 受信: { type: 'spectrogram', jobId, channels: Float32Array[], sampleRate, fftSize }
+ * 送信: { type: 'result', jobId, value: Spectrogram } | { type: 'error', jobId, message }
+ */
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type !== 'spectrogram') return;
+  const { jobId, channels, sampleRate, fftSize } = e.data;
+  try {
+    const value = computeSpectrogram(channels, sampleRate, fftSize);
+    self.postMessage({ type: 'result', jobId, value }, [value.data.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err instanceof Error ? err.message : String(err) });
+  }
+});
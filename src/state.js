@@ -1,4 +1,22 @@
-/** @typedef {{ id: string; file: File; name: string; loop: boolean; maxLoopSeconds: number | null; duration: number | null; bpm: number | null; key: string | null; mood: string | null }} ListItem */
+import { getLoopRegion, getTrackLength, getItemPath, getFolder, FADE_CURVES } from './utils.js';
+import { readLoopMetadata } from './loopMetadata.js';
+
+/**
+ * file が null のアイテムは、リストファイル・セッションにはあるがまだファイルが無いプレースホルダ
+ * （再生・解析はせず、設定だけを持つ。同じ名前・相対パス・内容ハッシュのファイルが追加されるか、再リンクすると埋まる）
+ * @typedef {{ id: string; file: File | null; name: string; relativePath: string | null; loop: boolean; maxLoopSeconds: number | null; loopStart: number | null; loopEnd: number | null; loopSource: 'smpl' | 'vorbis' | null; crossfadeSeconds: number | null; gapSeconds: number | null; fadeOutCurve: 'linear' | 'equalPower' | 'sCurve' | null; fadeInCurve: 'linear' | 'equalPower' | 'sCurve' | null; duration: number | null; bpm: number | null; beatGrid: import('./beatGrid.js').BeatGrid | null; key: string | null; mood: import('./moodModels.js').MoodResult | string | null; chords: import('./chordTimeline.js').ChordSegment[] | null; loudness: import('./loudness.js').LoudnessResult | null; peaks: number[] | null; gainDb: number | null; contentHash: string | null; analysisStatus: AnalysisStatusMap }} ListItem */
+
+/** @typedef {'duration' | 'bpm' | 'key' | 'mood' | 'chords' | 'loudness' | 'peaks'} AnalysisField */
+
+/**
+ * 解析項目ごとの状態。pending = 解析待ち、running = 解析中、done = 値あり、failed = 失敗（message に理由）
+ * @typedef {{ state: 'pending' | 'running' | 'done' | 'failed'; message: string | null }} AnalysisStatus
+ */
+
+/** @typedef {Record<AnalysisField, AnalysisStatus>} AnalysisStatusMap */
+
+/** @type {AnalysisField[]} */
+export const ANALYSIS_FIELD_NAMES = ['duration', 'bpm', 'key', 'mood', 'chords', 'loudness', 'peaks'];
 
 /** @type {ListItem[]} */
 let items = [];
@@ -12,15 +30,48 @@ let startedAt = null;
 /** @type {number} 現在の再生位置（秒）。停止中は 0 */
 let currentTime = 0;
 
+/** @type {Set<string>} 埋め込みループ情報の読み込み待ちの id（リストtxtの設定が先に当たったら外す） */
+const pendingLoopMetadataIds = new Set();
+
+/**
+ * @type {Map<string, { contentHash: string; analysis: Partial<ListItem> }>} ファイルで埋めたプレースホルダが持っていた解析結果と内容ハッシュ
+ * （埋めたファイルの内容ハッシュが同じと分かったら戻す。違えば捨てて解析し直す）
+ */
+const placeholderAnalyses = new Map();
+
+/** @type {Set<string>} 名前・相対パスの合うプレースホルダが無かった、追加したばかりのアイテムの id（内容ハッシュが分かったらプレースホルダと照合する） */
+const hashLinkIds = new Set();
+
 /** @type {boolean} 一時停止中か（currentIndex が有効なときのみ意味を持つ） */
 let isPaused = false;
 
 /** @type {number} 再生速度（1 = 等速、2 = 2倍速） */
 let playbackRate = 1;
 
+/** @type {boolean} 再生速度を変えても音程を保つか */
+let preservePitch = true;
+
+/** @type {number} 再生速度とは別に動かす音程（半音、-12〜12） */
+let pitchSemitones = 0;
+
+/** @type {number} マスター音量（0〜1） */
+let masterVolume = 1;
+
+/** @type {boolean} ミュート中か（マスター音量は保ったまま） */
+let muted = false;
+
+/** @type {import('./utils.js').TransitionSettings} リスト全体のつなぎ設定（アイテム側が null の項目に使う） */
+let transitionDefaults = { crossfadeSeconds: 0, gapSeconds: 0, fadeOutCurve: 'linear', fadeInCurve: 'linear', snapToBars: false };
+
 /** @type {(items: ListItem[], currentIndex: number | null) => void} */
 let onUpdate = () => {};
 
+/** @type {() => void} リストの内容・並び・再生中の曲が変わったとき（セッション保存用） */
+let onListChange = () => {};
+
+/** @type {() => void} リスト全体のつなぎ設定の変更時 */
+let onTransitionDefaultsUpdate = () => {};
+
 /** @type {() => void} 再生位置のみ更新（リスト全体の再描画を避ける） */
 let onTimeUpdate = () => {};
 
@@ -38,6 +89,14 @@ export function subscribe(fn) {
   onUpdate = fn;
 }
 
+/**
+ * リストの内容・並び・再生中の曲が変わったときのコールバック（リスト表示とは別に、保存などに使う）
+ * @param {() => void} fn
+ */
+export function subscribeToListChange(fn) {
+  onListChange = fn;
+}
+
 /**
  * 再生位置（currentTime）変更時のみ呼ばれる。リスト再描画ではなく再生位置表示の部分更新用。
  * @param {() => void} fn
@@ -46,6 +105,14 @@ export function subscribeToTime(fn) {
   onTimeUpdate = fn;
 }
 
+/**
+ * リスト全体のつなぎ設定の変更時のコールバック
+ * @param {() => void} fn
+ */
+export function subscribeToTransitionDefaults(fn) {
+  onTransitionDefaultsUpdate = fn;
+}
+
 /**
  * リアルタイム Key/Chord 更新時のコールバック
  * @param {() => void} fn
@@ -81,6 +148,7 @@ export function setRealTimeKey(key, chord) {
 
 function notify() {
   onUpdate([...items], currentIndex);
+  onListChange();
 }
 
 /**
@@ -133,6 +201,89 @@ export function setPlaybackRate(rate) {
   if (Number.isFinite(r) && r >= 0.25 && r <= 4) playbackRate = r;
 }
 
+/**
+ * @returns {boolean}
+ */
+export function getPreservePitch() {
+  return preservePitch;
+}
+
+/**
+ * @param {boolean} value
+ */
+export function setPreservePitch(value) {
+  preservePitch = Boolean(value);
+}
+
+/**
+ * @returns {number}
+ */
+export function getPitchSemitones() {
+  return pitchSemitones;
+}
+
+/**
+ * @param {number} semitones
+ */
+export function setPitchSemitones(semitones) {
+  const n = Math.round(Number(semitones));
+  if (Number.isFinite(n)) pitchSemitones = Math.max(-12, Math.min(12, n));
+}
+
+/**
+ * @returns {number}
+ */
+export function getMasterVolume() {
+  return masterVolume;
+}
+
+/**
+ * @param {number} volume 0〜1 に収める
+ */
+export function setMasterVolume(volume) {
+  const v = Number(volume);
+  if (Number.isFinite(v)) masterVolume = Math.max(0, Math.min(1, Math.round(v * 100) / 100));
+}
+
+/**
+ * @returns {boolean}
+ */
+export function getMuted() {
+  return muted;
+}
+
+/**
+ * @param {boolean} value
+ */
+export function setMuted(value) {
+  muted = Boolean(value);
+}
+
+/**
+ * 実際に聞こえる音程が元の素材から何半音ずれているか（音程を保たないときは速度の分も含む）
+ * @returns {number}
+ */
+export function getHeardPitchShift() {
+  return pitchSemitones + (preservePitch ? 0 : 12 * Math.log2(playbackRate));
+}
+
+/**
+ * @returns {import('./utils.js').TransitionSettings}
+ */
+export function getTransitionDefaults() {
+  return { ...transitionDefaults };
+}
+
+/**
+ * リスト全体のつなぎ設定を変更する
+ * @param {Partial<import('./utils.js').TransitionSettings>} patch
+ */
+export function setTransitionDefaults(patch) {
+  transitionDefaults = { ...transitionDefaults, ...patch };
+  onTransitionDefaultsUpdate();
+  notify();
+}
+
 /**
  * @param {boolean} value
  */
@@ -150,24 +301,135 @@ export function setCurrentTime(sec) {
 }
 
 /**
- * @param {File[]} files
+ * ファイル埋め込みのループ情報を読み、見つかればループON・ループ区間を設定する
+ * @param {string} id
+ * @param {File} file
  */
-export function addFiles(files) {
-  const audioFiles = Array.from(files).filter((f) => f.type.startsWith('audio/'));
-  for (const file of audioFiles) {
-    items.push({
-      id: crypto.randomUUID(),
-      file,
-      name: file.name,
-      loop: false,
-      maxLoopSeconds: null,
-      duration: null,
-      bpm: null,
-      key: null,
-      mood: null,
+function applyEmbeddedLoop(id, file) {
+  pendingLoopMetadataIds.add(id);
+  readLoopMetadata(file).then((meta) => {
+    if (!pendingLoopMetadataIds.delete(id) || !meta) return;
+    updateItem(id, {
+      loop: true,
+      loopStart: meta.loopStart > 0 ? meta.loopStart : null,
+      loopEnd: meta.loopEnd,
+      loopSource: meta.source,
     });
+  });
+}
+
+/**
+ * files は形式の判定（audioFormat.js の checkMediaFile）を通ったもの。
+ * relativePaths はフォルダから追加したときの、フォルダからの相対パス（files と同じ並び）。
+ * 省略時はフォルダ選択ダイアログが付ける webkitRelativePath を使う。
+ * 相対パス（無ければファイル名）が合うプレースホルダがあれば、末尾に足さずにその行を埋める
+ * @param {File[]} files
+ * @param {(string | null)[]} [relativePaths]
+ */
+export function addFiles(files, relativePaths = []) {
+  const placeholders = items.filter((it) => !it.file);
+  const used = new Set();
+  Array.from(files).forEach((file, i) => {
+    const relativePath = relativePaths[i] || file.webkitRelativePath || null;
+    const idx = findListMatch(placeholders, used, { name: file.name, relativePath });
+    if (idx >= 0) {
+      used.add(placeholders[idx].id);
+      fillPlaceholder(placeholders[idx], file, relativePath);
+      return;
+    }
+    const id = crypto.randomUUID();
+    applyEmbeddedLoop(id, file);
+    const item = createItem(id, file);
+    item.relativePath = relativePath;
+    if (placeholders.length) hashLinkIds.add(id);
+    items.push(item);
+  });
+  notify();
+}
+
+/**
+ * 未設定・未解析の ListItem を作る
+ * @param {string} id
+ * @param {File | null} file
+ * @param {string} [name] プレースホルダ（file が null）のときに必要
+ * @returns {ListItem}
+ */
+function createItem(id, file, name = file.name) {
+  return {
+    id,
+    file,
+    name,
+    relativePath: null,
+    loop: false,
+    maxLoopSeconds: null,
+    loopStart: null,
+    loopEnd: null,
+    loopSource: null,
+    crossfadeSeconds: null,
+    gapSeconds: null,
+    fadeOutCurve: null,
+    fadeInCurve: null,
+    duration: null,
+    bpm: null,
+    beatGrid: null,
+    key: null,
+    mood: null,
+    chords: null,
+    loudness: null,
+    peaks: null,
+    gainDb: null,
+    contentHash: null,
+    analysisStatus: createAnalysisStatus(),
+  };
+}
+
+/**
+ * すべて解析待ちの状態を作る
+ * @returns {AnalysisStatusMap}
+ */
+function createAnalysisStatus() {
+  return Object.fromEntries(ANALYSIS_FIELD_NAMES.map((f) => [f, { state: 'pending', message: null }]));
+}
+
+/**
+ * 値が入っている項目を done にし、値の無い項目は失敗済みなら failed のまま、それ以外は pending に戻す
+ * （保存から戻したアイテム用。保存時に解析中だった項目はやり直す）
+ * @param {ListItem} item
+ * @param {Partial<AnalysisStatusMap>} [saved]
+ * @returns {AnalysisStatusMap}
+ */
+function restoreAnalysisStatus(item, saved = {}) {
+  const status = createAnalysisStatus();
+  for (const field of ANALYSIS_FIELD_NAMES) {
+    if (item[field] != null) status[field] = { state: 'done', message: null };
+    else if (saved[field]?.state === 'failed') status[field] = { ...saved[field] };
+  }
+  return status;
+}
+
+/**
+ * 保存しておいたアイテムを設定・解析結果ごとリストの末尾に戻す（セッション復元用）。
+ * id は重複しない限り保存時のものを使い、ファイル埋め込みのループ情報は読まない。file が null のものはプレースホルダになる
+ * @param {({ file: File | null; name: string } & Partial<ListItem>)[]} saved
+ * @returns {number} 戻したアイテムの先頭インデックス
+ */
+export function restoreItems(saved) {
+  const firstIndex = items.length;
+  const ids = new Set(items.map((it) => it.id));
+  for (const s of saved) {
+    const id = s.id && !ids.has(s.id) ? s.id : crypto.randomUUID();
+    ids.add(id);
+    const item = createItem(id, s.file, s.name);
+    for (const field of Object.keys(item)) {
+      if (field === 'id' || field === 'file' || field === 'analysisStatus' || s[field] === undefined) continue;
+      // 以前の版は解析失敗を '' で表していたので、未解析に戻す
+      item[field] = ANALYSIS_FIELDS.has(field) && s[field] === '' ? null : s[field];
+    }
+    item.analysisStatus = restoreAnalysisStatus(item, s.analysisStatus);
+    items.push(item);
   }
   notify();
+  return firstIndex;
 }
 
 /**
@@ -202,40 +464,58 @@ export function setStartedAt(timestamp) {
   startedAt = timestamp;
 }
 
+/** 最大再生時間の判定で許容する誤差（秒）。サンプル単位で止めた直後の浮動小数誤差を吸収する */
+const MAX_TIME_EPSILON = 0.005;
+
 /**
  * 次に再生すべきインデックスを算出。
- * ループONかつ最大時間内なら null（同じ曲を続ける）、そうでなければ次のインデックス or null（終了）。
- * @returns {{ action: 'loop' } | { action: 'next'; index: number } | { action: 'stop' }}
+ * ループONかつ最大時間内なら loop（ループ始端 startSec から同じ曲を続ける）、そうでなければ次のインデックス or stop（終了）。
+ * プレースホルダは飛ばす。
+ * @param {number} [elapsedSec] 現在トラックの再生経過（秒）。省略時は再生開始時刻からの実時間
+ * @returns {{ action: 'loop'; startSec: number } | { action: 'next'; index: number } | { action: 'stop' }}
  */
-export function getNextPlaybackAction() {
+export function getNextPlaybackAction(elapsedSec) {
   if (currentIndex === null || currentIndex >= items.length) {
     return { action: 'stop' };
   }
   const item = items[currentIndex];
-  const elapsed = startedAt !== null ? (Date.now() - startedAt) / 1000 : 0;
+  const elapsed = elapsedSec ?? (startedAt !== null ? (Date.now() - startedAt) / 1000 : 0);
 
   if (item.loop && item.maxLoopSeconds != null && item.maxLoopSeconds > 0) {
-    if (elapsed >= item.maxLoopSeconds) {
-      const nextIndex = currentIndex + 1;
-      if (nextIndex < items.length) {
+    if (elapsed >= getTrackLength(item, transitionDefaults) - MAX_TIME_EPSILON) {
+      const nextIndex = findPlayableIndex(currentIndex + 1);
+      if (nextIndex !== null) {
         return { action: 'next', index: nextIndex };
       }
       return { action: 'stop' };
     }
-    return { action: 'loop' };
+    return { action: 'loop', startSec: getLoopRegion(item).start };
   }
 
   if (item.loop && (item.maxLoopSeconds == null || item.maxLoopSeconds <= 0)) {
-    return { action: 'loop' };
+    return { action: 'loop', startSec: getLoopRegion(item).start };
   }
 
-  const nextIndex = currentIndex + 1;
-  if (nextIndex < items.length) {
+  const nextIndex = findPlayableIndex(currentIndex + 1);
+  if (nextIndex !== null) {
     return { action: 'next', index: nextIndex };
   }
   return { action: 'stop' };
 }
 
+/**
+ * from から step の向きにたどって、最初の再生できる（プレースホルダでない）アイテムの位置。無ければ null
+ * @param {number} from
+ * @param {1 | -1} [step]
+ * @returns {number | null}
+ */
+export function findPlayableIndex(from, step = 1) {
+  for (let i = from; i >= 0 && i < items.length; i += step) {
+    if (items[i].file) return i;
+  }
+  return null;
+}
+
 /**
  * @param {number} fromIndex
  * @param {number} toIndex
@@ -254,36 +534,379 @@ export function moveItem(fromIndex, toIndex) {
 }
 
 /**
+ * 並びを ids の順に置き換える（一覧の並べ替えを実際の再生順に反映する）。ids に無いアイテムは元の順のまま後ろに並べる
+ * @param {string[]} ids
+ */
+export function reorderItems(ids) {
+  const playingId = currentIndex !== null ? items[currentIndex]?.id : null;
+  const rank = new Map(ids.map((id, i) => [id, i]));
+  items.sort((a, b) => (rank.get(a.id) ?? ids.length) - (rank.get(b.id) ?? ids.length));
+  if (playingId != null) currentIndex = items.findIndex((it) => it.id === playingId);
+  notify();
+}
+
+/**
+ * 複数のアイテムを今の並びのまま 1 つのかたまりとして toIndex の位置へ動かす（moveItem と同じく、下へ動かすときは
+ * toIndex のアイテムの後ろ、上へ動かすときは前に入れる）。toIndex がかたまりの中なら何もしない
+ * @param {string[]} ids
+ * @param {number} toIndex
+ */
+export function moveItems(ids, toIndex) {
+  const target = items[toIndex];
+  const idSet = new Set(ids);
+  if (!target || idSet.has(target.id)) return;
+  const block = items.filter((it) => idSet.has(it.id));
+  if (!block.length) return;
+  const playingId = currentIndex !== null ? items[currentIndex]?.id : null;
+  const movingDown = items.indexOf(block[0]) < toIndex;
+  items = items.filter((it) => !idSet.has(it.id));
+  const at = items.indexOf(target) + (movingDown ? 1 : 0);
+  items.splice(at, 0, ...block);
+  if (playingId != null) currentIndex = items.findIndex((it) => it.id === playingId);
+  notify();
+}
+
+/**
+ * アイテムを一覧から取り除く。再生中の曲を取り除いたときは停止状態にする（音を止めるのは呼び出し側）
+ * @param {string[]} ids
+ */
+export function removeItems(ids) {
+  const idSet = new Set(ids);
+  if (!items.some((it) => idSet.has(it.id))) return;
+  const playingId = currentIndex !== null ? items[currentIndex]?.id : null;
+  items = items.filter((it) => !idSet.has(it.id));
+  for (const id of ids) {
+    pendingLoopMetadataIds.delete(id);
+    hashLinkIds.delete(id);
+    placeholderAnalyses.delete(id);
+  }
+  if (playingId != null && idSet.has(playingId)) {
+    setCurrentIndex(null);
+    return;
+  }
+  if (playingId != null) currentIndex = items.findIndex((it) => it.id === playingId);
+  notify();
+}
+
+/**
+ * 一覧を空にする（再生中なら停止状態にする。音を止めるのは呼び出し側）
+ */
+export function clearItems() {
+  removeItems(items.map((it) => it.id));
+}
+
+/**
+ * ループ設定（loop / loopStart / loopEnd）を変更すると、loopSource を指定しない限りファイル由来の印は外れる。
  * @param {string} id
- * @param {{ loop?: boolean; maxLoopSeconds?: number | null; duration?: number | null; bpm?: number | null; key?: string | null; mood?: string | null }} patch
+ * @param {{ loop?: boolean; maxLoopSeconds?: number | null; loopStart?: number | null; loopEnd?: number | null; loopSource?: 'smpl' | 'vorbis' | null; crossfadeSeconds?: number | null; gapSeconds?: number | null; fadeOutCurve?: 'linear' | 'equalPower' | 'sCurve' | null; fadeInCurve?: 'linear' | 'equalPower' | 'sCurve' | null; duration?: number | null; bpm?: number | null; beatGrid?: import('./beatGrid.js').BeatGrid | null; key?: string | null; mood?: import('./moodModels.js').MoodResult | string | null; chords?: import('./chordTimeline.js').ChordSegment[] | null; loudness?: import('./loudness.js').LoudnessResult | null; peaks?: number[] | null; gainDb?: number | null; contentHash?: string | null }} patch
  */
 export function updateItem(id, patch) {
-  const i = items.findIndex((it) => it.id === id);
-  if (i === -1) return;
-  if (patch.loop !== undefined) items[i].loop = patch.loop;
-  if (patch.maxLoopSeconds !== undefined) items[i].maxLoopSeconds = patch.maxLoopSeconds;
-  if (patch.duration !== undefined) items[i].duration = patch.duration;
-  if (patch.bpm !== undefined) items[i].bpm = patch.bpm;
-  if (patch.key !== undefined) items[i].key = patch.key;
-  if (patch.mood !== undefined) items[i].mood = patch.mood;
+  const item = items.find((it) => it.id === id);
+  if (!item) return;
+  applyPatch(item, patch);
+  if (patch.contentHash !== undefined) restorePlaceholderAnalysis(item);
+  if (patch.contentHash !== undefined && hashLinkIds.delete(id)) {
+    const placeholder = patch.contentHash && items.find((it) => !it.file && it.contentHash === patch.contentHash);
+    if (placeholder) mergeIntoPlaceholder(placeholder, item);
+  }
+  notify();
+}
+
+/**
+ * 複数のアイテムに同じ変更を加える（一覧の一括編集。通知は 1 回だけ）
+ * @param {string[]} ids
+ * @param {Parameters<typeof updateItem>[1]} patch
+ */
+export function updateItems(ids, patch) {
+  const idSet = new Set(ids);
+  const targets = items.filter((it) => idSet.has(it.id));
+  if (!targets.length) return;
+  for (const item of targets) applyPatch(item, patch);
+  notify();
+}
+
+/**
+ * @param {ListItem} item
+ * @param {Parameters<typeof updateItem>[1]} patch
+ */
+function applyPatch(item, patch) {
+  if (patch.loop !== undefined) item.loop = patch.loop;
+  if (patch.maxLoopSeconds !== undefined) item.maxLoopSeconds = patch.maxLoopSeconds;
+  if (patch.loopStart !== undefined) item.loopStart = patch.loopStart;
+  if (patch.loopEnd !== undefined) item.loopEnd = patch.loopEnd;
+  if (patch.loopSource !== undefined) {
+    item.loopSource = patch.loopSource;
+  } else if (patch.loop !== undefined || patch.loopStart !== undefined || patch.loopEnd !== undefined) {
+    item.loopSource = null;
+    pendingLoopMetadataIds.delete(item.id);
+  }
+  if (patch.crossfadeSeconds !== undefined) item.crossfadeSeconds = patch.crossfadeSeconds;
+  if (patch.gapSeconds !== undefined) item.gapSeconds = patch.gapSeconds;
+  if (patch.fadeOutCurve !== undefined) item.fadeOutCurve = patch.fadeOutCurve;
+  if (patch.fadeInCurve !== undefined) item.fadeInCurve = patch.fadeInCurve;
+  if (patch.duration !== undefined) item.duration = patch.duration;
+  if (patch.bpm !== undefined) item.bpm = patch.bpm;
+  if (patch.beatGrid !== undefined) item.beatGrid = patch.beatGrid;
+  if (patch.key !== undefined) item.key = patch.key;
+  if (patch.mood !== undefined) item.mood = patch.mood;
+  if (patch.chords !== undefined) item.chords = patch.chords;
+  if (patch.loudness !== undefined) item.loudness = patch.loudness;
+  if (patch.peaks !== undefined) item.peaks = patch.peaks;
+  if (patch.gainDb !== undefined) item.gainDb = patch.gainDb;
+  if (patch.contentHash !== undefined) item.contentHash = patch.contentHash;
+  const doneFields = ANALYSIS_FIELD_NAMES.filter((f) => patch[f] != null && patch[f] !== '');
+  if (doneFields.length) {
+    const status = { ...item.analysisStatus };
+    for (const f of doneFields) status[f] = { state: 'done', message: null };
+    item.analysisStatus = status;
+  }
+}
+
+/**
+ * 解析項目の状態を変える。pending に戻すと値も消し、解析をやり直させる
+ * @param {string} id
+ * @param {AnalysisField | AnalysisField[]} fields
+ * @param {AnalysisStatus['state']} state
+ * @param {string | null} [message] failed のときの理由
+ */
+export function setAnalysisStatus(id, fields, state, message = null) {
+  const item = items.find((it) => it.id === id);
+  if (!item) return;
+  const status = { ...item.analysisStatus };
+  for (const field of Array.isArray(fields) ? fields : [fields]) {
+    status[field] = { state, message };
+    if (state === 'pending') item[field] = null;
+  }
+  item.analysisStatus = status;
   notify();
 }
 
 /**
- * 並び順とループ・最大再生時間をテキストから復元。ファイル名で現在のリストと照合し、順序と設定を適用する。
- * @param {{ name: string; loop: boolean; maxLoopSeconds: number | null }[]} parsed
+ * 失敗した解析項目をすべて解析待ちに戻す
+ * @returns {number} 戻した項目数
  */
-export function loadListData(parsed) {
-  if (!parsed.length) return;
+export function retryFailedAnalyses() {
+  let count = 0;
+  for (const item of items) {
+    const status = { ...item.analysisStatus };
+    for (const field of ANALYSIS_FIELD_NAMES) {
+      if (status[field].state !== 'failed') continue;
+      status[field] = { state: 'pending', message: null };
+      item[field] = null;
+      count++;
+    }
+    item.analysisStatus = status;
+  }
+  if (count) notify();
+  return count;
+}
+
+/** リストファイルから復元しない ListItem のフィールド（照合キー・セッション固有の値・ファイルから計算する値） */
+const NON_RESTORED_FIELDS = new Set(['id', 'file', 'name', 'relativePath', 'contentHash', 'analysisStatus']);
+
+/** 解析結果のフィールド（BPM と一緒に求めるビートグリッドを含む）。リストファイル側に値があるときだけ上書きする（解析済みの値を空で潰さない） */
+const ANALYSIS_FIELDS = new Set([...ANALYSIS_FIELD_NAMES, 'beatGrid']);
+
+/** @param {unknown} v */
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+/** @param {unknown} v */
+const isSeconds = (v) => isFiniteNumber(v) && v >= 0;
+/** @param {unknown} v */
+const isCurve = (v) => FADE_CURVES.some((c) => c.value === v);
+/**
+ * @param {(v: unknown) => boolean} check
+ * @returns {(v: unknown) => boolean} null も受け付ける check
+ */
+const orNull = (check) => (v) => v === null || check(v);
+
+/**
+ * リストファイルから読む値の型・範囲のチェック（手で書き換えたファイルも読むので、合わない値は読み飛ばす）。
+ * 解析結果は null を渡されても使わないので、値があるときの形だけ見る
+ * @type {Record<string, (v: unknown) => boolean>}
+ */
+const LIST_FIELD_CHECKS = {
+  loop: (v) => typeof v === 'boolean',
+  maxLoopSeconds: orNull(isSeconds),
+  loopStart: orNull(isSeconds),
+  loopEnd: orNull(isSeconds),
+  loopSource: (v) => v === null || v === 'smpl' || v === 'vorbis',
+  crossfadeSeconds: orNull(isSeconds),
+  gapSeconds: orNull(isSeconds),
+  fadeOutCurve: orNull(isCurve),
+  fadeInCurve: orNull(isCurve),
+  gainDb: orNull(isFiniteNumber),
+  duration: (v) => isFiniteNumber(v) && v > 0,
+  bpm: (v) => isFiniteNumber(v) && v > 0,
+  beatGrid: (v) =>
+    !!v && isFiniteNumber(v.bpm) && v.bpm > 0 && isFiniteNumber(v.offset) &&
+    Number.isInteger(v.beatsPerBar) && v.beatsPerBar > 0 && Number.isInteger(v.downbeat) && v.downbeat >= 0 && v.downbeat < v.beatsPerBar,
+  key: (v) => typeof v === 'string',
+  mood: (v) => typeof v === 'string' || (!!v && typeof v.model === 'string' && Array.isArray(v.probabilities) && v.probabilities.every(isFiniteNumber)),
+  chords: (v) => Array.isArray(v) && v.every((c) => c && isSeconds(c.start) && isSeconds(c.end) && typeof c.chord === 'string'),
+  loudness: (v) => !!v && ['integrated', 'shortTermMax', 'range', 'truePeak'].every((k) => typeof v[k] === 'number'),
+  peaks: (v) => Array.isArray(v) && v.every(isFiniteNumber),
+};
+
+/** @type {Record<string, (v: unknown) => boolean>} リスト全体のつなぎ設定のチェック */
+const LIST_DEFAULTS_CHECKS = {
+  crossfadeSeconds: isSeconds,
+  gapSeconds: isSeconds,
+  fadeOutCurve: isCurve,
+  fadeInCurve: isCurve,
+  snapToBars: (v) => typeof v === 'boolean',
+};
+
+/**
+ * リストファイルの 1 行に当たるアイテムの位置。相対パス（無ければファイル名）が同じものを優先し、
+ * どちらかに相対パスが無いとき（フォルダを使わずに追加した曲・以前の版のリスト）はファイル名で探す。
+ * 名前で見つからず、行に内容ハッシュ（JSON のみ）があれば、同じ内容のファイル（名前を変えたもの）を探す
+ * @param {ListItem[]} current
+ * @param {Set<string>} used すでに割り当てたアイテムの id
+ * @param {{ name: string; relativePath?: string | null; contentHash?: string | null }} p
+ * @returns {number}
+ */
+function findListMatch(current, used, p) {
+  const path = getItemPath(p);
+  const exact = current.findIndex((it) => !used.has(it.id) && getItemPath(it) === path);
+  if (exact >= 0) return exact;
+  const byName = current.findIndex((it) => !used.has(it.id) && it.name === p.name && (!it.relativePath || !p.relativePath));
+  if (byName >= 0 || !p.contentHash) return byName;
+  return current.findIndex((it) => !used.has(it.id) && it.file && it.contentHash === p.contentHash);
+}
+
+/** プレースホルダから引き継ぐ設定（リストファイルの txt が持つ項目と曲ごとのゲイン。解析結果はファイル側のものを使う） */
+const PLACEHOLDER_SETTING_FIELDS = ['loop', 'maxLoopSeconds', 'loopStart', 'loopEnd', 'loopSource', 'crossfadeSeconds', 'gapSeconds', 'fadeOutCurve', 'fadeInCurve', 'gainDb'];
+
+/**
+ * プレースホルダにファイルを入れる。id・位置・設定はそのままで、内容ハッシュはファイルから求め直す。
+ * リストファイル・セッションから持っていた解析結果は別の録音のものかもしれないので消しておき、
+ * 内容ハッシュが保存時と同じと分かったときだけ戻す（restorePlaceholderAnalysis）
+ * @param {ListItem} item
+ * @param {File} file
+ * @param {string | null} relativePath
+ */
+function fillPlaceholder(item, file, relativePath) {
+  if (item.contentHash) {
+    const analysis = Object.fromEntries([...ANALYSIS_FIELDS].filter((f) => item[f] != null).map((f) => [f, item[f]]));
+    placeholderAnalyses.set(item.id, { contentHash: item.contentHash, analysis });
+  }
+  for (const field of ANALYSIS_FIELDS) item[field] = null;
+  item.analysisStatus = createAnalysisStatus();
+  item.file = file;
+  item.name = file.name;
+  item.relativePath = relativePath;
+  item.contentHash = null;
+}
+
+/**
+ * 埋めたプレースホルダの内容ハッシュが分かったら、保存時と同じファイルのときだけ元の解析結果を戻す（まだ値の無い項目のみ）
+ * @param {ListItem} item
+ */
+function restorePlaceholderAnalysis(item) {
+  const saved = placeholderAnalyses.get(item.id);
+  if (!saved) return;
+  placeholderAnalyses.delete(item.id);
+  if (item.contentHash !== saved.contentHash) return;
+  applyPatch(item, Object.fromEntries(Object.entries(saved.analysis).filter(([field]) => item[field] == null)));
+}
+
+/**
+ * 一覧にある曲をプレースホルダの位置に移し、プレースホルダの設定を引き継がせる（プレースホルダは取り除く）
+ * @param {ListItem} placeholder
+ * @param {ListItem} item
+ */
+function mergeIntoPlaceholder(placeholder, item) {
+  for (const field of PLACEHOLDER_SETTING_FIELDS) item[field] = placeholder[field];
+  pendingLoopMetadataIds.delete(item.id);
+  const playingId = currentIndex !== null ? items[currentIndex]?.id : null;
+  items = items.filter((it) => it !== item);
+  items[items.indexOf(placeholder)] = item;
+  if (playingId != null) currentIndex = items.findIndex((it) => it.id === playingId);
+}
+
+/**
+ * プレースホルダにファイルを割り当てる（名前が変わったファイルの再リンク）。相対パスは元と同じフォルダにあるものとして付け直す
+ * @param {string} id
+ * @param {File} file
+ */
+export function relinkFile(id, file) {
+  const item = items.find((it) => it.id === id && !it.file);
+  if (!item) return;
+  const folder = getFolder(item.relativePath);
+  fillPlaceholder(item, file, folder ? `${folder}/${file.name}` : null);
+  notify();
+}
+
+/**
+ * 一覧にある曲をプレースホルダに割り当てる（再リンク）。曲はプレースホルダの位置に移り、設定を引き継ぐ
+ * @param {string} placeholderId
+ * @param {string} itemId
+ */
+export function relinkToItem(placeholderId, itemId) {
+  const placeholder = items.find((it) => it.id === placeholderId && !it.file);
+  const item = items.find((it) => it.id === itemId && it.file);
+  if (!placeholder || !item) return;
+  hashLinkIds.delete(itemId);
+  mergeIntoPlaceholder(placeholder, item);
+  notify();
+}
+
+/**
+ * リストファイルの 1 行の値をアイテムに書き込み、値の入った解析項目を done にする
+ * @param {ListItem} item
+ * @param {{ name: string } & Partial<ListItem>} p
+ */
+function applyListFields(item, p) {
+  for (const [field, value] of Object.entries(p)) {
+    if (NON_RESTORED_FIELDS.has(field) || !(field in item) || value === undefined) continue;
+    // 値の無い解析結果（以前の版の失敗 '' を含む）では、解析済みの値を潰さない
+    if (ANALYSIS_FIELDS.has(field) && (value == null || value === '')) continue;
+    if (!LIST_FIELD_CHECKS[field]?.(value)) continue;
+    item[field] = value;
+  }
+  item.analysisStatus = { ...item.analysisStatus };
+  for (const field of ANALYSIS_FIELD_NAMES) {
+    if (item[field] != null) item.analysisStatus[field] = { state: 'done', message: null };
+  }
+}
+
+/**
+ * 並び順と各アイテムの設定・解析結果をリストファイルから復元。相対パス（無ければファイル名）で現在のリストと照合し、順序と設定を適用する。
+ * parsed の各要素に含まれる ListItem のフィールドだけを適用する（txt なら loop / max / つなぎ設定、JSON なら全項目）。
+ * 一覧に無い曲はプレースホルダとして並びの中に残す（あとからファイルを追加すると埋まる）。
+ * @param {({ name: string } & Partial<ListItem>)[]} parsed
+ * @param {Partial<import('./utils.js').TransitionSettings> | null} [defaults] リスト全体のつなぎ設定
+ */
+export function loadListData(parsed, defaults = null) {
+  if (defaults) {
+    defaults = Object.fromEntries(Object.entries(defaults).filter(([field, value]) => LIST_DEFAULTS_CHECKS[field]?.(value)));
+    transitionDefaults = { ...transitionDefaults, ...defaults };
+    onTransitionDefaultsUpdate();
+  }
+  if (!parsed.length) {
+    if (defaults) notify();
+    return;
+  }
   const current = [...items];
   const used = new Set();
   const newItems = [];
   for (const p of parsed) {
-    const idx = current.findIndex((it) => it.name === p.name && !used.has(it.id));
+    const idx = findListMatch(current, used, p);
     if (idx >= 0) {
-      const item = { ...current[idx], loop: p.loop, maxLoopSeconds: p.maxLoopSeconds };
+      const item = { ...current[idx] };
+      applyListFields(item, p);
+      if (p.loopSource === undefined && item.loop !== current[idx].loop) item.loopSource = null;
+      // リストファイルの設定を優先し、後から届くファイル埋め込みのループ情報では上書きしない
+      pendingLoopMetadataIds.delete(item.id);
       used.add(current[idx].id);
       newItems.push(item);
+    } else {
+      const item = createItem(crypto.randomUUID(), null, p.name);
+      item.relativePath = typeof p.relativePath === 'string' && p.relativePath ? p.relativePath : null;
+      // 内容ハッシュ（JSON のみ）は、名前を変えたファイルをあとから追加したときの照合に使う
+      item.contentHash = typeof p.contentHash === 'string' && p.contentHash ? p.contentHash : null;
+      applyListFields(item, p);
+      newItems.push(item);
     }
   }
   for (const it of current) {
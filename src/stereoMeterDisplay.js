@@ -0,0 +1,275 @@
+/**
+ * チャンネル別メーター（ピーク・RMS のバーとピークホールド）とゴニオメーター（位相スコープ）。
+ * どちらも下に L/R の相関メーターを付ける。表示はセレクトで切り替え、帯域別のストリップ表示（levelMeterDisplay.js）の隣に置く。
+ */
+
+/** @typedef {'channels' | 'scope' | 'off'} StereoMeterView */
+
+/** @type {{ value: StereoMeterView; label: string }[]} */
+const VIEWS = [
+  { value: 'channels', label: 'チャンネル' },
+  { value: 'scope', label: '位相' },
+  { value: 'off', label: '非表示' },
+];
+
+const LOGICAL_WIDTH = 120;
+const LOGICAL_HEIGHT = 60;
+/** 上側のメーター部分の高さ。その下に相関メーターを描く */
+const METER_HEIGHT = 46;
+const CORRELATION_TOP = 50;
+const CORRELATION_HEIGHT = 8;
+
+/** 表示する dB レンジ */
+const DB_MIN = -60;
+const DB_MAX = 0;
+/** これを超えたピークは赤で表示する（dBFS） */
+const DB_HOT = -1;
+
+/** ピークホールドを保つ時間（ms）と、その後に下がる速さ（dB/秒） */
+const PEAK_HOLD_MS = 1500;
+const PEAK_FALL_DB_PER_SECOND = 20;
+/** ピークのバーが下がる速さ（dB/秒）。上がるときはすぐ追従する */
+const PEAK_RELEASE_DB_PER_SECOND = 30;
+/** RMS のバーのなめらかさ（1 フレームで新しい値に寄せる割合） */
+const RMS_SMOOTHING = 0.3;
+/** ゴニオメーターの残像（前のフレームを消す割合） */
+const SCOPE_FADE = 0.35;
+
+/** @type {Record<StereoMeterView, string>} */
+const VIEW_TITLES = {
+  channels: 'バー: 濃い色が RMS、薄い色がピーク、線がピークホールド。下の横バー: L/R の相関（−1〜+1）',
+  scope: '縦が L+R（モノラル成分）、横が R−L（広がり）。下の横バー: L/R の相関（−1〜+1）',
+  off: '',
+};
+
+/** メーターのチャンネル（audioGraph.js で L/R の 2ch にそろえている） */
+const CHANNEL_LABELS = ['L', 'R'];
+
+/** @type {StereoMeterView} */
+let view = 'channels';
+/** @type {HTMLCanvasElement | null} */
+let canvas = null;
+/** @type {HTMLElement | null} */
+let labelRow = null;
+/** @type {number} */
+let animationId = 0;
+/** @type {() => import('./levelMeter.js').ChannelLevels | null} */
+let getLevels = () => null;
+
+/** 表示中のバーの値（チャンネルごと） */
+let peakShown = [];
+let rmsShown = [];
+/** @type {{ db: number; until: number }[]} */
+let peakHold = [];
+let lastFrame = 0;
+
+/** dB を 0〜1 に変換（DB_MIN=0、DB_MAX=1） */
+function dbToNorm(db) {
+  if (!Number.isFinite(db) || db <= DB_MIN) return 0;
+  if (db >= DB_MAX) return 1;
+  return (db - DB_MIN) / (DB_MAX - DB_MIN);
+}
+
+function renderLabels() {
+  if (!labelRow) return;
+  labelRow.innerHTML = '';
+  const labels = view === 'off' ? [] : CHANNEL_LABELS;
+  for (const text of labels) {
+    const span = document.createElement('span');
+    span.className = 'level-legend';
+    span.textContent = text;
+    labelRow.appendChild(span);
+  }
+}
+
+/**
+ * 表示中のバーの値をピークホールド・なめらかさ込みで更新する
+ * @param {import('./levelMeter.js').ChannelLevels} levels
+ * @param {number} now
+ * @param {number} dt 前のフレームからの秒数
+ */
+function updateBars(levels, now, dt) {
+  levels.peak.forEach((peak, c) => {
+    const shown = peakShown[c] ?? DB_MIN;
+    peakShown[c] = Math.max(peak, shown - PEAK_RELEASE_DB_PER_SECOND * dt);
+    const rms = rmsShown[c] ?? DB_MIN;
+    rmsShown[c] = rms + (levels.rms[c] - rms) * RMS_SMOOTHING;
+    const hold = peakHold[c] ?? { db: DB_MIN, until: 0 };
+    if (peak >= hold.db) {
+      peakHold[c] = { db: peak, until: now + PEAK_HOLD_MS };
+    } else if (now > hold.until) {
+      peakHold[c] = { db: Math.max(DB_MIN, hold.db - PEAK_FALL_DB_PER_SECOND * dt), until: hold.until };
+    }
+  });
+}
+
+/**
+ * チャンネルごとのピーク（薄い色）と RMS（濃い色）のバー、ピークホールドの線
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function drawChannels(ctx) {
+  ctx.clearRect(0, 0, LOGICAL_WIDTH, CORRELATION_TOP);
+  const slot = LOGICAL_WIDTH / CHANNEL_LABELS.length;
+  const barWidth = Math.max(4, Math.min(18, slot - 6));
+  for (let c = 0; c < CHANNEL_LABELS.length; c++) {
+    const x = c * slot + (slot - barWidth) / 2;
+    const peak = peakShown[c] ?? DB_MIN;
+    const hot = peak > DB_HOT;
+    const peakH = dbToNorm(peak) * METER_HEIGHT;
+    ctx.fillStyle = hot ? 'rgba(198,40,40,0.5)' : 'rgba(46,125,50,0.45)';
+    ctx.fillRect(x, METER_HEIGHT - peakH, barWidth, peakH);
+    const rmsH = dbToNorm(rmsShown[c] ?? DB_MIN) * METER_HEIGHT;
+    ctx.fillStyle = hot ? '#c62828' : '#2e7d32';
+    ctx.fillRect(x, METER_HEIGHT - rmsH, barWidth, rmsH);
+    const hold = peakHold[c]?.db ?? DB_MIN;
+    if (hold > DB_MIN) {
+      ctx.fillStyle = hold > DB_HOT ? '#ff5252' : '#eee';
+      ctx.fillRect(x, Math.round(METER_HEIGHT - dbToNorm(hold) * METER_HEIGHT), barWidth, 1.5);
+    }
+  }
+}
+
+/**
+ * ゴニオメーター（縦が M = L+R、横が S = R−L。モノラルは縦線、逆相は横線になる）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Float32Array[]} samples
+ */
+function drawScope(ctx, samples) {
+  const cx = LOGICAL_WIDTH / 2;
+  const cy = METER_HEIGHT / 2;
+  const radius = METER_HEIGHT / 2;
+  ctx.fillStyle = `rgba(26,26,26,${SCOPE_FADE})`;
+  ctx.fillRect(0, 0, LOGICAL_WIDTH, CORRELATION_TOP);
+  ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - radius);
+  ctx.lineTo(cx, cy + radius);
+  ctx.moveTo(cx - radius, cy - radius);
+  ctx.lineTo(cx + radius, cy + radius);
+  ctx.moveTo(cx + radius, cy - radius);
+  ctx.lineTo(cx - radius, cy + radius);
+  ctx.stroke();
+  const [left, right] = samples;
+  ctx.fillStyle = 'rgba(102,187,106,0.8)';
+  for (let i = 0; i < left.length; i += 2) {
+    const x = cx + ((right[i] - left[i]) / 2) * radius;
+    const y = cy - ((left[i] + right[i]) / 2) * radius;
+    ctx.fillRect(x, y, 1, 1);
+  }
+}
+
+/**
+ * 相関メーター（左端 −1、中央 0、右端 +1。マイナス側は位相の打ち消し合いが起きているので赤）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} correlation
+ */
+function drawCorrelation(ctx, correlation) {
+  const w = LOGICAL_WIDTH;
+  const mid = w / 2;
+  ctx.clearRect(0, CORRELATION_TOP, w, LOGICAL_HEIGHT - CORRELATION_TOP);
+  ctx.fillStyle = '#333';
+  ctx.fillRect(0, CORRELATION_TOP, w, CORRELATION_HEIGHT);
+  const x = mid + correlation * mid;
+  ctx.fillStyle = correlation < 0 ? '#c62828' : '#2e7d32';
+  ctx.fillRect(Math.min(mid, x), CORRELATION_TOP, Math.abs(x - mid), CORRELATION_HEIGHT);
+  ctx.fillStyle = 'rgba(255,255,255,0.5)';
+  ctx.fillRect(mid - 0.5, CORRELATION_TOP - 1, 1, CORRELATION_HEIGHT + 2);
+}
+
+/**
+ * @param {number} now
+ */
+function tick(now) {
+  const dt = lastFrame ? Math.min(0.1, (now - lastFrame) / 1000) : 0;
+  lastFrame = now;
+  const ctx = canvas?.getContext('2d');
+  if (!ctx || view === 'off') return;
+  const levels = getLevels();
+  if (!levels) {
+    ctx.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+    drawCorrelation(ctx, 0);
+    return;
+  }
+  updateBars(levels, now, dt);
+  if (view === 'channels') drawChannels(ctx);
+  else drawScope(ctx, levels.samples);
+  drawCorrelation(ctx, levels.correlation);
+}
+
+/**
+ * @param {StereoMeterView} next
+ */
+function setView(next) {
+  view = next;
+  if (canvas) {
+    canvas.hidden = next === 'off';
+    canvas.title = VIEW_TITLES[next];
+    canvas.getContext('2d')?.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+  }
+  renderLabels();
+}
+
+/**
+ * 表示を開始する
+ * @param {HTMLElement} container
+ * @param {() => import('./levelMeter.js').ChannelLevels | null} getLevelsFn
+ */
+export function init(container, getLevelsFn) {
+  if (!container) return;
+  getLevels = getLevelsFn;
+
+  container.innerHTML = '';
+  const wrap = document.createElement('div');
+  wrap.className = 'level-strip-wrap';
+  wrap.setAttribute('aria-label', 'チャンネル別レベル・位相メーター');
+
+  const topRow = document.createElement('div');
+  topRow.className = 'level-strip-top';
+  labelRow = document.createElement('div');
+  labelRow.className = 'level-strip-labels';
+  const selectWrap = document.createElement('div');
+  selectWrap.className = 'level-strip-bands-select';
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'メーターの表示');
+  for (const { value, label } of VIEWS) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    opt.selected = value === view;
+    select.appendChild(opt);
+  }
+  select.addEventListener('change', () => setView(/** @type {StereoMeterView} */ (select.value)));
+  selectWrap.appendChild(select);
+  topRow.appendChild(labelRow);
+  topRow.appendChild(selectWrap);
+  wrap.appendChild(topRow);
+
+  canvas = document.createElement('canvas');
+  canvas.className = 'level-strip-canvas';
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = LOGICAL_WIDTH * dpr;
+  canvas.height = LOGICAL_HEIGHT * dpr;
+  canvas.style.width = `${LOGICAL_WIDTH}px`;
+  canvas.style.height = `${LOGICAL_HEIGHT}px`;
+  const ctx = canvas.getContext('2d');
+  if (ctx) ctx.scale(dpr, dpr);
+  wrap.appendChild(canvas);
+  container.appendChild(wrap);
+  setView(view);
+
+  function loop(now) {
+    tick(now);
+    animationId = requestAnimationFrame(loop);
+  }
+  animationId = requestAnimationFrame(loop);
+}
+
+export function destroy() {
+  if (animationId) {
+    cancelAnimationFrame(animationId);
+    animationId = 0;
+  }
+  canvas = null;
+  labelRow = null;
+}
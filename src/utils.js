@@ -1,3 +1,5 @@
+import { barLength, snapToBar, roundToBars } from './beatGrid.js';
+
 /**
  * 秒数を "M:SS" または "MM:SS" にフォーマット
  * @param {number} totalSeconds
@@ -26,28 +28,150 @@ export function parseMmSs(str) {
   return m * 60 + s;
 }
 
+/** フェード曲線の種類と表示名 */
+export const FADE_CURVES = [
+  { value: 'linear', label: 'リニア' },
+  { value: 'equalPower', label: 'イコールパワー' },
+  { value: 'sCurve', label: 'S字' },
+];
+
+/**
+ * snapToBars はビートグリッドのある曲で最大再生時間とクロスフェードを小節にそろえるか（リスト全体の設定のみ）
+ * @typedef {{ crossfadeSeconds: number; gapSeconds: number; fadeOutCurve: 'linear' | 'equalPower' | 'sCurve'; fadeInCurve: 'linear' | 'equalPower' | 'sCurve'; snapToBars?: boolean }} TransitionSettings
+ */
+
+/** つなぎ設定なし（ハードカット） */
+const NO_TRANSITION = { crossfadeSeconds: 0, gapSeconds: 0, fadeOutCurve: 'linear', fadeInCurve: 'linear', snapToBars: false };
+
+/**
+ * アイテムから次のアイテムへのつなぎ設定を返す。アイテム側が null の項目はリスト全体の設定を使う。
+ * 小節にそろえる設定のときは、クロスフェードをその曲の小節の整数倍に丸める。
+ * @param {{ crossfadeSeconds?: number | null; gapSeconds?: number | null; fadeOutCurve?: string | null; fadeInCurve?: string | null; beatGrid?: import('./beatGrid.js').BeatGrid | null }} item
+ * @param {TransitionSettings} defaults
+ * @returns {TransitionSettings}
+ */
+export function getTransition(item, defaults) {
+  let crossfadeSeconds = item.crossfadeSeconds ?? defaults.crossfadeSeconds;
+  if (defaults.snapToBars && item.beatGrid && crossfadeSeconds > 0) crossfadeSeconds = roundToBars(item.beatGrid, crossfadeSeconds);
+  return {
+    crossfadeSeconds,
+    gapSeconds: item.gapSeconds ?? defaults.gapSeconds,
+    fadeOutCurve: item.fadeOutCurve ?? defaults.fadeOutCurve,
+    fadeInCurve: item.fadeInCurve ?? defaults.fadeInCurve,
+    snapToBars: Boolean(defaults.snapToBars),
+  };
+}
+
 /**
  * リスト上の「1トラックの長さ」を秒で返す。
- * 最大再生時間が指定されていればその秒数、未指定なら素材の長さ。
- * @param {{ duration: number | null; maxLoopSeconds: number | null }} item
+ * 最大再生時間が指定されていればその秒数（小節にそろえる設定のときはいちばん近い小節頭）、未指定なら素材の長さ。
+ * クロスフェードで次の曲と重なる分や無音ギャップは含まない（getListStartTimes 側で扱う）。
+ * ファイルの無いプレースホルダ（file: null）は再生せずに飛ばすので 0。
+ * @param {{ file?: File | null; duration: number | null; maxLoopSeconds: number | null; beatGrid?: import('./beatGrid.js').BeatGrid | null }} item
+ * @param {TransitionSettings} [defaults] リスト全体のつなぎ設定
  * @returns {number}
  */
-export function getTrackLength(item) {
-  if (item.maxLoopSeconds != null && item.maxLoopSeconds > 0) return item.maxLoopSeconds;
+export function getTrackLength(item, defaults = NO_TRANSITION) {
+  if (item.file === null) return 0;
+  if (item.maxLoopSeconds != null && item.maxLoopSeconds > 0) {
+    if (!defaults.snapToBars || !item.beatGrid) return item.maxLoopSeconds;
+    const snapped = Math.max(barLength(item.beatGrid), snapToBar(item.beatGrid, item.maxLoopSeconds));
+    // 曲の長さ以内の指定が小節頭に寄せて曲の長さを越えるときは、曲の終わりで止める
+    if (item.duration != null && item.maxLoopSeconds <= item.duration && snapped > item.duration) return item.duration;
+    return snapped;
+  }
   return item.duration ?? 0;
 }
 
+/**
+ * トラックの開始から次のトラックの開始までの秒数。
+ * クロスフェードがあれば重なる分だけ短く（トラック長が上限）、なければ無音ギャップの分だけ長くなる。プレースホルダは 0。
+ * @param {{ file?: File | null; duration: number | null; maxLoopSeconds: number | null }} item
+ * @param {TransitionSettings} [defaults]
+ * @returns {number}
+ */
+export function getTrackAdvance(item, defaults = NO_TRANSITION) {
+  if (item.file === null) return 0;
+  const len = getTrackLength(item, defaults);
+  const { crossfadeSeconds, gapSeconds } = getTransition(item, defaults);
+  if (crossfadeSeconds > 0) return len - Math.min(crossfadeSeconds, len);
+  return len + Math.max(0, gapSeconds);
+}
+
 /**
  * 各トラックのリスト先頭からの再生開始時刻（秒）の配列を返す。
  * @param {{ duration: number | null; maxLoopSeconds: number | null }[]} items
+ * @param {TransitionSettings} [defaults] リスト全体のつなぎ設定
  * @returns {number[]}
  */
-export function getListStartTimes(items) {
+export function getListStartTimes(items, defaults = NO_TRANSITION) {
   const out = [];
   let t = 0;
   for (let i = 0; i < items.length; i++) {
     out.push(t);
-    t += getTrackLength(items[i]);
+    t += getTrackAdvance(items[i], defaults);
   }
   return out;
 }
+
+/**
+ * リスト全体の長さ（秒）。最後のトラックのつなぎ設定は使わない。
+ * @param {{ duration: number | null; maxLoopSeconds: number | null }[]} items
+ * @param {TransitionSettings} [defaults] リスト全体のつなぎ設定
+ * @returns {number}
+ */
+export function getListTotal(items, defaults = NO_TRANSITION) {
+  if (items.length === 0) return 0;
+  const starts = getListStartTimes(items, defaults);
+  const last = items.length - 1;
+  return starts[last] + getTrackLength(items[last], defaults);
+}
+
+/**
+ * ループ区間（秒）を返す。未指定の端は素材の先頭／終端として扱う。
+ * @param {{ duration: number | null; loopStart?: number | null; loopEnd?: number | null }} item
+ * @returns {{ start: number; end: number }}
+ */
+export function getLoopRegion(item) {
+  const duration = item.duration ?? 0;
+  let end = item.loopEnd != null && item.loopEnd > 0 ? item.loopEnd : duration;
+  if (duration > 0) end = Math.min(end, duration);
+  const start = item.loopStart != null && item.loopStart > 0 && item.loopStart < end ? item.loopStart : 0;
+  return { start, end };
+}
+
+/**
+ * トラック先頭からの経過秒を「ループで消化した秒数」と「素材上の再生位置」に分ける。
+ * 1周目は 0 → ループ終端、2周目以降はループ始端 → 終端を繰り返す前提。
+ * @param {{ loop: boolean; duration: number | null; loopStart?: number | null; loopEnd?: number | null }} item
+ * @param {number} positionInTrack
+ * @returns {{ loopElapsed: number; position: number }}
+ */
+export function getLoopedPosition(item, positionInTrack) {
+  const { start, end } = getLoopRegion(item);
+  const len = end - start;
+  if (!item.loop || len <= 0 || positionInTrack < end) {
+    return { loopElapsed: 0, position: positionInTrack };
+  }
+  const passes = Math.floor((positionInTrack - start) / len);
+  return { loopElapsed: passes * len, position: positionInTrack - passes * len };
+}
+
+/**
+ * 曲を区別するパス。フォルダから追加した曲はフォルダからの相対パス（"bgm/stage1/bgm.ogg"）、それ以外はファイル名
+ * @param {{ name: string; relativePath?: string | null }} item
+ * @returns {string}
+ */
+export function getItemPath(item) {
+  return item.relativePath || item.name;
+}
+
+/**
+ * 相対パスのフォルダ部分（"bgm/stage1/bgm.ogg" → "bgm/stage1"）。フォルダが無ければ ''
+ * @param {string | null | undefined} relativePath
+ * @returns {string}
+ */
+export function getFolder(relativePath) {
+  const slash = relativePath ? relativePath.lastIndexOf('/') : -1;
+  return slash > 0 ? relativePath.slice(0, slash) : '';
+}
@@ -0,0 +1,133 @@
+import { getLoopRegion, formatMmSs } from './utils.js';
+
+const LOGICAL_WIDTH = 160;
+const LOGICAL_HEIGHT = 28;
+
+/** ループ始端と終端の最小間隔（秒） */
+const MIN_REGION_SECONDS = 0.05;
+
+const WAVE_COLOR = '#90a4ae';
+const WAVE_COLOR_IN_REGION = '#1565c0';
+
+/**
+ * ピーク列を上下対称の棒グラフとして描画。ループ区間内は色を変える。
+ * @param {HTMLCanvasElement} canvas
+ * @param {number[]} peaks
+ * @param {number} startRatio
+ * @param {number} endRatio
+ */
+function drawPeaks(canvas, peaks, startRatio, endRatio) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const dpr = window.devicePixelRatio || 1;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+  const mid = LOGICAL_HEIGHT / 2;
+  const barWidth = LOGICAL_WIDTH / peaks.length;
+  for (let i = 0; i < peaks.length; i++) {
+    const ratio = (i + 0.5) / peaks.length;
+    ctx.fillStyle = ratio >= startRatio && ratio <= endRatio ? WAVE_COLOR_IN_REGION : WAVE_COLOR;
+    const h = Math.max(1, peaks[i] * LOGICAL_HEIGHT);
+    ctx.fillRect(i * barWidth, mid - h / 2, Math.max(1, barWidth - 0.2), h);
+  }
+}
+
+/**
+ * 1行分の波形概要を作る。ループONのときはループ始端・終端マーカーをドラッグで動かせる。
+ * ダブルクリックでループ区間を素材全体に戻す。
+ * @param {{ loop: boolean; duration: number | null; loopStart: number | null; loopEnd: number | null; peaks: number[] | null }} item
+ * @param {{ onRegionChange: (region: { loopStart: number | null; loopEnd: number | null }) => void; onDragStateChange?: (dragging: boolean) => void }} opts
+ * @returns {HTMLElement}
+ */
+export function createWaveform(item, opts) {
+  const wrap = document.createElement('div');
+  wrap.className = 'waveform';
+  if (!item.peaks) {
+    wrap.classList.add('is-loading');
+    wrap.textContent = '…';
+    return wrap;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'waveform-canvas';
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = LOGICAL_WIDTH * dpr;
+  canvas.height = LOGICAL_HEIGHT * dpr;
+  wrap.appendChild(canvas);
+
+  const duration = item.duration ?? 0;
+  if (!item.loop || !(duration > 0)) {
+    drawPeaks(canvas, item.peaks, 0, 1);
+    return wrap;
+  }
+
+  let { start, end } = getLoopRegion(item);
+  const region = document.createElement('div');
+  region.className = 'waveform-region';
+  const startMarker = document.createElement('div');
+  startMarker.className = 'waveform-marker waveform-marker-start';
+  startMarker.setAttribute('aria-label', 'ループ始端');
+  const endMarker = document.createElement('div');
+  endMarker.className = 'waveform-marker waveform-marker-end';
+  endMarker.setAttribute('aria-label', 'ループ終端');
+  wrap.append(region, startMarker, endMarker);
+
+  function layout() {
+    const s = start / duration;
+    const e = end / duration;
+    region.style.left = `${s * 100}%`;
+    region.style.width = `${(e - s) * 100}%`;
+    startMarker.style.left = `${s * 100}%`;
+    endMarker.style.left = `${e * 100}%`;
+    startMarker.title = `ループ始端 ${formatMmSs(start)}`;
+    endMarker.title = `ループ終端 ${formatMmSs(end)}`;
+    drawPeaks(canvas, item.peaks, s, e);
+  }
+  layout();
+
+  /**
+   * @param {HTMLElement} marker
+   * @param {'start' | 'end'} which
+   */
+  function bindDrag(marker, which) {
+    marker.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      marker.setPointerCapture(e.pointerId);
+      marker.classList.add('is-dragging');
+      opts.onDragStateChange?.(true);
+      const onMove = (ev) => {
+        const rect = wrap.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (ev.clientX - rect.left) / rect.width));
+        const sec = ratio * duration;
+        if (which === 'start') start = Math.max(0, Math.min(sec, end - MIN_REGION_SECONDS));
+        else end = Math.min(duration, Math.max(sec, start + MIN_REGION_SECONDS));
+        layout();
+      };
+      const onUp = () => {
+        marker.removeEventListener('pointermove', onMove);
+        marker.removeEventListener('pointerup', onUp);
+        marker.removeEventListener('pointercancel', onUp);
+        marker.classList.remove('is-dragging');
+        // 確定を先に通知する（ドラッグ中に止めていた再描画は、終了の通知で 1 回だけ行われる）
+        opts.onRegionChange({
+          loopStart: start > 0 ? start : null,
+          loopEnd: end < duration ? end : null,
+        });
+        opts.onDragStateChange?.(false);
+      };
+      marker.addEventListener('pointermove', onMove);
+      marker.addEventListener('pointerup', onUp);
+      marker.addEventListener('pointercancel', onUp);
+    });
+  }
+  bindDrag(startMarker, 'start');
+  bindDrag(endMarker, 'end');
+
+  wrap.addEventListener('dblclick', (e) => {
+    e.stopPropagation();
+    opts.onRegionChange({ loopStart: null, loopEnd: null });
+  });
+
+  return wrap;
+}
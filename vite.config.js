@@ -5,4 +5,10 @@ export default defineConfig({
   publicDir: 'public',
   // GitHub Pages ではリポジトリ名がパスになる（例: /audio-preview/）
   base: process.env.BASE_PATH || '/',
+  // 解析ワーカーは module worker（Essentia などを動的 import する）
+  worker: { format: 'es' },
+  build: {
+    // AudioWorklet の処理モジュールは data: URL にせずファイルとして出力する（addModule で読むため）
+    assetsInlineLimit: (file) => (file.endsWith('Processor.js') ? false : undefined),
+  },
 });